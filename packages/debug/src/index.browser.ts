@@ -0,0 +1,3 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+export * from './log/index.browser';
@@ -1,18 +1,118 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
-import type { FilterHandle, FilterMode, FilteredLogger, LogFilter, LogOptions, LogWriter } from './types';
+import { createLogFilterGate, type LogFilterGate } from './filterBounds';
+import { componentLevelsLogFilter, componentPrefixLogFilter, minLevelLogFilter, selectedLevelLogFilter } from './filters';
+import type { LogRedactor } from './redact';
+import type {
+    FilterHandle,
+    FilterMode,
+    FilteredLogger,
+    LogFilter,
+    LoggerDescription,
+    LogLevel,
+    LogOptions,
+    LogQueueOptions,
+    LogWriter,
+    LogWriterLifecycle,
+} from './types';
+import { LogWriteQueue } from './writeQueue';
+
+/**
+ * Construction options for {@link Logger}.
+ */
+export interface LoggerOptions {
+    /**
+     * How filters are combined.
+     */
+    mode: FilterMode;
+
+    /**
+     * Sink that receives messages passing the filters.
+     */
+    logWriter: LogWriter & LogWriterLifecycle;
+
+    /**
+     * Optional bounded queue in front of the writer.
+     */
+    queue?: LogQueueOptions;
+
+    /**
+     * Optional name reported by {@link Logger.describe}.
+     */
+    name?: string;
+
+    /**
+     * Redactor applied to records before they reach the writer.
+     */
+    redactor?: LogRedactor;
+
+    /**
+     * Whether registry-wide level changes skip this logger. Defaults to false.
+     */
+    fixedLevels?: boolean;
+
+    /**
+     * Called with the logger when it is stopped.
+     */
+    unregister?: (logger: Logger) => void;
+
+    /**
+     * Called whenever the set of filters changes.
+     */
+    onFiltersChanged?: () => void;
+}
 
 /**
  * Logger that applies filters before writing.
  */
 export class Logger implements FilteredLogger {
+    /**
+     * Writer receiving this logger's records; closed by {@link LoggerRegistry.close}.
+     */
+    public readonly logWriter: LogWriter & LogWriterLifecycle;
+
+    /**
+     * Whether registry-wide level changes skip this logger, see {@link LoggerConfig.fixedLevels}.
+     */
+    public readonly fixedLevels: boolean;
     private readonly filters = new Map<symbol, LogFilter>();
+    private readonly mode: FilterMode;
+    private readonly writes: LogWriteQueue;
+    private readonly name: string | undefined;
+    private readonly redactor: LogRedactor | undefined;
+    private readonly unregister: (logger: Logger) => void;
+    private readonly onFiltersChanged: () => void;
+    private gate: LogFilterGate | undefined;
+    private stopped = false;
+
+    private levelFilter: { handle: FilterHandle; levels?: LogLevel[]; minLevel?: LogLevel } | undefined;
+    private componentPrefixFilter: { handle: FilterHandle; componentPrefixes: string[] } | undefined;
+    private componentLevelsFilter: { handle: FilterHandle; componentLevels: Record<string, LogLevel | undefined> } | undefined;
 
-    public constructor(
-        private readonly mode: FilterMode,
-        private readonly logWriter: LogWriter,
-        private readonly unregister: (logger: Logger) => void,
-    ) {}
+    public constructor(options: LoggerOptions) {
+        this.mode = options.mode;
+        this.logWriter = options.logWriter;
+        this.name = options.name;
+        this.fixedLevels = options.fixedLevels ?? false;
+        this.writes = new LogWriteQueue(
+            options.logWriter,
+            options.queue,
+            options.name === undefined ? 'logger' : `logger "${options.name}"`,
+        );
+        this.redactor = options.redactor;
+        this.unregister = options.unregister ?? (() => {});
+        this.onFiltersChanged = options.onFiltersChanged ?? (() => {});
+    }
+
+    /**
+     * Level/component gate derived from the static bounds of this logger's filters.
+     *
+     * @returns A gate that never rejects records the filters could pass.
+     */
+    public get filterGate(): LogFilterGate {
+        this.gate ??= createLogFilterGate(this.mode, this.filters.values());
+        return this.gate;
+    }
 
     /**
      * Attempt to write a log message if filters permit.
@@ -21,9 +121,25 @@ export class Logger implements FilteredLogger {
      * @param args - Arguments to render into the log output.
      */
     public log(options: LogOptions, ...args: unknown[]): void {
-        if (this.shouldWrite(options)) {
-            this.logWriter(options, ...args);
+        if (this.stopped || !this.shouldWrite(options, args)) {
+            return;
         }
+        if (this.redactor === undefined) {
+            this.writes.write(options, args);
+            return;
+        }
+        const redacted = this.redactor(options, args);
+        this.writes.write(redacted.options, redacted.args);
+    }
+
+    /**
+     * Check whether a message with the given metadata would be written.
+     *
+     * @param options - Log metadata to evaluate.
+     * @returns True when the filters permit the message.
+     */
+    public isEnabled(options: LogOptions): boolean {
+        return !this.stopped && this.shouldWrite(options);
     }
 
     /**
@@ -35,6 +151,7 @@ export class Logger implements FilteredLogger {
     public addFilter(filter: LogFilter): FilterHandle {
         const handle: FilterHandle = { id: Symbol('log-filter') };
         this.filters.set(handle.id, filter);
+        this.invalidateGate();
         return handle;
     }
 
@@ -45,7 +162,11 @@ export class Logger implements FilteredLogger {
      * @returns True when the filter was removed.
      */
     public removeFilter(handle: FilterHandle): boolean {
-        return this.filters.delete(handle.id);
+        const removed = this.filters.delete(handle.id);
+        if (removed) {
+            this.invalidateGate();
+        }
+        return removed;
     }
 
     /**
@@ -53,23 +174,139 @@ export class Logger implements FilteredLogger {
      */
     public clearFilters(): void {
         this.filters.clear();
+        this.levelFilter = undefined;
+        this.componentPrefixFilter = undefined;
+        this.componentLevelsFilter = undefined;
+        this.invalidateGate();
     }
 
     /**
-     * Unregister this logger from its registry.
+     * Replace the level restriction with a minimum level.
+     *
+     * @param minLevel - Lowest severity to write; `undefined` removes the level restriction.
      */
-    public stop(): void {
-        this.unregister(this);
+    public setMinLevel(minLevel: LogLevel | undefined): void {
+        this.removeManagedFilter(this.levelFilter);
+        this.levelFilter = minLevel === undefined ? undefined : { handle: this.addFilter(minLevelLogFilter(minLevel)), minLevel };
+    }
+
+    /**
+     * Replace the level restriction with an explicit set of levels.
+     *
+     * @param levels - Exact levels to write; an empty array removes the level restriction.
+     */
+    public setLevels(levels: LogLevel[]): void {
+        this.removeManagedFilter(this.levelFilter);
+        this.levelFilter =
+            levels.length === 0 ? undefined : { handle: this.addFilter(selectedLevelLogFilter(levels)), levels: [...levels] };
+    }
+
+    /**
+     * Replace the component prefix restriction.
+     *
+     * @param componentPrefixes - Component prefixes to allow; an empty array allows all components.
+     */
+    public setComponentPrefixes(componentPrefixes: string[]): void {
+        this.removeManagedFilter(this.componentPrefixFilter);
+        this.componentPrefixFilter = {
+            handle: this.addFilter(componentPrefixLogFilter(componentPrefixes)),
+            componentPrefixes: [...componentPrefixes],
+        };
+    }
+
+    /**
+     * Replace the per-component minimum levels.
+     *
+     * @param componentLevels - Minimum level per component glob; `undefined` removes the restriction.
+     */
+    public setComponentLevels(componentLevels: Record<string, LogLevel | undefined> | undefined): void {
+        this.removeManagedFilter(this.componentLevelsFilter);
+        if (componentLevels === undefined) {
+            this.componentLevelsFilter = undefined;
+            return;
+        }
+        const rules = Object.entries(componentLevels).map(([pattern, level]) => ({ pattern, level }));
+        this.componentLevelsFilter = { handle: this.addFilter(componentLevelsLogFilter(rules)), componentLevels: { ...componentLevels } };
+    }
+
+    /**
+     * Describe the logger's effective configuration.
+     *
+     * @returns A snapshot of the logger's configuration.
+     */
+    public describe(): LoggerDescription {
+        const description: LoggerDescription = {
+            mode: this.mode,
+            componentPrefixes: [...(this.componentPrefixFilter?.componentPrefixes ?? [])],
+            filterCount: this.filters.size,
+            fixedLevels: this.fixedLevels,
+        };
+        if (this.name !== undefined) {
+            description.name = this.name;
+        }
+        if (this.levelFilter?.levels !== undefined) {
+            description.levels = [...this.levelFilter.levels];
+        }
+        if (this.levelFilter?.minLevel !== undefined) {
+            description.minLevel = this.levelFilter.minLevel;
+        }
+        if (this.componentLevelsFilter !== undefined) {
+            description.componentLevels = { ...this.componentLevelsFilter.componentLevels };
+        }
+        return description;
+    }
+
+    /**
+     * Wait until every record accepted so far has been written, then flush the writer.
+     *
+     * @returns Promise that resolves once pending writes have settled.
+     */
+    public flush(): Promise<void> {
+        return this.writes.flush();
+    }
+
+    /**
+     * Count the records dropped because the queue was full.
+     *
+     * @returns Number of dropped records.
+     */
+    public getDroppedCount(): number {
+        return this.writes.getDroppedCount();
+    }
+
+    /**
+     * Stop accepting records, flush pending writes and unregister this logger from its registry.
+     *
+     * @returns Promise that resolves once the logger is flushed and unregistered.
+     */
+    public async stop(): Promise<void> {
+        this.stopped = true;
+        try {
+            await this.flush();
+        } finally {
+            this.unregister(this);
+        }
+    }
+
+    private removeManagedFilter(managed: { handle: FilterHandle } | undefined): void {
+        if (managed !== undefined) {
+            this.removeFilter(managed.handle);
+        }
+    }
+
+    private invalidateGate(): void {
+        this.gate = undefined;
+        this.onFiltersChanged();
     }
 
-    private shouldWrite(options: LogOptions): boolean {
+    private shouldWrite(options: LogOptions, args?: readonly unknown[]): boolean {
         if (this.filters.size === 0) {
             return true;
         }
 
         if (this.mode === 'any') {
             for (const filter of this.filters.values()) {
-                if (filter(options)) {
+                if (filter(options, args)) {
                     return true;
                 }
             }
@@ -77,7 +314,7 @@ export class Logger implements FilteredLogger {
         }
 
         for (const filter of this.filters.values()) {
-            if (!filter(options)) {
+            if (!filter(options, args)) {
                 return false;
             }
         }
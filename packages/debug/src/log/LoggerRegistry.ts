@@ -1,20 +1,101 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
-import { componentPrefixLogFilter, minLevelLogFilter, selectedLevelLogFilter } from './filters';
+import { getLogContext } from './context';
+import { mergeLogFields } from './fields';
 import { Logger } from './Logger';
-import type { FilteredLogger, LoggerConfig, LogOptions } from './types';
+import { createLogRedactor, type LogRedactor, type RedactionOptions } from './redact';
+import type { FilteredLogger, LoggerConfig, LoggerDescription, LogLevel, LogOptions } from './types';
+
+// Upper bound on cached level/component decisions; the cache is cleared when it fills up.
+const MAX_CACHED_DECISIONS = 1024;
+
+/**
+ * Options for {@link createLoggerRegistry}.
+ */
+export interface LoggerRegistryOptions {
+    /**
+     * Redaction applied to every record before it reaches any logger. See {@link createLogRedactor}.
+     */
+    redaction?: RedactionOptions | LogRedactor;
+}
 
 /**
  * Registry that tracks active loggers and fans out log events to them.
+ *
+ * The registry caches, per level and component, whether any logger could write a record, based on the
+ * static bounds of level and component filters (see {@link LogFilterBounds}). Records no logger could
+ * accept are dropped without running any filter. The cache is invalidated whenever a logger is started
+ * or stopped or its filters change.
  */
 export class LoggerRegistry {
     private readonly loggers = new Set<Logger>();
+    private lowestLevel: number | undefined;
+    private readonly decisions = new Map<LogLevel, Map<string | undefined, boolean>>();
+    private decisionCount = 0;
+    private redactor: LogRedactor | undefined;
+    private clock: (() => number) | undefined;
+
+    public constructor(options: LoggerRegistryOptions = {}) {
+        this.setRedaction(options.redaction);
+    }
+
+    /**
+     * Replace the redaction applied to every record before it reaches any logger.
+     *
+     * Redaction runs once per record, after the level/component fast path, so filters of individual
+     * loggers see redacted fields.
+     *
+     * @param redaction - Redaction options or a custom redactor; `undefined` disables registry-wide redaction.
+     */
+    public setRedaction(redaction: RedactionOptions | LogRedactor | undefined): void {
+        this.redactor = toLogRedactor(redaction);
+    }
+
+    /**
+     * Replace the clock that stamps records before they reach any logger.
+     *
+     * Records logged without a `timestamp` get one from the clock, so every logger, writer and formatter
+     * of the registry renders the same time. Used by {@link captureLogs} to freeze time in tests.
+     *
+     * @param now - Function returning the current time in milliseconds since the epoch; `undefined` leaves
+     * records unstamped, so formatters use the time of formatting.
+     */
+    public setClock(now: (() => number) | undefined): void {
+        this.clock = now;
+    }
 
     /**
      * Remove all registered loggers.
      */
     public reset(): void {
         this.loggers.clear();
+        this.invalidate();
+    }
+
+    /**
+     * Wait until every active logger has written the records it accepted, and flush their writers.
+     *
+     * @returns Promise that resolves once all loggers are flushed.
+     */
+    public async flush(): Promise<void> {
+        await Promise.all([...this.loggers].map((logger) => logger.flush()));
+    }
+
+    /**
+     * Unregister all loggers, flush them and close their writers.
+     *
+     * Records logged after `close()` is called are dropped until new loggers are started. Writers that
+     * expose `close` (see {@link LogWriterLifecycle}) are closed once, after every logger sharing them
+     * has been flushed.
+     *
+     * @returns Promise that resolves once all writers are closed.
+     */
+    public async close(): Promise<void> {
+        const loggers = [...this.loggers];
+        this.reset();
+        await Promise.all(loggers.map((logger) => logger.flush()));
+        const writers = new Set(loggers.map((logger) => logger.logWriter));
+        await Promise.all([...writers].map((writer) => writer.close?.()));
     }
 
     /**
@@ -24,43 +105,232 @@ export class LoggerRegistry {
      * @returns A filtered logger instance registered with this registry.
      */
     public startLogger(config: LoggerConfig): FilteredLogger {
-        const { logWriter, mode = 'all', levels = [], minLevel, componentPrefixes = [], filters = [] } = config;
-        const logger = new Logger(mode, logWriter, (logger: Logger) => {
-            this.loggers.delete(logger);
+        const {
+            logWriter,
+            name,
+            mode = 'all',
+            levels = [],
+            minLevel,
+            componentPrefixes = [],
+            componentLevels,
+            filters = [],
+            redaction,
+            queue,
+            fixedLevels,
+        } = config;
+        const logger = new Logger({
+            mode,
+            logWriter,
+            queue,
+            name,
+            redactor: toLogRedactor(redaction),
+            fixedLevels,
+            unregister: (logger: Logger) => {
+                if (this.loggers.delete(logger)) {
+                    this.invalidate();
+                }
+            },
+            onFiltersChanged: () => this.invalidate(),
         });
 
         if (levels.length > 0) {
-            logger.addFilter(selectedLevelLogFilter(levels));
+            logger.setLevels(levels);
         } else if (minLevel !== undefined) {
-            logger.addFilter(minLevelLogFilter(minLevel));
+            logger.setMinLevel(minLevel);
+        }
+        logger.setComponentPrefixes(componentPrefixes);
+        if (componentLevels !== undefined) {
+            logger.setComponentLevels(componentLevels);
         }
-        logger.addFilter(componentPrefixLogFilter(componentPrefixes));
         for (const filter of filters) {
             logger.addFilter(filter);
         }
 
         this.loggers.add(logger);
+        this.invalidate();
         return logger;
     }
 
+    /**
+     * List the active loggers.
+     *
+     * @returns Active loggers in registration order.
+     */
+    public getLoggers(): FilteredLogger[] {
+        return [...this.loggers];
+    }
+
+    /**
+     * Describe the effective configuration of every active logger.
+     *
+     * @returns One description per active logger, in registration order.
+     */
+    public listLoggers(): LoggerDescription[] {
+        return [...this.loggers].map((logger) => logger.describe());
+    }
+
+    /**
+     * Set the minimum level of every active logger, replacing their level restrictions.
+     *
+     * Loggers started with {@link LoggerConfig.fixedLevels} are skipped.
+     *
+     * @param minLevel - Lowest severity to write; `undefined` removes level restrictions.
+     */
+    public setMinLevel(minLevel: LogLevel | undefined): void {
+        for (const logger of this.loggers) {
+            if (!logger.fixedLevels) {
+                logger.setMinLevel(minLevel);
+            }
+        }
+    }
+
+    /**
+     * Set per-component minimum levels on every active logger.
+     *
+     * Loggers started with {@link LoggerConfig.fixedLevels} are skipped.
+     *
+     * @param componentLevels - Minimum level per component glob; `undefined` removes the restriction.
+     */
+    public setComponentLevels(componentLevels: Record<string, LogLevel | undefined> | undefined): void {
+        for (const logger of this.loggers) {
+            if (!logger.fixedLevels) {
+                logger.setComponentLevels(componentLevels);
+            }
+        }
+    }
+
     /**
      * Send a log message to all registered loggers.
      *
+     * Fields from the active {@link withLogContext} scope are merged into `options.fields`, and records
+     * without a `timestamp` are stamped by the clock set with {@link setClock}, if any.
+     *
      * @param options - Log metadata for this message.
      * @param args - Arguments to render into the log output.
      */
     public log(options: LogOptions, ...args: unknown[]): void {
+        if (!this.mayWrite(options.level, options.component)) {
+            return;
+        }
+        const contextOptions = withContextFields(
+            this.clock === undefined || options.timestamp !== undefined ? options : { ...options, timestamp: this.clock() },
+        );
+        if (this.redactor === undefined) {
+            for (const logger of this.loggers) {
+                logger.log(contextOptions, ...args);
+            }
+            return;
+        }
+        const redacted = this.redactor(contextOptions, args);
+        for (const logger of this.loggers) {
+            logger.log(redacted.options, ...redacted.args);
+        }
+    }
+
+    /**
+     * Check whether any registered logger would write a message with the given metadata.
+     *
+     * Use this to skip building expensive log arguments. Records rejected by the level/component
+     * fast path are answered from the cache; otherwise the loggers' filters are evaluated.
+     *
+     * @param options - Log metadata to evaluate.
+     * @returns True when at least one logger would write the message.
+     */
+    public isEnabled(options: LogOptions): boolean {
+        if (!this.mayWrite(options.level, options.component)) {
+            return false;
+        }
+        const contextOptions = withContextFields(options);
+        for (const logger of this.loggers) {
+            if (logger.isEnabled(contextOptions)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Cheaply check whether any registered logger could write a record with the given level and component.
+     *
+     * Only the static bounds of level and component filters are consulted, so a `true` result may still be
+     * rejected by other filters; a `false` result is definitive.
+     *
+     * @param level - Record level.
+     * @param component - Record component.
+     * @returns False when no logger can write the record.
+     */
+    public mayWrite(level: LogLevel, component?: string): boolean {
+        this.lowestLevel ??= this.computeLowestLevel();
+        if (level < this.lowestLevel) {
+            return false;
+        }
+
+        let byComponent = this.decisions.get(level);
+        const cached = byComponent?.get(component);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const decision = this.computeMayWrite(level, component);
+        if (this.decisionCount >= MAX_CACHED_DECISIONS) {
+            this.decisions.clear();
+            this.decisionCount = 0;
+            byComponent = undefined;
+        }
+        if (byComponent === undefined) {
+            byComponent = new Map();
+            this.decisions.set(level, byComponent);
+        }
+        byComponent.set(component, decision);
+        this.decisionCount++;
+        return decision;
+    }
+
+    private computeLowestLevel(): number {
+        let lowest = Infinity;
         for (const logger of this.loggers) {
-            logger.log(options, ...args);
+            lowest = Math.min(lowest, logger.filterGate.lowestLevel);
         }
+        return lowest;
+    }
+
+    private computeMayWrite(level: LogLevel, component: string | undefined): boolean {
+        for (const logger of this.loggers) {
+            if (logger.filterGate.mayPass(level, component)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private invalidate(): void {
+        this.lowestLevel = undefined;
+        this.decisions.clear();
+        this.decisionCount = 0;
+    }
+}
+
+function withContextFields(options: LogOptions): LogOptions {
+    const contextFields = getLogContext();
+    if (contextFields === undefined) {
+        return options;
+    }
+    return { ...options, fields: mergeLogFields(contextFields, options.fields) };
+}
+
+function toLogRedactor(redaction: RedactionOptions | LogRedactor | undefined): LogRedactor | undefined {
+    if (redaction === undefined || typeof redaction === 'function') {
+        return redaction;
     }
+    return createLogRedactor(redaction);
 }
 
 /**
  * Create a new logger registry.
  *
+ * @param options - Registry options such as redaction.
  * @returns A new {@link LoggerRegistry} instance.
  */
-export function createLoggerRegistry(): LoggerRegistry {
-    return new LoggerRegistry();
+export function createLoggerRegistry(options: LoggerRegistryOptions = {}): LoggerRegistry {
+    return new LoggerRegistry(options);
 }
@@ -0,0 +1,94 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createTimestampRenderer, levelName, type TimestampStyle } from './formatUtils';
+import { LogLevel, type LogOptions, type LogWriter } from './types';
+
+/**
+ * Options for {@link browserConsoleLogWriter}.
+ */
+export interface BrowserConsoleLogWriterOptions {
+    /**
+     * Style the level and component with `%c` CSS. Defaults to true.
+     */
+    colors?: boolean;
+
+    /**
+     * How the record time is rendered. Defaults to `none`, as developer tools show their own timestamps.
+     */
+    timestamp?: TimestampStyle;
+}
+
+type ConsoleMethod = (...data: unknown[]) => void;
+
+const LEVEL_STYLES: Record<LogLevel, string> = {
+    [LogLevel.TRACE]: 'color: #6b7280',
+    [LogLevel.DEBUG]: 'color: #0891b2',
+    [LogLevel.INFO]: 'color: #16a34a',
+    [LogLevel.WARN]: 'color: #d97706; font-weight: bold',
+    [LogLevel.ERROR]: 'color: #dc2626; font-weight: bold',
+};
+
+const COMPONENT_STYLE = 'color: #7c3aed';
+
+function consoleMethod(level: LogLevel): ConsoleMethod {
+    if (level >= LogLevel.ERROR) {
+        return console.error;
+    }
+    if (level >= LogLevel.WARN) {
+        return console.warn;
+    }
+    if (level >= LogLevel.INFO) {
+        return console.info;
+    }
+    return console.debug;
+}
+
+/**
+ * Create a log writer for browsers, web workers and edge runtimes that calls `console.debug`,
+ * `console.info`, `console.warn` or `console.error` according to the level.
+ *
+ * The level and component are styled with `%c` CSS. Arguments are passed to the console unrendered,
+ * after the prefix, so a leading format string keeps its substitutions and objects stay expandable in
+ * developer tools; context fields are passed as a trailing object.
+ *
+ * @example
+ * ```ts
+ * startLogger({ logWriter: browserConsoleLogWriter(), filters: [browserEnvLogFilter('DEBUG_APP')] });
+ * ```
+ *
+ * @param options - Styling and timestamp options.
+ * @returns A log writer function that writes to the console.
+ */
+export function browserConsoleLogWriter(options: BrowserConsoleLogWriterOptions = {}): LogWriter {
+    const { colors = true } = options;
+    const renderTime = createTimestampRenderer(options.timestamp ?? 'none');
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        const time = renderTime(logOptions.timestamp);
+        const level = escapePercent(levelName(logOptions.level));
+        const component = logOptions.component ? escapePercent(logOptions.component) : undefined;
+        const styles: string[] = [];
+        let template = time === '' ? '' : `${escapePercent(time)} `;
+        if (colors) {
+            template += `%c${level}%c`;
+            styles.push(LEVEL_STYLES[logOptions.level] ?? '', '');
+            if (component !== undefined) {
+                template += ` %c[${component}]%c`;
+                styles.push(COMPONENT_STYLE, '');
+            }
+        } else {
+            template += component === undefined ? level : `${level} [${component}]`;
+        }
+
+        const [first, ...rest] = args;
+        const values = typeof first === 'string' ? rest : args;
+        if (typeof first === 'string') {
+            template += ` ${first}`;
+        }
+        const fields = logOptions.fields !== undefined && Object.keys(logOptions.fields).length > 0 ? [logOptions.fields] : [];
+        consoleMethod(logOptions.level)(template, ...styles, ...values, ...fields);
+    };
+}
+
+function escapePercent(value: string): string {
+    return value.replace(/%/gu, '%%');
+}
@@ -0,0 +1,251 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { appendFileSync, createWriteStream, type WriteStream } from 'node:fs';
+
+import { createWriteErrorReporter } from './fallback';
+import { defaultLogFormatter } from './formatters';
+import type { LogFormatter, LogOptions } from './types';
+
+/**
+ * Options for {@link bufferedFileLogWriter}.
+ */
+export interface BufferedFileLogWriterOptions {
+    /**
+     * Formatter used to render each record. Defaults to {@link defaultLogFormatter}.
+     */
+    formatter?: LogFormatter;
+
+    /**
+     * Number of buffered bytes that triggers a flush. Defaults to 64 KiB.
+     */
+    maxBufferSize?: number;
+
+    /**
+     * Interval in milliseconds between periodic flushes. Defaults to 1000; `0` disables the timer.
+     */
+    flushInterval?: number;
+}
+
+/**
+ * Log writer that buffers records in memory and exposes explicit lifecycle control.
+ */
+export interface BufferedLogWriter {
+    /**
+     * Queue a log message for writing.
+     *
+     * @param options - Log metadata for this message.
+     * @param args - Arguments to render into the log output.
+     */
+    (options: LogOptions, ...args: unknown[]): void;
+
+    /**
+     * Write all buffered records.
+     *
+     * @returns Promise that resolves once buffered records have been handed to the sink.
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Flush buffered records and release the underlying resources.
+     *
+     * Records written after closing are appended synchronously.
+     *
+     * @returns Promise that resolves once the sink is closed.
+     */
+    close(): Promise<void>;
+}
+
+const DEFAULT_MAX_BUFFER_SIZE = 64 * 1024;
+const DEFAULT_FLUSH_INTERVAL = 1000;
+
+// One pair of process hooks serves every open sink, so many writers do not pile up listeners.
+const openSinks = new Set<BufferedFileSink>();
+
+function flushOpenSinks(): void {
+    for (const sink of openSinks) {
+        void sink.flush();
+    }
+}
+
+function writeOpenSinksSync(): void {
+    for (const sink of openSinks) {
+        sink.writeRemainingSync();
+    }
+}
+
+function registerSink(sink: BufferedFileSink): void {
+    if (openSinks.size === 0) {
+        process.on('beforeExit', flushOpenSinks);
+        process.on('exit', writeOpenSinksSync);
+    }
+    openSinks.add(sink);
+}
+
+function unregisterSink(sink: BufferedFileSink): void {
+    if (openSinks.delete(sink) && openSinks.size === 0) {
+        process.off('beforeExit', flushOpenSinks);
+        process.off('exit', writeOpenSinksSync);
+    }
+}
+
+class BufferedFileSink {
+    private readonly reportError: (error: unknown) => void;
+    private readonly timer: NodeJS.Timeout | undefined;
+    private stream: WriteStream | undefined;
+    private buffer: string[] = [];
+    private bufferedBytes = 0;
+    // Chunks taken from the buffer whose stream write has not completed yet, oldest first.
+    private unwritten: string[] = [];
+    private pending: Promise<void> = Promise.resolve();
+    private failed = false;
+    private closed = false;
+
+    public constructor(
+        private readonly filePath: string,
+        private readonly maxBufferSize: number,
+        flushInterval: number,
+    ) {
+        this.reportError = createWriteErrorReporter(`log file "${filePath}"`);
+        if (flushInterval > 0) {
+            this.timer = setInterval(() => void this.flush(), flushInterval);
+            this.timer.unref();
+        }
+        registerSink(this);
+    }
+
+    public write(message: string): void {
+        if (this.closed) {
+            this.appendSync(message + '\n');
+            return;
+        }
+        if (this.failed) {
+            console.error(message);
+            return;
+        }
+        this.buffer.push(message + '\n');
+        this.bufferedBytes += Buffer.byteLength(message) + 1;
+        if (this.bufferedBytes >= this.maxBufferSize) {
+            void this.flush();
+        }
+    }
+
+    public flush(): Promise<void> {
+        if (this.buffer.length === 0) {
+            return this.pending;
+        }
+        const chunk = this.takeBuffer();
+        if (this.failed) {
+            console.error(chunk.trimEnd());
+            return this.pending;
+        }
+        const stream = this.openStream();
+        this.unwritten.push(chunk);
+        this.pending = this.pending.then(() => this.writeChunk(stream, chunk));
+        return this.pending;
+    }
+
+    public async close(): Promise<void> {
+        if (this.timer !== undefined) {
+            clearInterval(this.timer);
+        }
+        unregisterSink(this);
+
+        // The sink may already be closed by the exit hook; the stream still needs to be ended.
+        if (!this.closed) {
+            await this.flush();
+            this.closed = true;
+        }
+        const stream = this.stream;
+        this.stream = undefined;
+        if (stream !== undefined && !stream.destroyed) {
+            await new Promise<void>((resolve) => stream.end(resolve));
+        }
+    }
+
+    public writeRemainingSync(): void {
+        // Asynchronous writes cannot complete during 'exit', so append everything the stream has not
+        // confirmed yet, in order, and route later records through the synchronous path.
+        const remaining = this.unwritten.join('') + this.takeBuffer();
+        this.unwritten = [];
+        this.closed = true;
+        if (remaining !== '') {
+            this.appendSync(remaining);
+        }
+    }
+
+    private takeBuffer(): string {
+        const chunk = this.buffer.join('');
+        this.buffer = [];
+        this.bufferedBytes = 0;
+        return chunk;
+    }
+
+    private openStream(): WriteStream {
+        if (this.stream === undefined) {
+            this.stream = createWriteStream(this.filePath, { flags: 'a' });
+            this.stream.on('error', (error) => this.fail(error));
+        }
+        return this.stream;
+    }
+
+    private writeChunk(stream: WriteStream, chunk: string): Promise<void> {
+        if (this.closed && this.unwritten.length === 0) {
+            // Already written synchronously at exit
+            return Promise.resolve();
+        }
+        if (this.failed) {
+            this.unwritten.shift();
+            console.error(chunk.trimEnd());
+            return Promise.resolve();
+        }
+        return new Promise<void>((resolve) => {
+            stream.write(chunk, (error) => {
+                this.unwritten.shift();
+                if (error) {
+                    console.error(chunk.trimEnd());
+                    this.fail(error);
+                }
+                resolve();
+            });
+        });
+    }
+
+    private appendSync(chunk: string): void {
+        try {
+            appendFileSync(this.filePath, chunk);
+        } catch (error) {
+            // Fallback to console if file write fails
+            console.error(chunk.trimEnd());
+            this.reportError(error);
+        }
+    }
+
+    private fail(error: unknown): void {
+        this.failed = true;
+        this.reportError(error);
+    }
+}
+
+/**
+ * Create a log writer that batches records and appends them to a file through a write stream.
+ *
+ * Records are flushed when the buffer reaches `maxBufferSize`, every `flushInterval` milliseconds,
+ * on `beforeExit`, and synchronously on `exit`, including chunks the stream has not written yet. All
+ * writers share one pair of process hooks. Falls back to console output if the file cannot be written;
+ * the first failure is reported.
+ *
+ * @param filePath - Absolute or relative path to the log file.
+ * @param options - Writer options including formatter and flush thresholds.
+ * @returns A log writer with `flush()` and `close()` methods.
+ */
+export function bufferedFileLogWriter(filePath: string, options: BufferedFileLogWriterOptions = {}): BufferedLogWriter {
+    const { formatter = defaultLogFormatter, maxBufferSize = DEFAULT_MAX_BUFFER_SIZE, flushInterval = DEFAULT_FLUSH_INTERVAL } = options;
+    const sink = new BufferedFileSink(filePath, maxBufferSize, flushInterval);
+    const writer = (logOptions: LogOptions, ...args: unknown[]): void => {
+        sink.write(formatter(logOptions, args));
+    };
+    return Object.assign(writer, {
+        flush: () => sink.flush(),
+        close: () => sink.close(),
+    });
+}
@@ -0,0 +1,290 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { isDeepStrictEqual } from 'node:util';
+
+import { getDefaultLoggerRegistry } from './default';
+import { formatLogArgs } from './format';
+import { defaultLogFormatter } from './formatters';
+import type { LoggerRegistry } from './LoggerRegistry';
+import type { FilteredLogger, LogFields, LogFilter, LogFormatter, LogLevel, LogOptions } from './types';
+
+/**
+ * Options for {@link captureLogs}.
+ */
+export interface CaptureLogsOptions {
+    /**
+     * Formatter used to render {@link CapturedLog.formatted}. Defaults to {@link defaultLogFormatter}.
+     */
+    formatter?: LogFormatter;
+
+    /**
+     * Clock used to stamp records: a fixed time in milliseconds since the epoch, or a function returning
+     * the current time. When set, it is installed on the registry with {@link LoggerRegistry.setClock}, so
+     * every logger, writer and formatter of the registry renders the same time, until {@link LogCapture.stop}.
+     * Defaults to `Date.now`, applied to captured records only. Records that already carry a `timestamp` keep it.
+     */
+    now?: number | (() => number);
+
+    /**
+     * Filters restricting which records are captured. All records are captured by default.
+     */
+    filters?: LogFilter[];
+}
+
+/**
+ * A record recorded by a {@link LogCapture}.
+ */
+export interface CapturedLog {
+    /**
+     * Log metadata as received by the writer, with `timestamp` set.
+     */
+    options: LogOptions;
+
+    /**
+     * Arguments of the log call.
+     */
+    args: unknown[];
+
+    /**
+     * Record level.
+     */
+    level: LogLevel;
+
+    /**
+     * Record component, if any.
+     */
+    component?: string;
+
+    /**
+     * Context fields, if any.
+     */
+    fields?: LogFields;
+
+    /**
+     * Time of the record in milliseconds since the epoch.
+     */
+    timestamp: number;
+
+    /**
+     * Arguments rendered as the log message, without timestamp, level or component.
+     */
+    message: string;
+
+    /**
+     * Full line rendered with the capture's formatter.
+     */
+    formatted: string;
+}
+
+/**
+ * Criteria for selecting captured records. Omitted properties match every record.
+ */
+export interface LogQuery {
+    /**
+     * Exact level, or one of several levels.
+     */
+    level?: LogLevel | LogLevel[];
+
+    /**
+     * Lowest level to match.
+     */
+    minLevel?: LogLevel;
+
+    /**
+     * Exact component name, or a pattern tested against the component.
+     */
+    component?: string | RegExp;
+
+    /**
+     * Substring of, or pattern tested against, the rendered message.
+     */
+    text?: string | RegExp;
+
+    /**
+     * Fields the record must carry, compared with deep equality. Other fields are ignored.
+     */
+    fields?: LogFields;
+}
+
+/**
+ * Records log output of a registry for assertions in tests.
+ */
+export class LogCapture {
+    private readonly captured: CapturedLog[] = [];
+    private readonly logger: FilteredLogger;
+    private readonly formatter: LogFormatter;
+    private clockInstalled = false;
+
+    public constructor(
+        private readonly registry: LoggerRegistry,
+        options: CaptureLogsOptions = {},
+    ) {
+        this.formatter = options.formatter ?? defaultLogFormatter;
+        if (options.now !== undefined) {
+            this.setClock(options.now);
+        }
+        this.logger = registry.startLogger({
+            name: 'capture',
+            fixedLevels: true,
+            logWriter: (logOptions, ...args) => this.record(logOptions, args),
+            filters: options.filters,
+        });
+    }
+
+    /**
+     * Captured records, oldest first.
+     *
+     * @returns The records captured so far.
+     */
+    public get entries(): readonly CapturedLog[] {
+        return this.captured;
+    }
+
+    /**
+     * Replace the clock used to stamp subsequent records of the registry, see {@link CaptureLogsOptions.now}.
+     *
+     * @param now - Fixed time in milliseconds since the epoch, or a function returning the current time.
+     */
+    public setClock(now: number | (() => number)): void {
+        this.registry.setClock(typeof now === 'number' ? () => now : now);
+        this.clockInstalled = true;
+    }
+
+    /**
+     * Select captured records matching a query.
+     *
+     * @param query - Criteria to match.
+     * @returns Matching records, oldest first.
+     */
+    public filter(query: LogQuery = {}): CapturedLog[] {
+        return this.captured.filter((entry) => matchesLogQuery(entry, query));
+    }
+
+    /**
+     * Find the first captured record matching a query.
+     *
+     * @param query - Criteria to match.
+     * @returns The first matching record, or `undefined`.
+     */
+    public find(query: LogQuery = {}): CapturedLog | undefined {
+        return this.captured.find((entry) => matchesLogQuery(entry, query));
+    }
+
+    /**
+     * Check whether any captured record matches a query.
+     *
+     * @param query - Criteria to match.
+     * @returns True when at least one record matches.
+     */
+    public has(query: LogQuery = {}): boolean {
+        return this.find(query) !== undefined;
+    }
+
+    /**
+     * Get the rendered messages of captured records matching a query.
+     *
+     * @param query - Criteria to match.
+     * @returns Messages of matching records, oldest first.
+     */
+    public messages(query: LogQuery = {}): string[] {
+        return this.filter(query).map((entry) => entry.message);
+    }
+
+    /**
+     * Discard all captured records.
+     */
+    public clear(): void {
+        this.captured.length = 0;
+    }
+
+    /**
+     * Stop capturing, unregister the capture logger and remove the clock it installed. Captured records
+     * stay available.
+     */
+    public stop(): void {
+        if (this.clockInstalled) {
+            this.registry.setClock(undefined);
+            this.clockInstalled = false;
+        }
+        void this.logger.stop();
+    }
+
+    private record(logOptions: LogOptions, args: unknown[]): void {
+        const timestamp = logOptions.timestamp ?? Date.now();
+        const options = { ...logOptions, timestamp };
+        const entry: CapturedLog = {
+            options,
+            args,
+            level: options.level,
+            timestamp,
+            message: formatLogArgs(...args),
+            formatted: this.formatter(options, args),
+        };
+        if (options.component !== undefined) {
+            entry.component = options.component;
+        }
+        if (options.fields !== undefined) {
+            entry.fields = options.fields;
+        }
+        this.captured.push(entry);
+    }
+}
+
+/**
+ * Start capturing the log output of a registry.
+ *
+ * @example
+ * ```ts
+ * const registry = createLoggerRegistry();
+ * const logs = captureLogs(registry, { now: 0 });
+ * registry.log({ level: LogLevel.WARN, component: 'api' }, 'slow request');
+ * expect(logs.has({ level: LogLevel.WARN, text: /slow/ })).toBe(true);
+ * logs.stop();
+ * ```
+ *
+ * @param registry - Registry to capture. Defaults to the default registry.
+ * @param options - Formatter, clock and capture filters.
+ * @returns A {@link LogCapture} recording every record written to the registry.
+ */
+export function captureLogs(registry: LoggerRegistry = getDefaultLoggerRegistry(), options: CaptureLogsOptions = {}): LogCapture {
+    return new LogCapture(registry, options);
+}
+
+/**
+ * Check whether a captured record matches a query.
+ *
+ * @param entry - Captured record.
+ * @param query - Criteria to match.
+ * @returns True when the record satisfies every criterion of the query.
+ */
+export function matchesLogQuery(entry: CapturedLog, query: LogQuery): boolean {
+    const { level, minLevel, component, text, fields } = query;
+    if (level !== undefined && !(Array.isArray(level) ? level.includes(entry.level) : entry.level === level)) {
+        return false;
+    }
+    if (minLevel !== undefined && entry.level < minLevel) {
+        return false;
+    }
+    if (component !== undefined && !matchesText(entry.component, component, true)) {
+        return false;
+    }
+    if (text !== undefined && !matchesText(entry.message, text, false)) {
+        return false;
+    }
+    if (fields !== undefined) {
+        const entryFields = entry.fields ?? {};
+        return Object.entries(fields).every(([name, value]) => name in entryFields && isDeepStrictEqual(entryFields[name], value));
+    }
+    return true;
+}
+
+function matchesText(value: string | undefined, expected: string | RegExp, exact: boolean): boolean {
+    if (value === undefined) {
+        return false;
+    }
+    if (typeof expected !== 'string') {
+        expected.lastIndex = 0;
+        return expected.test(value);
+    }
+    return exact ? value === expected : value.includes(expected);
+}
@@ -0,0 +1,288 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { readFileSync } from 'node:fs';
+
+import { getDefaultLoggerRegistry } from './default';
+import { parseLogFilter } from './filterExpression';
+import type { ComponentLevelRule } from './filters';
+import { devLogFormatter, jsonLogFormatter, logfmtLogFormatter, textLogFormatter } from './formatters';
+import { parseLogLevel } from './levels';
+import type { LoggerRegistry } from './LoggerRegistry';
+import { prettyConsoleLogWriter } from './pretty';
+import { LogLevel, type FilteredLogger, type LogFormatter, type LogWriter } from './types';
+import { createConsoleLogWriter, fileLogWriter } from './writers';
+
+export { parseLogLevel } from './levels';
+
+/**
+ * Output layouts selectable from configuration.
+ */
+export type LogFormatName = 'text' | 'logfmt' | 'json' | 'dev' | 'pretty';
+
+/**
+ * Declarative logger configuration.
+ */
+export interface LogConfig {
+    /**
+     * Component levels, either as a spec string (`api:*=debug,worker=warn,-api:noisy,*=info`)
+     * or as a map from component glob to level name (`{ 'api:*': 'debug', '*': 'info' }`).
+     */
+    levels?: string | Record<string, string>;
+
+    /**
+     * Additional filter expression, e.g. `level>=warn || component^=auth`. See {@link parseLogFilter}.
+     */
+    filter?: string;
+
+    /**
+     * Output layout. Defaults to `text`; `pretty` is only used for console output.
+     */
+    format?: LogFormatName;
+
+    /**
+     * Append to this file instead of writing to the console.
+     */
+    file?: string;
+}
+
+/**
+ * Options for {@link configureLoggers} and {@link configureLoggersFromEnv}.
+ */
+export interface ConfigureLoggersOptions {
+    /**
+     * Registry to create the logger in. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+}
+
+const LOG_FORMAT_NAMES: readonly LogFormatName[] = ['text', 'logfmt', 'json', 'dev', 'pretty'];
+
+/**
+ * Parse a DEBUG-style log spec into component rules.
+ *
+ * Entries are separated by commas or whitespace and have the form `pattern[=level]`. The level defaults to
+ * `trace`. A leading `-` or `!` negates the entry, disabling matching components regardless of other rules.
+ *
+ * @example
+ * ```ts
+ * parseLogSpec('api:*=debug,worker=warn,-api:health,*=info');
+ * ```
+ *
+ * @param spec - Spec string to parse.
+ * @returns Rules in the order they appear.
+ * @throws {Error} When an entry has an empty pattern or an unknown level.
+ */
+export function parseLogSpec(spec: string): ComponentLevelRule[] {
+    const rules: ComponentLevelRule[] = [];
+    for (const entry of spec.split(/[\s,]+/u)) {
+        if (entry === '') {
+            continue;
+        }
+        const negated = entry.startsWith('-') || entry.startsWith('!');
+        const body = negated ? entry.slice(1) : entry;
+        const separator = body.lastIndexOf('=');
+        const pattern = (separator === -1 ? body : body.slice(0, separator)).trim();
+        if (pattern === '') {
+            throw new Error(`Invalid log spec entry "${entry}": missing component pattern.`);
+        }
+        if (negated) {
+            rules.push({ pattern, level: undefined });
+            continue;
+        }
+        rules.push({ pattern, level: separator === -1 ? LogLevel.TRACE : parseLogLevel(body.slice(separator + 1)) });
+    }
+    return rules;
+}
+
+/**
+ * Parse component levels given as a spec string or as a map from component glob to level name.
+ *
+ * @param levels - Spec string (see {@link parseLogSpec}) or map such as `{ 'api:*': 'debug', '*': 'info' }`.
+ * @returns The parsed component rules.
+ * @throws {Error} When a level name is unknown.
+ */
+export function parseComponentLevels(levels: string | Record<string, string>): ComponentLevelRule[] {
+    if (typeof levels === 'string') {
+        return parseLogSpec(levels);
+    }
+    return Object.entries(levels).map(([pattern, level]) => ({ pattern, level: parseLogLevel(level) }));
+}
+
+/**
+ * Convert component rules into the map accepted by {@link FilteredLogger.setComponentLevels}.
+ *
+ * A negated rule wins over another rule with the same pattern.
+ *
+ * @param rules - Rules as returned by {@link parseComponentLevels}.
+ * @returns Minimum level per component glob; `undefined` disables matching components.
+ */
+export function componentLevelsFromRules(rules: ComponentLevelRule[]): Record<string, LogLevel | undefined> {
+    const componentLevels: Record<string, LogLevel | undefined> = {};
+    for (const { pattern, level } of rules) {
+        if (pattern in componentLevels && componentLevels[pattern] === undefined) {
+            continue;
+        }
+        componentLevels[pattern] = level;
+    }
+    return componentLevels;
+}
+
+/**
+ * Create a logger from a declarative configuration.
+ *
+ * @example
+ * ```ts
+ * configureLoggers({ levels: 'api:*=debug,worker=warn,*=info', format: 'json', file: '/var/log/app.log' });
+ * ```
+ *
+ * @param config - Levels, format and destination of the logger.
+ * @param options - Registry to create the logger in.
+ * @returns The started logger.
+ * @throws {Error} When the configuration contains an unknown level or format, or an invalid filter expression.
+ */
+export function configureLoggers(config: LogConfig, options: ConfigureLoggersOptions = {}): FilteredLogger {
+    const { registry = getDefaultLoggerRegistry() } = options;
+    return registry.startLogger({
+        name: 'config',
+        logWriter: createConfiguredWriter(config.format ?? 'text', config.file),
+        componentLevels: componentLevelsFromRules(parseComponentLevels(config.levels ?? { '*': 'info' })),
+        filters: config.filter !== undefined ? [parseLogFilter(config.filter)] : [],
+    });
+}
+
+/**
+ * Create a logger from environment variables.
+ *
+ * - `TSDK_LOG_CONFIG`: path to a JSON file containing a {@link LogConfig}.
+ * - `TSDK_LOG`: log spec (see {@link parseLogSpec}), e.g. `api:*=debug,worker=warn,*=info`.
+ * - `TSDK_LOG_FILTER`: filter expression (see {@link parseLogFilter}), e.g. `level>=warn || component^=auth`.
+ * - `TSDK_LOG_FORMAT`: one of `text`, `logfmt`, `json`, `dev`, `pretty`.
+ * - `TSDK_LOG_FILE`: file to append to instead of the console.
+ *
+ * Variables override the values from the config file. Nothing is configured when none of `TSDK_LOG`,
+ * `TSDK_LOG_FILTER` and `TSDK_LOG_CONFIG` is set. The filter applies in addition to the component levels.
+ *
+ * @param env - Environment variables to read. Defaults to `process.env`.
+ * @param options - Registry to create the logger in.
+ * @returns The started logger, or `undefined` when logging is not configured.
+ * @throws {Error} When the config file cannot be read or the configuration is invalid.
+ */
+export function configureLoggersFromEnv(
+    env: NodeJS.ProcessEnv = process.env,
+    options: ConfigureLoggersOptions = {},
+): FilteredLogger | undefined {
+    const configPath = nonEmpty(env.TSDK_LOG_CONFIG);
+    const spec = nonEmpty(env.TSDK_LOG);
+    const filter = nonEmpty(env.TSDK_LOG_FILTER);
+    if (configPath === undefined && spec === undefined && filter === undefined) {
+        return undefined;
+    }
+
+    const config: LogConfig = configPath !== undefined ? readLogConfigFile(configPath) : {};
+    if (spec !== undefined) {
+        config.levels = spec;
+    }
+    if (filter !== undefined) {
+        config.filter = filter;
+    }
+    const format = nonEmpty(env.TSDK_LOG_FORMAT);
+    if (format !== undefined) {
+        config.format = parseLogFormat(format);
+    }
+    const file = nonEmpty(env.TSDK_LOG_FILE);
+    if (file !== undefined) {
+        config.file = file;
+    }
+    return configureLoggers(config, options);
+}
+
+/**
+ * Read a {@link LogConfig} from a JSON file.
+ *
+ * @param filePath - Path to the JSON file.
+ * @returns The parsed configuration.
+ * @throws {Error} When the file cannot be read or parsed, or has an invalid shape.
+ */
+export function readLogConfigFile(filePath: string): LogConfig {
+    let parsed: unknown;
+    try {
+        parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        throw new Error(`Failed to read log config "${filePath}": ${errorMessage}`);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`Invalid log config "${filePath}": expected a JSON object.`);
+    }
+
+    const { levels, filter, format, file } = parsed as Record<string, unknown>;
+    const config: LogConfig = {};
+    if (typeof levels === 'string' || isStringRecord(levels)) {
+        config.levels = levels;
+    } else if (levels !== undefined) {
+        throw new Error(`Invalid log config "${filePath}": "levels" must be a string or an object of level names.`);
+    }
+    if (typeof filter === 'string') {
+        config.filter = filter;
+    } else if (filter !== undefined) {
+        throw new Error(`Invalid log config "${filePath}": "filter" must be a string.`);
+    }
+    if (typeof format === 'string') {
+        config.format = parseLogFormat(format);
+    } else if (format !== undefined) {
+        throw new Error(`Invalid log config "${filePath}": "format" must be a string.`);
+    }
+    if (typeof file === 'string') {
+        config.file = file;
+    } else if (file !== undefined) {
+        throw new Error(`Invalid log config "${filePath}": "file" must be a string.`);
+    }
+    return config;
+}
+
+function parseLogFormat(name: string): LogFormatName {
+    const normalized = name.trim().toLowerCase();
+    const format = LOG_FORMAT_NAMES.find((candidate) => candidate === normalized);
+    if (format === undefined) {
+        throw new Error(`Unknown log format "${name}". Expected one of: ${LOG_FORMAT_NAMES.join(', ')}.`);
+    }
+    return format;
+}
+
+function createConfiguredWriter(format: LogFormatName, file: string | undefined): LogWriter {
+    if (file !== undefined) {
+        return fileLogWriter(file, { formatter: createFormatter(format) });
+    }
+    if (format === 'pretty') {
+        return prettyConsoleLogWriter();
+    }
+    return createConsoleLogWriter({ formatter: createFormatter(format) });
+}
+
+function createFormatter(format: LogFormatName): LogFormatter {
+    switch (format) {
+        case 'logfmt':
+            return logfmtLogFormatter();
+        case 'json':
+            return jsonLogFormatter();
+        case 'dev':
+            return devLogFormatter();
+        case 'text':
+        case 'pretty':
+            return textLogFormatter();
+    }
+}
+
+function isStringRecord(value: unknown): value is Record<string, string> {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.values(value).every((entry) => typeof entry === 'string')
+    );
+}
+
+function nonEmpty(value: string | undefined): string | undefined {
+    const trimmed = value?.trim();
+    return trimmed === '' ? undefined : trimmed;
+}
@@ -0,0 +1,36 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { mergeLogFields } from './fields';
+import type { LogFields } from './types';
+
+// Browsers have no AsyncLocalStorage: contexts follow the synchronous call stack only.
+let activeContext: LogFields | undefined;
+
+/**
+ * Run a function with context fields attached to every log call made while it runs.
+ *
+ * Browser builds track contexts on the synchronous call stack: fields are visible to log calls made
+ * before `fn` returns, but not after an `await` or in callbacks scheduled by `fn`.
+ *
+ * @param fields - Context fields to attach (e.g. `{ traceId }`).
+ * @param fn - Function to run within the context.
+ * @returns The return value of `fn`.
+ */
+export function withLogContext<T>(fields: LogFields, fn: () => T): T {
+    const previous = activeContext;
+    activeContext = mergeLogFields(previous, fields) ?? {};
+    try {
+        return fn();
+    } finally {
+        activeContext = previous;
+    }
+}
+
+/**
+ * Get the context fields active for the current call.
+ *
+ * @returns The active context fields, or `undefined` outside of {@link withLogContext}.
+ */
+export function getLogContext(): Readonly<LogFields> | undefined {
+    return activeContext;
+}
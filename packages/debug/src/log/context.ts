@@ -0,0 +1,33 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import { mergeLogFields } from './fields';
+import type { LogFields } from './types';
+
+const logContextStorage = new AsyncLocalStorage<LogFields>();
+
+/**
+ * Run a function with context fields attached to every log call made inside its async call tree.
+ *
+ * Fields are merged into `options.fields` by {@link LoggerRegistry.log} for all loggers, so filters and
+ * writers see them as if they were passed explicitly. Nested contexts merge with the outer context,
+ * inner fields winning on conflicts; fields passed explicitly to a log call win over context fields.
+ *
+ * @param fields - Context fields to attach (e.g. `{ traceId }`).
+ * @param fn - Function to run within the context.
+ * @returns The return value of `fn`.
+ */
+export function withLogContext<T>(fields: LogFields, fn: () => T): T {
+    const merged = mergeLogFields(logContextStorage.getStore(), fields) ?? {};
+    return logContextStorage.run(merged, fn);
+}
+
+/**
+ * Get the context fields active for the current async call tree.
+ *
+ * @returns The active context fields, or `undefined` outside of {@link withLogContext}.
+ */
+export function getLogContext(): Readonly<LogFields> | undefined {
+    return logContextStorage.getStore();
+}
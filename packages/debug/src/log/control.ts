@@ -0,0 +1,195 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { unwatchFile, watchFile, type Stats } from 'node:fs';
+
+import { componentLevelsFromRules, parseComponentLevels, readLogConfigFile } from './config';
+import { getDefaultLoggerRegistry } from './default';
+import type { LoggerRegistry } from './LoggerRegistry';
+import { LogLevel, type FilteredLogger, type LoggerDescription } from './types';
+
+/**
+ * Options for {@link installLogLevelSignal}.
+ */
+export interface LogLevelSignalOptions {
+    /**
+     * Signal that toggles verbose logging. Defaults to `SIGUSR2`.
+     */
+    signal?: NodeJS.Signals;
+
+    /**
+     * Minimum level applied while verbose logging is on. Defaults to {@link LogLevel.TRACE}.
+     */
+    level?: LogLevel;
+
+    /**
+     * Registry whose loggers are toggled. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+}
+
+/**
+ * Options for {@link watchLogConfig}.
+ */
+export interface WatchLogConfigOptions {
+    /**
+     * Registry whose loggers are updated. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+
+    /**
+     * Update only this logger instead of every logger in the registry.
+     */
+    logger?: FilteredLogger;
+
+    /**
+     * Polling interval in milliseconds. Defaults to 1000.
+     */
+    interval?: number;
+}
+
+const DEFAULT_WATCH_INTERVAL = 1000;
+
+// Component of the records announcing level changes.
+const CONTROL_COMPONENT = 'log';
+
+class LogLevelToggle {
+    private saved: Map<FilteredLogger, LoggerDescription> | undefined;
+
+    public constructor(
+        private readonly registry: LoggerRegistry,
+        private readonly level: LogLevel,
+    ) {}
+
+    public readonly toggle = (): void => {
+        if (this.saved === undefined) {
+            this.enable();
+        } else {
+            this.restore(this.saved);
+        }
+    };
+
+    private enable(): void {
+        const saved = new Map<FilteredLogger, LoggerDescription>();
+        for (const logger of this.registry.getLoggers()) {
+            const description = logger.describe();
+            if (description.fixedLevels) {
+                continue;
+            }
+            saved.set(logger, description);
+            logger.setMinLevel(this.level);
+            logger.setComponentLevels(undefined);
+        }
+        this.saved = saved;
+        this.registry.log(
+            { level: LogLevel.INFO, component: CONTROL_COMPONENT },
+            `Verbose logging enabled for ${saved.size} logger(s) at level ${LogLevel[this.level]}.`,
+        );
+    }
+
+    private restore(saved: Map<FilteredLogger, LoggerDescription>): void {
+        this.saved = undefined;
+        // Announced while the verbose levels still apply, so the record is not filtered out.
+        this.registry.log({ level: LogLevel.INFO, component: CONTROL_COMPONENT }, 'Verbose logging disabled; restoring previous levels.');
+        const active = new Set(this.registry.getLoggers());
+        for (const [logger, description] of saved) {
+            if (!active.has(logger)) {
+                continue;
+            }
+            if (description.levels !== undefined) {
+                logger.setLevels(description.levels);
+            } else {
+                logger.setMinLevel(description.minLevel);
+            }
+            logger.setComponentLevels(description.componentLevels);
+        }
+    }
+}
+
+/**
+ * Toggle verbose logging of every active logger when the process receives a signal.
+ *
+ * The first signal lifts level and component-level restrictions to `level`; the next one restores the
+ * levels each logger had before. Component prefixes and custom filters are left untouched, and loggers
+ * started with {@link LoggerConfig.fixedLevels} are skipped. Each toggle is logged through the registry
+ * at INFO level with component `log`.
+ *
+ * @example
+ * ```ts
+ * installLogLevelSignal();
+ * // kill -USR2 <pid>
+ * ```
+ *
+ * @param options - Signal, verbose level and registry.
+ * @returns Function that removes the signal handler.
+ */
+export function installLogLevelSignal(options: LogLevelSignalOptions = {}): () => void {
+    const { signal = 'SIGUSR2', level = LogLevel.TRACE, registry = getDefaultLoggerRegistry() } = options;
+    const { toggle } = new LogLevelToggle(registry, level);
+    process.on(signal, toggle);
+    return (): void => {
+        process.off(signal, toggle);
+    };
+}
+
+class LogConfigWatcher {
+    public constructor(
+        private readonly filePath: string,
+        private readonly registry: LoggerRegistry,
+        private readonly logger: FilteredLogger | undefined,
+    ) {}
+
+    public readonly handleChange = (current: Stats, previous: Stats): void => {
+        if (current.mtimeMs === previous.mtimeMs) {
+            return;
+        }
+        if (current.mtimeMs === 0) {
+            this.registry.log(
+                { level: LogLevel.WARN, component: CONTROL_COMPONENT },
+                `Log config "${this.filePath}" was removed; keeping current levels.`,
+            );
+            return;
+        }
+        this.reload();
+    };
+
+    private reload(): void {
+        try {
+            const config = readLogConfigFile(this.filePath);
+            const componentLevels = componentLevelsFromRules(parseComponentLevels(config.levels ?? { '*': 'info' }));
+            if (this.logger !== undefined) {
+                this.logger.setComponentLevels(componentLevels);
+            } else {
+                this.registry.setComponentLevels(componentLevels);
+            }
+            this.registry.log({ level: LogLevel.INFO, component: CONTROL_COMPONENT }, `Reloaded log levels from "${this.filePath}".`);
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            this.registry.log(
+                { level: LogLevel.ERROR, component: CONTROL_COMPONENT },
+                `Failed to reload log config "${this.filePath}": ${errorMessage}; keeping current levels.`,
+            );
+        }
+    }
+}
+
+/**
+ * Watch a JSON {@link LogConfig} file and apply its `levels` whenever the file changes.
+ *
+ * Only component levels are reloaded; `format` and `file` take effect on the next start. Without
+ * `logger`, the levels apply to every logger of the registry except those started with
+ * {@link LoggerConfig.fixedLevels}. Reloads are logged through the registry with component `log`;
+ * invalid files are logged at ERROR level and leave the current levels in place. The watcher does not
+ * keep the process alive.
+ *
+ * @param filePath - Path to the JSON config file.
+ * @param options - Target registry or logger and polling interval.
+ * @returns Function that stops watching the file.
+ */
+export function watchLogConfig(filePath: string, options: WatchLogConfigOptions = {}): () => void {
+    const { registry = getDefaultLoggerRegistry(), logger, interval = DEFAULT_WATCH_INTERVAL } = options;
+    const { handleChange } = new LogConfigWatcher(filePath, registry, logger);
+    watchFile(filePath, { interval, persistent: false }, handleChange);
+    return (): void => {
+        unwatchFile(filePath, handleChange);
+    };
+}
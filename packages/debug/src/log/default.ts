@@ -1,10 +1,19 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
-import { createLoggerRegistry } from './LoggerRegistry';
+import { createLoggerRegistry, type LoggerRegistry } from './LoggerRegistry';
 import type { FilteredLogger, LoggerConfig, LogOptions } from './types';
 
 const defaultLoggerRegistry = createLoggerRegistry();
 
+/**
+ * Get the registry used by the global helpers.
+ *
+ * @returns The default {@link LoggerRegistry} instance.
+ */
+export function getDefaultLoggerRegistry(): LoggerRegistry {
+    return defaultLoggerRegistry;
+}
+
 /**
  * Remove all loggers from the default registry.
  */
@@ -12,6 +21,26 @@ export function resetLoggers(): void {
     defaultLoggerRegistry.reset();
 }
 
+/**
+ * Wait until every logger in the default registry has written its records, and flush their writers.
+ *
+ * @returns Promise that resolves once all loggers are flushed.
+ */
+export function flushLoggers(): Promise<void> {
+    return defaultLoggerRegistry.flush();
+}
+
+/**
+ * Unregister all loggers from the default registry, flush them and close their writers.
+ *
+ * Call this before the process exits so asynchronous writers can finish.
+ *
+ * @returns Promise that resolves once all writers are closed.
+ */
+export function closeLoggers(): Promise<void> {
+    return defaultLoggerRegistry.close();
+}
+
 /**
  * Start a logger in the default registry.
  *
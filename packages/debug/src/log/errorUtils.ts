@@ -0,0 +1,156 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import type { SerializedError, StackFrame } from './errors';
+
+const DEFAULT_FINGERPRINT_FRAMES = 3;
+
+// V8 frame: `at [async] [new] [function] (location)` or `at location`, where location is `file:line:column`.
+const V8_FRAME_PATTERN = /^\s*at (?:(async) )?(?:(.+?) \()?(.+?)(?::(\d+):(\d+))?\)?$/u;
+
+// Firefox/Safari frame: `function@file:line:column`.
+const GECKO_FRAME_PATTERN = /^\s*(.*?)@(.+?)(?::(\d+):(\d+))?$/u;
+
+const FNV_OFFSET_BASIS = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+const UINT64_MASK = 0xffffffffffffffffn;
+
+/**
+ * Parse the frames of a V8, Firefox or Safari stack trace.
+ *
+ * @param stack - Stack trace, usually `error.stack`.
+ * @returns Parsed frames, innermost first; lines that are not frames (such as the message) are skipped.
+ */
+export function parseStackFrames(stack: string | undefined): StackFrame[] {
+    if (stack === undefined) {
+        return [];
+    }
+    const frames: StackFrame[] = [];
+    for (const line of stack.split('\n')) {
+        const frame = parseFrame(line);
+        if (frame !== undefined) {
+            frames.push(frame);
+        }
+    }
+    return frames;
+}
+
+/**
+ * Compute a stable fingerprint for grouping repeated failures.
+ *
+ * The fingerprint hashes the error name and the function and file of the top application frames
+ * (frames inside `node:` modules are skipped; paths are made relative to the working directory or to
+ * `node_modules`). Messages, line and column numbers are ignored, so the same failure keeps its
+ * fingerprint across messages with variable data and unrelated code edits. Non-Error values are
+ * fingerprinted by type and value.
+ *
+ * @param error - Error or thrown value.
+ * @param frameCount - Number of frames to include. Defaults to 3.
+ * @returns A 16-digit hexadecimal fingerprint.
+ */
+export function errorFingerprint(error: unknown, frameCount = DEFAULT_FINGERPRINT_FRAMES): string {
+    if (!(error instanceof Error)) {
+        return fnv1a64(`${typeof error}|${String(error)}`);
+    }
+    const frames = parseStackFrames(error.stack)
+        .filter((frame) => frame.file === undefined || !frame.file.startsWith('node:'))
+        .slice(0, frameCount)
+        .map((frame) => `${frame.function ?? '<anonymous>'}@${normalizeFile(frame.file)}`);
+    return fnv1a64([error.name, ...frames].join('|'));
+}
+
+/**
+ * Serialize an Error into a plain object with name, message, stack, fingerprint, cause chain,
+ * `AggregateError` children and custom enumerable properties.
+ *
+ * @param error - Error to serialize.
+ * @param serializeValue - Serializer for the cause, children and custom properties; handles cycles.
+ * @param includeFrames - Whether to include parsed stack frames.
+ * @returns The serialized error.
+ */
+export function serializeErrorValue(error: Error, serializeValue: (value: unknown) => unknown, includeFrames: boolean): SerializedError {
+    const result: SerializedError = {
+        name: error.name,
+        message: error.message,
+        ...(error.stack !== undefined ? { stack: error.stack } : {}),
+        ...(error.stack !== undefined && includeFrames ? { frames: parseStackFrames(error.stack) } : {}),
+        fingerprint: errorFingerprint(error),
+    };
+    if (error.cause !== undefined) {
+        result.cause = serializeValue(error.cause);
+    }
+    if (error instanceof AggregateError && Array.isArray(error.errors)) {
+        result.errors = (error.errors as unknown[]).map((entry) => serializeValue(entry));
+    }
+    for (const [key, entry] of Object.entries(error)) {
+        if (!(key in result)) {
+            result[key] = serializeValue(entry);
+        }
+    }
+    return result;
+}
+
+function parseFrame(line: string): StackFrame | undefined {
+    const v8 = V8_FRAME_PATTERN.exec(line);
+    if (v8 !== null) {
+        const [, isAsync, fn, location = '', lineNumber, column] = v8;
+        return createFrame(fn, location, lineNumber, column, isAsync !== undefined);
+    }
+    const gecko = line.includes('@') ? GECKO_FRAME_PATTERN.exec(line) : null;
+    if (gecko !== null) {
+        const [, fn, location = '', lineNumber, column] = gecko;
+        return createFrame(fn === '' ? undefined : fn, location, lineNumber, column, false);
+    }
+    return undefined;
+}
+
+function createFrame(
+    fn: string | undefined,
+    location: string,
+    lineNumber: string | undefined,
+    column: string | undefined,
+    isAsync: boolean,
+): StackFrame {
+    // `at functionName` without a location (e.g. `at new Promise (<anonymous>)`) has no file.
+    const hasFile = lineNumber !== undefined || location.includes('/') || location.includes('\\') || location.startsWith('node:');
+    const frame: StackFrame = {};
+    const name = fn ?? (hasFile ? undefined : location);
+    if (name !== undefined && name !== '<anonymous>') {
+        frame.function = name;
+    }
+    if (hasFile) {
+        frame.file = location;
+    }
+    if (lineNumber !== undefined && column !== undefined) {
+        frame.line = Number(lineNumber);
+        frame.column = Number(column);
+    }
+    if (isAsync) {
+        frame.async = true;
+    }
+    return frame;
+}
+
+function normalizeFile(file: string | undefined): string {
+    if (file === undefined) {
+        return '';
+    }
+    let normalized = file.replace(/^file:\/\//u, '').replace(/[?#].*$/u, '');
+    const nodeModules = normalized.lastIndexOf('/node_modules/');
+    if (nodeModules !== -1) {
+        return normalized.slice(nodeModules + 1);
+    }
+    const cwd = typeof process !== 'undefined' && typeof process.cwd === 'function' ? process.cwd() : undefined;
+    if (cwd !== undefined && normalized.startsWith(`${cwd}/`)) {
+        normalized = normalized.slice(cwd.length + 1);
+    }
+    return normalized;
+}
+
+function fnv1a64(text: string): string {
+    let hash = FNV_OFFSET_BASIS;
+    for (const byte of new TextEncoder().encode(text)) {
+        hash ^= BigInt(byte);
+        hash = (hash * FNV_PRIME) & UINT64_MASK;
+    }
+    return hash.toString(16).padStart(16, '0');
+}
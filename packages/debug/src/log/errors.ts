@@ -0,0 +1,230 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { getDefaultLoggerRegistry } from './default';
+import { errorFingerprint, serializeErrorValue } from './errorUtils';
+import { serializeLogValue } from './json';
+import type { LoggerRegistry } from './LoggerRegistry';
+import { LogLevel } from './types';
+
+export { errorFingerprint, parseStackFrames } from './errorUtils';
+
+/**
+ * A single frame of a parsed stack trace.
+ */
+export interface StackFrame {
+    /**
+     * Function or method name, if the frame has one.
+     */
+    function?: string;
+
+    /**
+     * File path or URL, if the frame has a location.
+     */
+    file?: string;
+
+    /**
+     * 1-based line number, if the frame has a location with a position.
+     */
+    line?: number;
+
+    /**
+     * 1-based column number, if the frame has a location with a position.
+     */
+    column?: number;
+
+    /**
+     * True for `at async ...` frames of V8 async stack traces.
+     */
+    async?: boolean;
+}
+
+/**
+ * Plain-object form of an Error produced by {@link serializeError}.
+ *
+ * Custom enumerable properties of the error (e.g. `code`) are copied alongside the fixed fields.
+ */
+export interface SerializedError {
+    name: string;
+    message: string;
+    stack?: string;
+
+    /**
+     * Parsed stack frames, innermost first.
+     */
+    frames?: StackFrame[];
+
+    /**
+     * Stable grouping key, see {@link errorFingerprint}.
+     */
+    fingerprint: string;
+
+    /**
+     * Serialized `cause`; nested Errors are serialized the same way.
+     */
+    cause?: unknown;
+
+    /**
+     * Serialized children of an `AggregateError`.
+     */
+    errors?: unknown[];
+
+    [property: string]: unknown;
+}
+
+/**
+ * Options for {@link installErrorHooks}.
+ */
+export interface ErrorHooksOptions {
+    /**
+     * Registry that logs the errors. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+
+    /**
+     * Component of the logged records. Defaults to `process`.
+     */
+    component?: string;
+
+    /**
+     * Whether to exit after logging, like Node does without handlers. Defaults to true.
+     */
+    exit?: boolean;
+
+    /**
+     * Exit code. Defaults to 1.
+     */
+    exitCode?: number;
+
+    /**
+     * Maximum time in milliseconds to wait for the registry to flush before exiting. Defaults to 2000.
+     */
+    flushTimeout?: number;
+}
+
+const DEFAULT_FLUSH_TIMEOUT = 2000;
+
+/**
+ * Serialize an Error into a JSON-safe object with name, message, stack, parsed frames, fingerprint,
+ * `cause` chain, `AggregateError` children and custom enumerable properties.
+ *
+ * Nested Errors are serialized recursively and circular cause chains are replaced with `"[Circular]"`;
+ * other values go through {@link serializeLogValue}.
+ *
+ * @example
+ * ```ts
+ * serializeError(new AggregateError([new Error('a'), new Error('b')], 'both failed'));
+ * // { name: 'AggregateError', message: 'both failed', frames: [...], fingerprint: '…', errors: [{ name: 'Error', message: 'a', … }, …] }
+ * ```
+ *
+ * @param error - Error to serialize.
+ * @returns The serialized error.
+ */
+export function serializeError(error: Error): SerializedError {
+    return serializeErrorTree(error, new Set<object>([error]));
+}
+
+class ProcessErrorHandler {
+    private exiting = false;
+
+    public constructor(
+        private readonly registry: LoggerRegistry,
+        private readonly component: string,
+        private readonly exit: boolean,
+        private readonly exitCode: number,
+        private readonly flushTimeout: number,
+    ) {}
+
+    public readonly handleUncaughtException = (error: Error, origin: NodeJS.UncaughtExceptionOrigin): void => {
+        this.report('Uncaught exception:', error, origin);
+    };
+
+    public readonly handleUnhandledRejection = (reason: unknown): void => {
+        this.report('Unhandled promise rejection:', reason, 'unhandledRejection');
+    };
+
+    private report(message: string, error: unknown, origin: string): void {
+        this.registry.log(
+            { level: LogLevel.ERROR, component: this.component, fields: { origin, fingerprint: errorFingerprint(error) } },
+            message,
+            error,
+        );
+        if (!this.exit || this.exiting) {
+            return;
+        }
+        this.exiting = true;
+        process.exitCode = this.exitCode;
+        void this.flush().finally(() => process.exit(this.exitCode));
+    }
+
+    private async flush(): Promise<void> {
+        let timer: ReturnType<typeof setTimeout> | undefined;
+        const timeout = new Promise<void>((resolve) => {
+            timer = setTimeout(resolve, this.flushTimeout);
+        });
+        try {
+            await Promise.race([this.registry.flush().catch(() => undefined), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * Log `uncaughtException` and `unhandledRejection` events at ERROR level through a registry, then
+ * flush the registry and exit.
+ *
+ * Records carry the error as argument plus `origin` and `fingerprint` fields. By default the process
+ * exits with code 1 once the registry has flushed (or after `flushTimeout`), matching Node's behaviour
+ * without handlers. With `exit: false` the process keeps running, which is only safe for unhandled
+ * rejections; after an uncaught exception the application state is undefined. Node.js only, so the
+ * browser build does not export it.
+ *
+ * @example
+ * ```ts
+ * startLogger({ logWriter: jsonConsoleLogWriter() });
+ * installErrorHooks();
+ * ```
+ *
+ * @param options - Registry, component, exit behaviour and flush timeout.
+ * @returns Function that removes the handlers.
+ */
+export function installErrorHooks(options: ErrorHooksOptions = {}): () => void {
+    const {
+        registry = getDefaultLoggerRegistry(),
+        component = 'process',
+        exit = true,
+        exitCode = 1,
+        flushTimeout = DEFAULT_FLUSH_TIMEOUT,
+    } = options;
+    const { handleUncaughtException, handleUnhandledRejection } = new ProcessErrorHandler(
+        registry,
+        component,
+        exit,
+        exitCode,
+        flushTimeout,
+    );
+    process.on('uncaughtException', handleUncaughtException);
+    process.on('unhandledRejection', handleUnhandledRejection);
+    return (): void => {
+        process.off('uncaughtException', handleUncaughtException);
+        process.off('unhandledRejection', handleUnhandledRejection);
+    };
+}
+
+function serializeErrorTree(error: Error, ancestors: Set<object>): SerializedError {
+    const serializeNested = (value: unknown): unknown => {
+        if (!(value instanceof Error)) {
+            return serializeLogValue(value);
+        }
+        if (ancestors.has(value)) {
+            return '[Circular]';
+        }
+        ancestors.add(value);
+        try {
+            return serializeErrorTree(value, ancestors);
+        } finally {
+            ancestors.delete(value);
+        }
+    };
+    return serializeErrorValue(error, serializeNested, true);
+}
@@ -0,0 +1,35 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+/**
+ * Create a reporter that prints the first failure of a sink to the console as a `[LOG ERROR]` line.
+ *
+ * Subsequent failures are suppressed to avoid flooding the console.
+ *
+ * @param describe - Renders the first failure from the error message and the extra arguments passed to the reporter.
+ * @returns Function to call with each error.
+ */
+export function createErrorReporter<T extends unknown[] = []>(
+    describe: (errorMessage: string, ...details: T) => string,
+): (error: unknown, ...details: T) => void {
+    let hasLoggedError = false;
+    return (error: unknown, ...details: T): void => {
+        if (hasLoggedError) {
+            return;
+        }
+        hasLoggedError = true;
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        console.error(`[LOG ERROR] ${describe(errorMessage, ...details)}. Subsequent errors will be suppressed.`);
+    };
+}
+
+/**
+ * Create a reporter that prints the first write failure of a sink to the console.
+ *
+ * Subsequent failures are suppressed to avoid flooding the console.
+ *
+ * @param target - Human-readable description of the sink (e.g. `log file "/tmp/app.log"`).
+ * @returns Function to call with each write error.
+ */
+export function createWriteErrorReporter(target: string): (error: unknown) => void {
+    return createErrorReporter((errorMessage) => `Failed to write to ${target}: ${errorMessage}. Falling back to console`);
+}
@@ -0,0 +1,20 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import type { LogFields } from './types';
+
+/**
+ * Merge two sets of context fields; keys in `override` win on conflicts.
+ *
+ * @param base - Fields to start from.
+ * @param override - Fields that take precedence.
+ * @returns The merged fields, or `undefined` when neither input has fields.
+ */
+export function mergeLogFields(base: LogFields | undefined, override: LogFields | undefined): LogFields | undefined {
+    if (base === undefined || Object.keys(base).length === 0) {
+        return override;
+    }
+    if (override === undefined || Object.keys(override).length === 0) {
+        return base;
+    }
+    return { ...base, ...override };
+}
@@ -0,0 +1,142 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import type { FilterMode, LogFilter, LogLevel } from './types';
+
+/**
+ * Static description of the records a filter can possibly pass, based on level and component only.
+ *
+ * Bounds are a necessary condition: a filter described by bounds must reject every record outside of
+ * them. Registries use bounds to answer "would anyone write this level/component?" without running
+ * filters. Omitted properties do not restrict.
+ */
+export interface LogFilterBounds {
+    /**
+     * Lowest level the filter can pass.
+     */
+    readonly minLevel?: LogLevel;
+
+    /**
+     * Exact levels the filter can pass.
+     */
+    readonly levels?: readonly LogLevel[];
+
+    /**
+     * Component prefixes the filter can pass; records without a component are rejected.
+     */
+    readonly componentPrefixes?: readonly string[];
+
+    /**
+     * Exact component names the filter can pass; records without a component are rejected.
+     */
+    readonly components?: readonly string[];
+}
+
+const filterBounds = new WeakMap<LogFilter, LogFilterBounds>();
+
+/**
+ * Attach static bounds to a filter so registries can skip records it can never pass.
+ *
+ * @param filter - Filter to describe.
+ * @param bounds - Level and component bounds that the filter enforces.
+ * @returns The same filter, for chaining.
+ */
+export function withLogFilterBounds(filter: LogFilter, bounds: LogFilterBounds): LogFilter {
+    filterBounds.set(filter, bounds);
+    return filter;
+}
+
+/**
+ * Get the static bounds attached to a filter.
+ *
+ * @param filter - Filter to inspect.
+ * @returns The filter's bounds, or `undefined` when the filter is opaque.
+ */
+export function describeLogFilter(filter: LogFilter): LogFilterBounds | undefined {
+    return filterBounds.get(filter);
+}
+
+/**
+ * Precomputed level/component gate for a set of filters.
+ */
+export interface LogFilterGate {
+    /**
+     * Lowest level any record may have to pass the gate.
+     */
+    readonly lowestLevel: number;
+
+    /**
+     * Check whether a record with the given level and component may pass the filters.
+     *
+     * @param level - Record level.
+     * @param component - Record component.
+     * @returns False only when the filters can never pass the record.
+     */
+    mayPass(level: LogLevel, component: string | undefined): boolean;
+}
+
+const OPEN_GATE: LogFilterGate = {
+    lowestLevel: -Infinity,
+    mayPass: () => true,
+};
+
+/**
+ * Build a gate from filters combined with the given mode.
+ *
+ * @param mode - How the filters are combined.
+ * @param filters - Filters to describe.
+ * @returns A gate that never rejects records the filters could pass.
+ */
+export function createLogFilterGate(mode: FilterMode, filters: Iterable<LogFilter>): LogFilterGate {
+    const bounds: LogFilterBounds[] = [];
+    for (const filter of filters) {
+        const described = describeLogFilter(filter);
+        if (described !== undefined) {
+            bounds.push(described);
+        } else if (mode === 'any') {
+            // An opaque filter may pass anything.
+            return OPEN_GATE;
+        }
+    }
+    if (bounds.length === 0) {
+        return OPEN_GATE;
+    }
+
+    if (mode === 'any') {
+        return {
+            lowestLevel: Math.min(...bounds.map(lowestLevelOf)),
+            mayPass: (level, component) => bounds.some((entry) => boundsAllow(entry, level, component)),
+        };
+    }
+    return {
+        lowestLevel: Math.max(...bounds.map(lowestLevelOf)),
+        mayPass: (level, component) => bounds.every((entry) => boundsAllow(entry, level, component)),
+    };
+}
+
+function lowestLevelOf(bounds: LogFilterBounds): number {
+    const candidates = [bounds.minLevel ?? -Infinity];
+    if (bounds.levels !== undefined) {
+        candidates.push(bounds.levels.length === 0 ? Infinity : Math.min(...bounds.levels));
+    }
+    return Math.max(...candidates);
+}
+
+function boundsAllow(bounds: LogFilterBounds, level: LogLevel, component: string | undefined): boolean {
+    if (bounds.minLevel !== undefined && level < bounds.minLevel) {
+        return false;
+    }
+    if (bounds.levels !== undefined && !bounds.levels.includes(level)) {
+        return false;
+    }
+    if (bounds.componentPrefixes !== undefined) {
+        if (component === undefined || !bounds.componentPrefixes.some((prefix) => component.startsWith(prefix))) {
+            return false;
+        }
+    }
+    if (bounds.components !== undefined) {
+        if (component === undefined || !bounds.components.includes(component)) {
+            return false;
+        }
+    }
+    return true;
+}
@@ -0,0 +1,387 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import {
+    andLogFilter,
+    componentMatchingLogFilter,
+    componentPrefixLogFilter,
+    minLevelLogFilter,
+    notLogFilter,
+    orLogFilter,
+    selectedLevelLogFilter,
+} from './filters';
+import { parseLogLevel } from './levels';
+import { LogLevel, type LogFilter, type LogOptions } from './types';
+
+type ComparisonOperator = '=' | '!=' | '>' | '>=' | '<' | '<=' | '^=' | '$=' | '*=' | '~=';
+
+type PunctuationKind = 'and' | 'or' | 'not' | '(' | ')';
+
+type Token =
+    | { kind: 'word' | 'string'; value: string; position: number }
+    | { kind: 'operator'; value: ComparisonOperator; position: number }
+    | { kind: PunctuationKind | 'end'; value: string; position: number };
+
+// Longest symbols first so that `>=` is not read as `>` followed by `=`.
+const SYMBOLS: ReadonlyArray<[string, ComparisonOperator | PunctuationKind]> = [
+    ['&&', 'and'],
+    ['||', 'or'],
+    ['==', '='],
+    ['!=', '!='],
+    ['>=', '>='],
+    ['<=', '<='],
+    ['^=', '^='],
+    ['$=', '$='],
+    ['*=', '*='],
+    ['~=', '~='],
+    ['=', '='],
+    ['>', '>'],
+    ['<', '<'],
+    ['!', 'not'],
+    ['(', '('],
+    [')', ')'],
+];
+
+const WORD_PATTERN = /[^\s()&|!=<>^$*~"']+/uy;
+
+const STRING_OPERATORS: readonly ComparisonOperator[] = ['=', '!=', '^=', '$=', '*=', '~='];
+
+class FilterExpressionParser {
+    private readonly tokens: Token[];
+    private index = 0;
+
+    public constructor(private readonly source: string) {
+        this.tokens = this.tokenize();
+    }
+
+    public parse(): LogFilter {
+        const filter = this.parseOr();
+        const token = this.peek();
+        if (token.kind !== 'end') {
+            throw this.error(token.position, `expected "&&", "||" or end of expression but found ${describeToken(token)}`);
+        }
+        return filter;
+    }
+
+    private parseOr(): LogFilter {
+        const operands = [this.parseAnd()];
+        while (this.peek().kind === 'or') {
+            this.index++;
+            operands.push(this.parseAnd());
+        }
+        return operands.length === 1 ? (operands[0] as LogFilter) : orLogFilter(...operands);
+    }
+
+    private parseAnd(): LogFilter {
+        const operands = [this.parseUnary()];
+        while (this.peek().kind === 'and') {
+            this.index++;
+            operands.push(this.parseUnary());
+        }
+        return operands.length === 1 ? (operands[0] as LogFilter) : andLogFilter(...operands);
+    }
+
+    private parseUnary(): LogFilter {
+        const token = this.peek();
+        if (token.kind === 'not') {
+            this.index++;
+            return notLogFilter(this.parseUnary());
+        }
+        if (token.kind === '(') {
+            this.index++;
+            const filter = this.parseOr();
+            const closing = this.peek();
+            if (closing.kind !== ')') {
+                throw this.error(
+                    closing.position,
+                    `expected ")" to close "(" at position ${token.position + 1} but found ${describeToken(closing)}`,
+                );
+            }
+            this.index++;
+            return filter;
+        }
+        return this.parseComparison();
+    }
+
+    private parseComparison(): LogFilter {
+        const field = this.peek();
+        if (field.kind !== 'word') {
+            throw this.error(field.position, `expected "level", "component" or "fields.<name>" but found ${describeToken(field)}`);
+        }
+        this.index++;
+        const operator = this.peek();
+        if (operator.kind !== 'operator') {
+            throw this.error(
+                operator.position,
+                `expected a comparison operator after "${field.value}" but found ${describeToken(operator)}`,
+            );
+        }
+        this.index++;
+        const value = this.peek();
+        if (value.kind !== 'word' && value.kind !== 'string') {
+            throw this.error(value.position, `expected a value after "${field.value}${operator.value}" but found ${describeToken(value)}`);
+        }
+        this.index++;
+
+        if (field.value === 'level') {
+            return this.compileLevel(operator.value, value.value, operator.position, value.position);
+        }
+        if (field.value === 'component') {
+            return this.compileComponent(operator.value, value.value, operator.position, value.position);
+        }
+        if (field.value.startsWith('fields.') && field.value.length > 'fields.'.length) {
+            return this.compileField(field.value.slice('fields.'.length), operator.value, value.value, value.position);
+        }
+        throw this.error(field.position, `unknown field "${field.value}"; expected "level", "component" or "fields.<name>"`);
+    }
+
+    private compileLevel(operator: ComparisonOperator, value: string, operatorPosition: number, valuePosition: number): LogFilter {
+        const level = this.parseLevel(value, valuePosition);
+        switch (operator) {
+            case '=':
+                return selectedLevelLogFilter([level]);
+            case '!=':
+                return notLogFilter(selectedLevelLogFilter([level]));
+            case '>=':
+                return minLevelLogFilter(level);
+            case '>':
+                return minLevelLogFilter((level + 1) as LogLevel);
+            case '<=':
+                return notLogFilter(minLevelLogFilter((level + 1) as LogLevel));
+            case '<':
+                return notLogFilter(minLevelLogFilter(level));
+            default:
+                throw this.error(operatorPosition, `operator "${operator}" cannot be used with "level"; use =, !=, >, >=, < or <=`);
+        }
+    }
+
+    private compileComponent(operator: ComparisonOperator, value: string, operatorPosition: number, valuePosition: number): LogFilter {
+        switch (operator) {
+            case '=':
+                return componentMatchingLogFilter([value]);
+            case '^=':
+                return value === '' ? componentHasValue : componentPrefixLogFilter([value]);
+            case '!=':
+            case '$=':
+            case '*=':
+            case '~=':
+                return createTextFilter(operator, this.compileText(operator, value, valuePosition), readComponent);
+            default:
+                throw this.error(
+                    operatorPosition,
+                    `operator "${operator}" cannot be used with "component"; use ${STRING_OPERATORS.join(', ')}`,
+                );
+        }
+    }
+
+    private compileField(name: string, operator: ComparisonOperator, value: string, position: number): LogFilter {
+        if (STRING_OPERATORS.includes(operator)) {
+            return createTextFilter(operator, this.compileText(operator, value, position), (options) => readField(options, name));
+        }
+        const threshold = Number(value);
+        if (value.trim() === '' || Number.isNaN(threshold)) {
+            throw this.error(position, `operator "${operator}" needs a number but found "${value}"`);
+        }
+        return (options: LogOptions): boolean => {
+            const fieldValue = readOwnField(options, name);
+            return typeof fieldValue === 'number' && compareNumbers(operator, fieldValue, threshold);
+        };
+    }
+
+    private compileText(operator: ComparisonOperator, value: string, position: number): (text: string) => boolean {
+        switch (operator) {
+            case '^=':
+                return (text) => text.startsWith(value);
+            case '$=':
+                return (text) => text.endsWith(value);
+            case '*=':
+                return (text) => text.includes(value);
+            case '~=':
+                return this.compileRegExp(value, position);
+            default:
+                return (text) => text === value;
+        }
+    }
+
+    private compileRegExp(value: string, position: number): (text: string) => boolean {
+        let regExp: RegExp;
+        try {
+            regExp = new RegExp(value, 'u');
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            throw this.error(position, errorMessage);
+        }
+        return (text) => regExp.test(text);
+    }
+
+    private parseLevel(value: string, position: number): LogLevel {
+        let level: LogLevel | undefined;
+        if (/^\d+$/u.test(value)) {
+            level = Number(value) as LogLevel;
+        } else {
+            try {
+                level = parseLogLevel(value);
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : String(error);
+                throw this.error(position, errorMessage.replace(/\.$/u, ''));
+            }
+        }
+        if (level === undefined) {
+            throw this.error(position, `level "${value}" cannot be compared; use a level such as trace, debug, info, warn or error`);
+        }
+        return level;
+    }
+
+    private peek(): Token {
+        return this.tokens[this.index] ?? { kind: 'end', value: '', position: this.source.length };
+    }
+
+    private tokenize(): Token[] {
+        const tokens: Token[] = [];
+        let position = 0;
+        while (position < this.source.length) {
+            const char = this.source[position] ?? '';
+            if (/\s/u.test(char)) {
+                position++;
+                continue;
+            }
+            if (char === '"' || char === "'") {
+                const [value, next] = this.readString(position);
+                tokens.push({ kind: 'string', value, position });
+                position = next;
+                continue;
+            }
+            const symbol = SYMBOLS.find(([text]) => this.source.startsWith(text, position));
+            if (symbol !== undefined) {
+                const [text, meaning] = symbol;
+                tokens.push(
+                    isPunctuation(meaning) ? { kind: meaning, value: text, position } : { kind: 'operator', value: meaning, position },
+                );
+                position += text.length;
+                continue;
+            }
+            WORD_PATTERN.lastIndex = position;
+            const word = WORD_PATTERN.exec(this.source);
+            if (word === null) {
+                throw this.error(position, `unexpected character "${char}"`);
+            }
+            const keyword = KEYWORDS.get(word[0].toLowerCase());
+            tokens.push(keyword !== undefined ? { kind: keyword, value: word[0], position } : { kind: 'word', value: word[0], position });
+            position += word[0].length;
+        }
+        return tokens;
+    }
+
+    private readString(start: number): [string, number] {
+        const quote = this.source[start];
+        let value = '';
+        let position = start + 1;
+        while (position < this.source.length) {
+            const char = this.source[position];
+            if (char === quote) {
+                return [value, position + 1];
+            }
+            if (char === '\\' && position + 1 < this.source.length) {
+                position++;
+            }
+            value += this.source[position];
+            position++;
+        }
+        throw this.error(start, `unterminated string starting with ${quote}`);
+    }
+
+    private error(position: number, message: string): Error {
+        return new Error(
+            `Invalid log filter expression at position ${position + 1}: ${message}.\n  ${this.source}\n  ${' '.repeat(position)}^`,
+        );
+    }
+}
+
+const KEYWORDS = new Map<string, 'and' | 'or' | 'not'>([
+    ['and', 'and'],
+    ['or', 'or'],
+    ['not', 'not'],
+]);
+
+/**
+ * Compile a filter expression into a {@link LogFilter}.
+ *
+ * Comparisons have the form `<field><operator><value>`, where the field is `level`, `component` or
+ * `fields.<name>`. Comparisons combine with `&&`/`and`, `||`/`or`, `!`/`not` and parentheses; `&&` binds
+ * tighter than `||`. Values are bare words or quoted strings.
+ *
+ * - `level`: `=`, `!=`, `>`, `>=`, `<`, `<=` against a level name or number.
+ * - `component` and `fields.<name>`: `=` (or `==`), `!=`, `^=` (starts with), `$=` (ends with),
+ *   `*=` (contains) and `~=` (regular expression). Fields also support numeric `>`, `>=`, `<`, `<=`.
+ *
+ * Level and component comparisons compile to the built-in filters, so expressions keep the registry
+ * fast path.
+ *
+ * @example
+ * ```ts
+ * parseLogFilter('level>=warn && (component=api || component^=auth)');
+ * parseLogFilter('not component~="^test:" and fields.tenant="acme"');
+ * ```
+ *
+ * @param expression - Filter expression.
+ * @returns The compiled filter.
+ * @throws {Error} When the expression cannot be parsed; the message points at the offending position.
+ */
+export function parseLogFilter(expression: string): LogFilter {
+    return new FilterExpressionParser(expression).parse();
+}
+
+function createTextFilter(
+    operator: ComparisonOperator,
+    test: (text: string) => boolean,
+    read: (options: LogOptions) => string | undefined,
+): LogFilter {
+    if (operator === '!=') {
+        return (options: LogOptions): boolean => {
+            const text = read(options);
+            return text === undefined || !test(text);
+        };
+    }
+    return (options: LogOptions): boolean => {
+        const text = read(options);
+        return text !== undefined && test(text);
+    };
+}
+
+function componentHasValue(options: LogOptions): boolean {
+    return options.component !== undefined;
+}
+
+function readComponent(options: LogOptions): string | undefined {
+    return options.component;
+}
+
+function readField(options: LogOptions, name: string): string | undefined {
+    const value = readOwnField(options, name);
+    return value === undefined || value === null ? undefined : String(value);
+}
+
+function readOwnField(options: LogOptions, name: string): unknown {
+    // Inherited properties such as `constructor` are not fields.
+    return options.fields !== undefined && Object.hasOwn(options.fields, name) ? options.fields[name] : undefined;
+}
+
+function compareNumbers(operator: ComparisonOperator, value: number, threshold: number): boolean {
+    switch (operator) {
+        case '>':
+            return value > threshold;
+        case '>=':
+            return value >= threshold;
+        case '<':
+            return value < threshold;
+        default:
+            return value <= threshold;
+    }
+}
+
+function isPunctuation(meaning: ComparisonOperator | PunctuationKind): meaning is PunctuationKind {
+    return meaning === 'and' || meaning === 'or' || meaning === 'not' || meaning === '(' || meaning === ')';
+}
+
+function describeToken(token: Token): string {
+    return token.kind === 'end' ? 'end of expression' : `"${token.value}"`;
+}
@@ -1,7 +1,26 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
+import { describeLogFilter, withLogFilterBounds, type LogFilterBounds } from './filterBounds';
 import { LogLevel, type LogFilter, type LogOptions } from './types';
 
+/**
+ * A single component rule from a log spec.
+ */
+export interface ComponentLevelRule {
+    /**
+     * Component glob; `*` matches any sequence of characters. A bare `*` also matches records without a component.
+     */
+    pattern: string;
+
+    /**
+     * Minimum level for matching components; `undefined` disables them.
+     */
+    level: LogLevel | undefined;
+}
+
+// Upper bound on cached component levels per filter; the cache is cleared when it fills up.
+const MAX_CACHED_COMPONENTS = 1024;
+
 /**
  * Create a filter that allows only the specified log levels.
  *
@@ -10,7 +29,7 @@ import { LogLevel, type LogFilter, type LogOptions } from './types';
  */
 export function selectedLevelLogFilter(levels: LogLevel[]): LogFilter {
     const allowedLogLevels = new Set(levels);
-    return (options: LogOptions): boolean => allowedLogLevels.has(options.level);
+    return withLogFilterBounds((options: LogOptions): boolean => allowedLogLevels.has(options.level), { levels: [...levels] });
 }
 
 /**
@@ -20,7 +39,7 @@ export function selectedLevelLogFilter(levels: LogLevel[]): LogFilter {
  * @returns Filter that passes when `options.level` meets the threshold.
  */
 export function minLevelLogFilter(minLevel: LogLevel): LogFilter {
-    return (options: LogOptions): boolean => options.level >= minLevel;
+    return withLogFilterBounds((options: LogOptions): boolean => options.level >= minLevel, { minLevel });
 }
 
 /**
@@ -31,9 +50,9 @@ export function minLevelLogFilter(minLevel: LogLevel): LogFilter {
  */
 export function componentPrefixLogFilter(componentPrefixes: string[]): LogFilter {
     if (componentPrefixes.length === 0) {
-        return (_options: LogOptions): boolean => true;
+        return withLogFilterBounds((_options: LogOptions): boolean => true, {});
     }
-    return (options: LogOptions): boolean => {
+    const filter = (options: LogOptions): boolean => {
         if (options.component === undefined) {
             return false;
         }
@@ -44,6 +63,7 @@ export function componentPrefixLogFilter(componentPrefixes: string[]): LogFilter
         }
         return false;
     };
+    return withLogFilterBounds(filter, { componentPrefixes: [...componentPrefixes] });
 }
 
 /**
@@ -54,10 +74,56 @@ export function componentPrefixLogFilter(componentPrefixes: string[]): LogFilter
  */
 export function componentMatchingLogFilter(components: string[]): LogFilter {
     if (components.length === 0) {
-        return (_options: LogOptions): boolean => true;
+        return withLogFilterBounds((_options: LogOptions): boolean => true, {});
     }
     const allowedComponents = new Set(components);
-    return (options: LogOptions): boolean => options.component !== undefined && allowedComponents.has(options.component);
+    const filter = (options: LogOptions): boolean => options.component !== undefined && allowedComponents.has(options.component);
+    return withLogFilterBounds(filter, { components: [...components] });
+}
+
+/**
+ * Create a filter that allows messages whose context field equals the given value.
+ *
+ * Fields come from {@link LogOptions.fields}, including those bound by child loggers and
+ * {@link withLogContext}. Values are compared with `Object.is`.
+ *
+ * @param name - Name of the context field.
+ * @param value - Value the field must equal.
+ * @returns Filter that passes when `options.fields[name]` equals `value`.
+ */
+export function fieldEqualsLogFilter(name: string, value: unknown): LogFilter {
+    return (options: LogOptions): boolean => options.fields !== undefined && Object.is(options.fields[name], value);
+}
+
+/**
+ * Create a filter that applies per-component minimum levels.
+ *
+ * Disabled rules (level `undefined`) win over all others. Otherwise the most specific matching rule (the
+ * pattern with the most literal characters; later rules win ties) decides the minimum level. Components
+ * matching no rule are rejected.
+ *
+ * @param rules - Component rules, e.g. from `parseLogSpec`.
+ * @returns Filter that passes records at or above their component's level.
+ */
+export function componentLevelsLogFilter(rules: ComponentLevelRule[]): LogFilter {
+    const compiled = rules.map((rule) => ({
+        ...rule,
+        regExp: globToRegExp(rule.pattern),
+        specificity: rule.pattern.replace(/\*/g, '').length,
+    }));
+    const cache = new Map<string | undefined, LogLevel | undefined>();
+    const filter = (options: LogOptions): boolean => {
+        const { component } = options;
+        if (!cache.has(component)) {
+            if (cache.size >= MAX_CACHED_COMPONENTS) {
+                cache.clear();
+            }
+            cache.set(component, resolveComponentLevel(compiled, component));
+        }
+        const level = cache.get(component);
+        return level !== undefined && options.level >= level;
+    };
+    return withLogFilterBounds(filter, describeRules(rules));
 }
 
 /**
@@ -68,20 +134,173 @@ export function componentMatchingLogFilter(components: string[]): LogFilter {
  * that is not explicitly falsy. Falsy values (case-insensitive, after trimming)
  * are: empty string, "0", "false", and "no". All other values (including "1",
  * "true", "yes", or any other string) are considered truthy and will pass.
+ * In runtimes without `process` the filter never passes; see {@link browserEnvLogFilter}.
  *
  * @param envVar - Name of the environment variable to check.
  * @returns LogFilter that returns true when envVar is set to a truthy value.
  */
 export function envLogFilter(envVar: string): LogFilter {
-    return (_options: LogOptions): boolean => {
-        const value = process.env[envVar];
-        if (value === undefined) {
-            return false;
+    return (_options: LogOptions): boolean => isTruthyFlag(typeof process === 'undefined' ? undefined : process.env[envVar]);
+}
+
+/**
+ * Build the browser equivalent of {@link envLogFilter}: a filter that passes only when a query-string
+ * parameter or `localStorage` entry with the given name is set to a truthy value.
+ *
+ * The query string of the current page wins over `localStorage`, so `?DEBUG_API=1` enables a flag for
+ * one page load and `localStorage.setItem('DEBUG_API', '1')` enables it persistently. Values are
+ * interpreted like {@link envLogFilter}. Where neither is available (e.g. in Node.js or when storage
+ * access is blocked) the filter never passes.
+ *
+ * @param name - Name of the query-string parameter and `localStorage` key to check.
+ * @returns LogFilter that returns true when the flag is set to a truthy value.
+ */
+export function browserEnvLogFilter(name: string): LogFilter {
+    return (_options: LogOptions): boolean => isTruthyFlag(readBrowserFlag(name));
+}
+
+/**
+ * Combine filters so that a record passes only when every filter passes.
+ *
+ * Filters are evaluated in order and evaluation stops at the first rejection. Level and component
+ * bounds of the combined filters are kept for the registry fast path.
+ *
+ * @param filters - Filters to combine; no filters pass every record.
+ * @returns Filter that passes when all `filters` pass.
+ */
+export function andLogFilter(...filters: LogFilter[]): LogFilter {
+    const filter = (options: LogOptions, args?: readonly unknown[]): boolean => filters.every((entry) => entry(options, args));
+    const bounds = intersectBounds(filters);
+    return bounds === undefined ? filter : withLogFilterBounds(filter, bounds);
+}
+
+/**
+ * Combine filters so that a record passes when at least one filter passes.
+ *
+ * Filters are evaluated in order and evaluation stops at the first pass. Bounds are kept only when
+ * every combined filter has bounds.
+ *
+ * @param filters - Filters to combine; no filters reject every record.
+ * @returns Filter that passes when any of `filters` passes.
+ */
+export function orLogFilter(...filters: LogFilter[]): LogFilter {
+    const filter = (options: LogOptions, args?: readonly unknown[]): boolean => filters.some((entry) => entry(options, args));
+    const bounds = unionBounds(filters);
+    return bounds === undefined ? filter : withLogFilterBounds(filter, bounds);
+}
+
+/**
+ * Invert a filter.
+ *
+ * @param filter - Filter to invert.
+ * @returns Filter that passes when `filter` rejects.
+ */
+export function notLogFilter(filter: LogFilter): LogFilter {
+    return (options: LogOptions, args?: readonly unknown[]): boolean => !filter(options, args);
+}
+
+function resolveComponentLevel(
+    rules: Array<ComponentLevelRule & { regExp: RegExp; specificity: number }>,
+    component: string | undefined,
+): LogLevel | undefined {
+    let best: (ComponentLevelRule & { specificity: number }) | undefined;
+    for (const rule of rules) {
+        const matches = component === undefined ? rule.pattern === '*' : rule.regExp.test(component);
+        if (!matches) {
+            continue;
         }
-        const normalized = value.trim().toLowerCase();
-        if (normalized === '' || normalized === '0' || normalized === 'false' || normalized === 'no') {
-            return false;
+        if (rule.level === undefined) {
+            return undefined;
+        }
+        if (best === undefined || rule.specificity >= best.specificity) {
+            best = rule;
         }
-        return true;
+    }
+    return best?.level;
+}
+
+function describeRules(rules: ComponentLevelRule[]): LogFilterBounds {
+    const enabled = rules.filter((rule): rule is ComponentLevelRule & { level: LogLevel } => rule.level !== undefined);
+    if (enabled.length === 0) {
+        return { levels: [] };
+    }
+    const minLevel = Math.min(...enabled.map((rule) => rule.level)) as LogLevel;
+    const prefixes = enabled.map((rule) => rule.pattern.split('*')[0] ?? '');
+    if (prefixes.some((prefix) => prefix === '')) {
+        return { minLevel };
+    }
+    return { minLevel, componentPrefixes: prefixes };
+}
+
+function intersectBounds(filters: LogFilter[]): LogFilterBounds | undefined {
+    const described = filters.map(describeLogFilter).filter((bounds): bounds is LogFilterBounds => bounds !== undefined);
+    if (described.length === 0) {
+        return undefined;
+    }
+    const minLevels = described.flatMap((bounds) => (bounds.minLevel === undefined ? [] : [bounds.minLevel]));
+    const levelSets = described.flatMap((bounds) => (bounds.levels === undefined ? [] : [bounds.levels]));
+    // Every combined filter must pass, so the restrictions of any one of them remain necessary.
+    const componentPrefixes = described.find((bounds) => bounds.componentPrefixes !== undefined)?.componentPrefixes;
+    const components = described.find((bounds) => bounds.components !== undefined)?.components;
+    return {
+        ...(minLevels.length > 0 ? { minLevel: Math.max(...minLevels) } : {}),
+        ...(levelSets.length > 0 ? { levels: levelSets.reduce((kept, levels) => kept.filter((level) => levels.includes(level))) } : {}),
+        ...(componentPrefixes !== undefined ? { componentPrefixes } : {}),
+        ...(components !== undefined ? { components } : {}),
+    };
+}
+
+function unionBounds(filters: LogFilter[]): LogFilterBounds | undefined {
+    const described = filters.map(describeLogFilter);
+    if (described.length === 0) {
+        return { levels: [] };
+    }
+    if (described.some((bounds) => bounds === undefined)) {
+        return undefined;
+    }
+    const all = described as LogFilterBounds[];
+    const result: { minLevel?: LogLevel; levels?: LogLevel[]; componentPrefixes?: string[] } = {};
+    if (all.every((bounds) => bounds.levels !== undefined)) {
+        result.levels = [...new Set(all.flatMap((bounds) => bounds.levels ?? []))];
+    } else if (all.every((bounds) => bounds.minLevel !== undefined || bounds.levels !== undefined)) {
+        result.minLevel = Math.min(...all.map((bounds) => bounds.minLevel ?? Math.min(...(bounds.levels ?? [])))) as LogLevel;
+    }
+    if (all.every((bounds) => bounds.componentPrefixes !== undefined || bounds.components !== undefined)) {
+        // Exact component names are also prefixes of themselves.
+        result.componentPrefixes = all.flatMap((bounds) => [...(bounds.componentPrefixes ?? bounds.components ?? [])]);
+    }
+    return result;
+}
+
+function globToRegExp(pattern: string): RegExp {
+    const source = pattern
+        .split('*')
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`, 'u');
+}
+
+function isTruthyFlag(value: string | undefined | null): boolean {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    const normalized = value.trim().toLowerCase();
+    return !(normalized === '' || normalized === '0' || normalized === 'false' || normalized === 'no');
+}
+
+function readBrowserFlag(name: string): string | null {
+    const { location, localStorage } = globalThis as {
+        location?: { search: string };
+        localStorage?: { getItem(key: string): string | null };
     };
+    const fromQuery = location === undefined ? null : new URLSearchParams(location.search).get(name);
+    if (fromQuery !== null) {
+        return fromQuery;
+    }
+    try {
+        return localStorage?.getItem(name) ?? null;
+    } catch {
+        // Storage access throws in sandboxed frames and some private browsing modes.
+        return null;
+    }
 }
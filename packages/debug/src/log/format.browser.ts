@@ -0,0 +1,96 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+/**
+ * Render log arguments into a single message with printf-style substitutions, like `util.format`.
+ *
+ * Supports `%s`, `%d`, `%i`, `%f`, `%j`, `%o`, `%O`, `%c` (consumed without output) and `%%`. Arguments
+ * without a placeholder are appended, separated by spaces; objects are rendered as JSON.
+ *
+ * @param args - Arguments of the log call.
+ * @returns The rendered message.
+ */
+export function formatLogArgs(...args: unknown[]): string {
+    const [first, ...rest] = args;
+    if (typeof first !== 'string') {
+        return args.map((arg) => inspectValue(arg)).join(' ');
+    }
+    let index = 0;
+    const message = first.replace(/%([sdifjoOc%])/gu, (placeholder: string, type: string) => {
+        if (type === '%') {
+            return '%';
+        }
+        if (index >= rest.length) {
+            return placeholder;
+        }
+        const value = rest[index++];
+        switch (type) {
+            case 's':
+                return typeof value === 'string' ? value : inspectValue(value);
+            case 'd':
+                return typeof value === 'bigint' ? `${value}n` : String(Number(value));
+            case 'i':
+                return typeof value === 'bigint' ? `${value}n` : String(parseInt(String(value), 10));
+            case 'f':
+                return String(parseFloat(String(value)));
+            case 'j':
+                return stringifyJson(value);
+            case 'c':
+                return '';
+            default:
+                return inspectValue(value);
+        }
+    });
+    return [message, ...rest.slice(index).map((arg) => (typeof arg === 'string' ? arg : inspectValue(arg)))].join(' ');
+}
+
+function inspectValue(value: unknown): string {
+    switch (typeof value) {
+        case 'string':
+            return value;
+        case 'bigint':
+            return `${value}n`;
+        case 'symbol':
+            return value.toString();
+        case 'function':
+            return `[Function ${value.name || 'anonymous'}]`;
+        case 'undefined':
+            return 'undefined';
+        default:
+            break;
+    }
+    if (value instanceof Error) {
+        return value.stack ?? `${value.name}: ${value.message}`;
+    }
+    return stringifyJson(value);
+}
+
+function stringifyJson(value: unknown): string {
+    // Maps and Sets are serialized as arrays, so each ancestor records both the original object, to detect
+    // cycles, and the value handed back to `JSON.stringify`, which is `this` for its members.
+    const ancestors: Array<{ original: object; holder: object }> = [];
+    try {
+        return String(
+            JSON.stringify(value, function (this: unknown, _key: string, entry: unknown): unknown {
+                // `this` is the object holding `entry`; drop ancestors that are no longer on the path.
+                while (ancestors.length > 0 && ancestors[ancestors.length - 1]?.holder !== this) {
+                    ancestors.pop();
+                }
+                if (typeof entry === 'bigint') {
+                    return `${entry}n`;
+                }
+                if (entry === null || typeof entry !== 'object') {
+                    return entry;
+                }
+                if (ancestors.some((ancestor) => ancestor.original === entry)) {
+                    return '[Circular]';
+                }
+                const converted =
+                    entry instanceof Map ? Array.from(entry.entries()) : entry instanceof Set ? Array.from(entry.values()) : entry;
+                ancestors.push({ original: entry, holder: converted });
+                return converted;
+            }),
+        );
+    } catch {
+        return String(value);
+    }
+}
@@ -0,0 +1,15 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { format } from 'node:util';
+
+/**
+ * Render log arguments into a single message with printf-style substitutions (`%s`, `%d`, `%j`, `%o`, ...).
+ *
+ * Browser builds replace this module with `format.browser.ts`, which does not depend on `node:util`.
+ *
+ * @param args - Arguments of the log call.
+ * @returns The rendered message.
+ */
+export function formatLogArgs(...args: unknown[]): string {
+    return format(...args);
+}
@@ -0,0 +1,90 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { serializeLogValue } from './json';
+import { LogLevel, type LogFields } from './types';
+
+/**
+ * How timestamps are rendered by the built-in formatters.
+ *
+ * - `iso`: ISO 8601 in UTC (e.g. `2025-01-01T12:00:00.000Z`).
+ * - `epoch`: milliseconds since the Unix epoch.
+ * - `local`: local wall-clock time (e.g. `2025-01-01 13:00:00.000`).
+ * - `elapsed`: time since the formatter was created (e.g. `+1.234s`).
+ * - `none`: no timestamp.
+ */
+export type TimestampStyle = 'iso' | 'epoch' | 'local' | 'elapsed' | 'none';
+
+/**
+ * Resolve the display name of a log level.
+ *
+ * @param level - Log level to name.
+ * @returns The enum name, or the numeric value for unknown levels.
+ */
+export function levelName(level: LogLevel): string {
+    return LogLevel[level] ?? String(level);
+}
+
+/**
+ * Quote a value for logfmt output when it contains whitespace, quotes, `=` or backslashes.
+ *
+ * @param value - Raw value.
+ * @returns The value, JSON-quoted when necessary.
+ */
+export function quoteLogfmtValue(value: string): string {
+    if (value !== '' && !/[\s"=\\]/u.test(value)) {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Render context fields as space-separated `key=value` pairs.
+ *
+ * @param fields - Fields to render.
+ * @returns The rendered pairs, or an empty string when there are no fields.
+ */
+export function formatLogFields(fields: LogFields | undefined): string {
+    if (fields === undefined) {
+        return '';
+    }
+    return Object.entries(fields)
+        .map(
+            ([key, value]) =>
+                `${key}=${quoteLogfmtValue(typeof value === 'string' ? value : String(JSON.stringify(serializeLogValue(value))))}`,
+        )
+        .join(' ');
+}
+
+/**
+ * Create a function that renders a record time in the given style.
+ *
+ * @param style - Timestamp style to render.
+ * @returns Function taking the record's {@link LogOptions.timestamp} (the current time when omitted) and
+ *          returning the rendered timestamp; empty string for `none`.
+ */
+export function createTimestampRenderer(style: TimestampStyle): (timestamp?: number) => string {
+    switch (style) {
+        case 'iso':
+            return (timestamp = Date.now()) => new Date(timestamp).toISOString();
+        case 'epoch':
+            return (timestamp = Date.now()) => String(timestamp);
+        case 'local':
+            return (timestamp = Date.now()) => formatLocalTime(new Date(timestamp));
+        case 'elapsed': {
+            const start = Date.now();
+            return (timestamp = Date.now()) => `+${((timestamp - start) / 1000).toFixed(3)}s`;
+        }
+        case 'none':
+            return () => '';
+    }
+}
+
+function pad(value: number, length = 2): string {
+    return String(value).padStart(length, '0');
+}
+
+function formatLocalTime(date: Date): string {
+    const datePart = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const timePart = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    return `${datePart} ${timePart}`;
+}
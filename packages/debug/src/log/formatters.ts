@@ -0,0 +1,139 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { formatLogArgs } from './format';
+import { createTimestampRenderer, formatLogFields, levelName, quoteLogfmtValue, type TimestampStyle } from './formatUtils';
+import { createJsonLogRecord } from './json';
+import type { LogFormatter, LogOptions } from './types';
+
+export type { TimestampStyle } from './formatUtils';
+
+/**
+ * Options shared by the built-in formatters.
+ */
+export interface LogFormatterOptions {
+    /**
+     * Timestamp style. Defaults vary per formatter.
+     */
+    timestamp?: TimestampStyle;
+}
+
+/**
+ * Create a formatter that renders the classic text layout:
+ * `<timestamp> [LEVEL] [component] message key=value`.
+ *
+ * @param options - Formatter options; `timestamp` defaults to `iso`.
+ * @returns A formatter producing one text line per record.
+ */
+export function textLogFormatter(options: LogFormatterOptions = {}): LogFormatter {
+    const renderTime = createTimestampRenderer(options.timestamp ?? 'iso');
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        const componentPart = logOptions.component ? ` [${logOptions.component}]` : '';
+        return joinNonEmpty([
+            renderTime(logOptions.timestamp),
+            `[${levelName(logOptions.level)}]${componentPart}`,
+            formatLogArgs(...args),
+            formatLogFields(logOptions.fields),
+        ]);
+    };
+}
+
+/**
+ * Create a formatter that renders records as logfmt key/value pairs:
+ * `time=... level=info component=api msg="..."`.
+ *
+ * @param options - Formatter options; `timestamp` defaults to `iso`.
+ * @returns A formatter producing one logfmt line per record.
+ */
+export function logfmtLogFormatter(options: LogFormatterOptions = {}): LogFormatter {
+    const renderTime = createTimestampRenderer(options.timestamp ?? 'iso');
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        const pairs: string[] = [];
+        const time = renderTime(logOptions.timestamp);
+        if (time !== '') {
+            pairs.push(`time=${quoteLogfmtValue(time)}`);
+        }
+        pairs.push(`level=${levelName(logOptions.level).toLowerCase()}`);
+        if (logOptions.component !== undefined) {
+            pairs.push(`component=${quoteLogfmtValue(logOptions.component)}`);
+        }
+        pairs.push(`msg=${quoteLogfmtValue(formatLogArgs(...args))}`);
+        return joinNonEmpty([...pairs, formatLogFields(logOptions.fields)]);
+    };
+}
+
+/**
+ * Create a formatter that renders records as single-line JSON objects.
+ *
+ * @param options - Formatter options; `timestamp` defaults to `iso`. `epoch` renders a number.
+ * @returns A formatter producing one JSON object per record.
+ */
+export function jsonLogFormatter(options: LogFormatterOptions = {}): LogFormatter {
+    const style = options.timestamp ?? 'iso';
+    const renderTime = createTimestampRenderer(style);
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        const { time: _time, ...record } = createJsonLogRecord(logOptions, args);
+        if (style === 'none') {
+            return JSON.stringify(record);
+        }
+        const time = renderTime(logOptions.timestamp);
+        return JSON.stringify({ time: style === 'epoch' ? Number(time) : time, ...record });
+    };
+}
+
+/**
+ * Create a compact formatter for local development:
+ * `+0.123s INFO  [component] message key=value`.
+ *
+ * @param options - Formatter options; `timestamp` defaults to `elapsed`.
+ * @returns A formatter producing short, aligned lines.
+ */
+export function devLogFormatter(options: LogFormatterOptions = {}): LogFormatter {
+    const renderTime = createTimestampRenderer(options.timestamp ?? 'elapsed');
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        const componentPart = logOptions.component ? `[${logOptions.component}]` : '';
+        return joinNonEmpty([
+            renderTime(logOptions.timestamp),
+            levelName(logOptions.level).padEnd(5),
+            componentPart,
+            formatLogArgs(...args),
+            formatLogFields(logOptions.fields),
+        ]);
+    };
+}
+
+/**
+ * Create a formatter from a template string.
+ *
+ * Supported placeholders are `{time}`, `{level}`, `{levelNumber}`, `{component}`, `{message}` and
+ * `{fields}` (context fields as `key=value` pairs).
+ * Placeholders without a value (e.g. `{component}` for records without a component) render as
+ * empty strings; unknown placeholders are left untouched.
+ *
+ * @param template - Template such as `'{time} {level} {component}: {message}'`.
+ * @param options - Formatter options; `timestamp` defaults to `iso`.
+ * @returns A formatter rendering each record through the template.
+ */
+export function templateLogFormatter(template: string, options: LogFormatterOptions = {}): LogFormatter {
+    const renderTime = createTimestampRenderer(options.timestamp ?? 'iso');
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        // A Map, so names such as `{toString}` are not looked up on Object.prototype.
+        const values = new Map<string, () => string>([
+            ['time', () => renderTime(logOptions.timestamp)],
+            ['level', () => levelName(logOptions.level)],
+            ['levelNumber', () => String(logOptions.level)],
+            ['component', () => logOptions.component ?? ''],
+            ['message', () => formatLogArgs(...args)],
+            ['fields', () => formatLogFields(logOptions.fields)],
+        ]);
+        return template.replace(/\{(\w+)\}/g, (placeholder: string, name: string) => values.get(name)?.() ?? placeholder);
+    };
+}
+
+/**
+ * Default formatter used by the built-in text writers.
+ */
+export const defaultLogFormatter: LogFormatter = textLogFormatter();
+
+function joinNonEmpty(parts: string[]): string {
+    return parts.filter((part) => part !== '').join(' ');
+}
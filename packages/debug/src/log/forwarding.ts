@@ -0,0 +1,266 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { parentPort, threadId } from 'node:worker_threads';
+
+import { getDefaultLoggerRegistry } from './default';
+import { createWriteErrorReporter } from './fallback';
+import { mergeLogFields } from './fields';
+import { defaultLogFormatter } from './formatters';
+import { serializeLogValue } from './json';
+import type { LoggerRegistry } from './LoggerRegistry';
+import type { LogFields, LogLevel, LogOptions, LogWriter } from './types';
+
+/**
+ * Type tag of messages sent by {@link forwardingLogWriter}.
+ */
+export const FORWARDED_LOG_MESSAGE_TYPE = '@private-test-org/debug:log';
+
+/**
+ * A log record sent from a worker thread or child process to its parent.
+ */
+export interface ForwardedLogMessage {
+    type: typeof FORWARDED_LOG_MESSAGE_TYPE;
+
+    /**
+     * Identifier of the sender: the thread ID of a worker thread or the process ID of a child process.
+     */
+    workerId: string | number;
+
+    level: LogLevel;
+    component?: string;
+
+    /**
+     * Context fields, converted into JSON-safe values.
+     */
+    fields?: Record<string, unknown>;
+
+    /**
+     * Time the record was logged in the sender, in milliseconds since the Unix epoch.
+     */
+    timestamp: number;
+
+    /**
+     * Log arguments, converted into JSON-safe values.
+     */
+    args: unknown[];
+
+    /**
+     * Indices of arguments that were Errors, so the receiver can turn them back into Errors.
+     */
+    errorArgs?: number[];
+}
+
+/**
+ * Channel to the parent: a `MessagePort` (e.g. `parentPort` of a worker thread) or a process with an
+ * IPC channel (e.g. `process` in a forked child).
+ */
+export type LogForwardTarget =
+    | { postMessage(message: unknown): void; once?(event: 'close', listener: () => void): unknown }
+    | {
+          send?(message: unknown, sendHandle: undefined, options: undefined, callback: (error: Error | null) => void): boolean;
+          connected?: boolean;
+      };
+
+/**
+ * Channel from a child: a `Worker`, a `MessagePort` or a `ChildProcess` with an IPC channel.
+ */
+export interface LogForwardSource {
+    on(event: 'message', listener: (message: unknown) => void): unknown;
+    off(event: 'message', listener: (message: unknown) => void): unknown;
+}
+
+/**
+ * Options for {@link forwardingLogWriter}.
+ */
+export interface ForwardingLogWriterOptions {
+    /**
+     * Channel to the parent. Defaults to `parentPort` in a worker thread and to `process` in a child
+     * process with an IPC channel.
+     */
+    target?: LogForwardTarget;
+
+    /**
+     * Identifier attached to forwarded records. Defaults to the thread ID in a worker thread and the
+     * process ID otherwise.
+     */
+    workerId?: string | number;
+}
+
+/**
+ * Options for {@link receiveForwardedLogs}.
+ */
+export interface ReceiveForwardedLogsOptions {
+    /**
+     * Registry that logs the forwarded records. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+
+    /**
+     * Identifier attached as the `workerId` field, replacing the one sent by the child.
+     */
+    workerId?: string | number;
+
+    /**
+     * Additional fields attached to every forwarded record.
+     */
+    fields?: LogFields;
+}
+
+/**
+ * Check whether a message received from a worker or child process is a forwarded log record.
+ *
+ * Use this to skip log records in a message handler of your own.
+ *
+ * @param message - Received message.
+ * @returns True when the message was sent by {@link forwardingLogWriter}.
+ */
+export function isForwardedLogMessage(message: unknown): message is ForwardedLogMessage {
+    return (
+        typeof message === 'object' &&
+        message !== null &&
+        (message as { type?: unknown }).type === FORWARDED_LOG_MESSAGE_TYPE &&
+        Array.isArray((message as { args?: unknown }).args)
+    );
+}
+
+/**
+ * Create a log writer for worker threads and forked child processes that sends records to the parent,
+ * where {@link receiveForwardedLogs} logs them into a registry.
+ *
+ * Records keep their timestamp, level, component and fields. Arguments and fields are converted into
+ * JSON-safe values (see {@link serializeLogValue}) so they survive both structured cloning and JSON IPC;
+ * Errors are restored as Errors in the parent. If the channel to the parent is closed, records fall back
+ * to the console and the first failure is reported. A `MessagePort` counts as closed once it has emitted
+ * its `close` event, since posting to a closed port drops messages without an error.
+ *
+ * @example
+ * ```ts
+ * // worker.ts
+ * startLogger({ logWriter: forwardingLogWriter() });
+ * ```
+ *
+ * @param options - Channel to the parent and worker ID.
+ * @returns A log writer function that forwards records.
+ * @throws {Error} When no `target` is given and the process is neither a worker thread nor a child with an IPC channel.
+ */
+export function forwardingLogWriter(options: ForwardingLogWriterOptions = {}): LogWriter {
+    const target = options.target ?? parentPort ?? (typeof process.send === 'function' ? process : undefined);
+    if (target === undefined) {
+        throw new Error('Cannot forward logs: not running in a worker thread or a child process with an IPC channel.');
+    }
+    const workerId = options.workerId ?? (parentPort !== null ? threadId : process.pid);
+    const reportError = createWriteErrorReporter('parent process');
+    const send = createSender(target);
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        const timestamp = logOptions.timestamp ?? Date.now();
+        const errorArgs = args.flatMap((arg, index) => (arg instanceof Error ? [index] : []));
+        const message: ForwardedLogMessage = {
+            type: FORWARDED_LOG_MESSAGE_TYPE,
+            workerId,
+            level: logOptions.level,
+            ...(logOptions.component !== undefined ? { component: logOptions.component } : {}),
+            ...(logOptions.fields !== undefined ? { fields: serializeLogValue(logOptions.fields) as Record<string, unknown> } : {}),
+            timestamp,
+            args: args.map((arg) => serializeLogValue(arg)),
+            ...(errorArgs.length > 0 ? { errorArgs } : {}),
+        };
+        send(message, (error) => {
+            // Fallback to console if the parent cannot be reached
+            console.error(defaultLogFormatter({ ...logOptions, timestamp }, args));
+            reportError(error);
+        });
+    };
+}
+
+/**
+ * Log records sent by {@link forwardingLogWriter} in a worker thread or child process into a registry
+ * of this process.
+ *
+ * Records are logged with their original timestamp, level, component and fields plus a `workerId`
+ * field, so the registry's filters, redaction and writers apply as if they were logged locally.
+ * Other messages on the channel are ignored.
+ *
+ * @example
+ * ```ts
+ * const worker = new Worker(new URL('./worker.js', import.meta.url));
+ * const stop = receiveForwardedLogs(worker);
+ * ```
+ *
+ * @param source - Worker, MessagePort or ChildProcess the records arrive from.
+ * @param options - Target registry, worker ID override and extra fields.
+ * @returns Function that stops receiving records.
+ */
+export function receiveForwardedLogs(source: LogForwardSource, options: ReceiveForwardedLogsOptions = {}): () => void {
+    const { registry = getDefaultLoggerRegistry(), fields } = options;
+    const listener = (message: unknown): void => {
+        if (!isForwardedLogMessage(message)) {
+            return;
+        }
+        const workerId = options.workerId ?? message.workerId;
+        const args = message.args.map((arg, index) => (message.errorArgs?.includes(index) ? reviveError(arg) : arg));
+        registry.log(
+            {
+                level: message.level,
+                component: message.component,
+                fields: mergeLogFields(mergeLogFields(message.fields, fields), { workerId }),
+                timestamp: message.timestamp,
+            },
+            ...args,
+        );
+    };
+    source.on('message', listener);
+    return () => {
+        source.off('message', listener);
+    };
+}
+
+type Sender = (message: ForwardedLogMessage, onError: (error: unknown) => void) => void;
+
+function createSender(target: LogForwardTarget): Sender {
+    if ('postMessage' in target) {
+        let closed = false;
+        target.once?.('close', () => {
+            closed = true;
+        });
+        return (message, onError) => {
+            if (closed) {
+                onError(new Error('the message port to the parent is closed'));
+                return;
+            }
+            try {
+                target.postMessage(message);
+            } catch (error) {
+                onError(error);
+            }
+        };
+    }
+    return (message, onError) => {
+        // Sending on a closed channel without a callback emits an 'error' event that would crash the process.
+        if (target.send === undefined || target.connected === false) {
+            onError(new Error('the IPC channel to the parent process is closed'));
+            return;
+        }
+        target.send(message, undefined, undefined, (error) => {
+            if (error) {
+                onError(error);
+            }
+        });
+    };
+}
+
+function reviveError(value: unknown): Error {
+    // `fingerprint` is derived from the stack and recomputed when the Error is serialized again
+    const {
+        name,
+        message,
+        stack,
+        fingerprint: _fingerprint,
+        ...rest
+    } = (typeof value === 'object' && value !== null ? value : {}) as Record<string, unknown>;
+    const error = new Error(typeof message === 'string' ? message : String(value));
+    if (typeof name === 'string') {
+        error.name = name;
+    }
+    error.stack = typeof stack === 'string' ? stack : undefined;
+    return Object.assign(error, rest);
+}
@@ -1,7 +1,130 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
-import { log } from './default';
-import { LogLevel } from './types';
+import { getDefaultLoggerRegistry, log } from './default';
+import { mergeLogFields } from './fields';
+import type { LoggerRegistry } from './LoggerRegistry';
+import { LogLevel, type LogFields, type LogOptions } from './types';
+
+/**
+ * Thunk that lazily produces log arguments; it is only called when some logger will write.
+ *
+ * @returns The arguments to log; a non-array result is logged as a single argument.
+ */
+export type LazyLogArgs = () => unknown;
+
+/**
+ * Log method for a fixed level.
+ *
+ * When called with a single function argument, the function is treated as a {@link LazyLogArgs}
+ * thunk and only evaluated if some logger will write the message. An array result is spread into
+ * the arguments, any other result is logged as one argument. To log a function itself, return it
+ * from a thunk: `logger.debug(() => [callback])`.
+ *
+ * @param args - Arguments to render into the log output, or a single thunk producing them.
+ */
+export type LevelLogMethod = (...args: unknown[]) => void;
+
+/**
+ * Logger object bound to a component with level-named methods.
+ */
+export interface ComponentLogger {
+    /**
+     * Component name included in every message, if any.
+     */
+    readonly component: string | undefined;
+
+    /**
+     * Context fields included in every message.
+     */
+    readonly fields: Readonly<LogFields>;
+
+    /**
+     * Log at {@link LogLevel.TRACE}.
+     */
+    readonly trace: LevelLogMethod;
+
+    /**
+     * Log at {@link LogLevel.DEBUG}.
+     */
+    readonly debug: LevelLogMethod;
+
+    /**
+     * Log at {@link LogLevel.INFO}.
+     */
+    readonly info: LevelLogMethod;
+
+    /**
+     * Log at {@link LogLevel.WARN}.
+     */
+    readonly warn: LevelLogMethod;
+
+    /**
+     * Log at {@link LogLevel.ERROR}.
+     */
+    readonly error: LevelLogMethod;
+
+    /**
+     * Check whether any active logger would write a message at the given level for this component.
+     *
+     * @param level - Severity level to check.
+     * @returns True when at least one logger would write the message.
+     */
+    isLevelEnabled(level: LogLevel): boolean;
+
+    /**
+     * Create a logger that adds more context fields to every message.
+     *
+     * @param fields - Fields to bind; they win over fields of this logger on conflicts.
+     * @returns A new logger for the same component.
+     */
+    child(fields: LogFields): ComponentLogger;
+}
+
+/**
+ * Options for {@link getLogger}.
+ */
+export interface GetLoggerOptions {
+    /**
+     * Registry to log through. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+
+    /**
+     * Context fields to include in every message.
+     */
+    fields?: LogFields;
+}
+
+/**
+ * Log function bound to a component and a set of context fields.
+ */
+export interface ComponentLog {
+    /**
+     * Log at the given level. If no level is provided, the call is a no-op.
+     *
+     * @param level - Severity level of the message.
+     * @param args - Arguments to render into the log output.
+     */
+    (level?: LogLevel, ...args: unknown[]): void;
+
+    /**
+     * Component name included in every message, if any.
+     */
+    readonly component: string | undefined;
+
+    /**
+     * Context fields included in every message.
+     */
+    readonly fields: Readonly<LogFields>;
+
+    /**
+     * Create a log function that adds more context fields to every message.
+     *
+     * @param fields - Fields to bind; they win over fields of this log function on conflicts.
+     * @returns A new log function for the same component.
+     */
+    child(fields: LogFields): ComponentLog;
+}
 
 /**
  * Creates a log function for a specific component.
@@ -9,19 +132,75 @@ import { LogLevel } from './types';
  * If no level is provided, the returned function will be a no-op.
  *
  * @param component - Component name to include in log messages.
+ * @param fields - Optional context fields to include in every message.
  * @returns A function that takes a log level and arguments to log at that level for the component.
  */
-export function createComponentLog(component?: string): (level?: LogLevel, ...args: unknown[]) => void {
-    if (component === undefined) {
-        return (level?: LogLevel, ...args: unknown[]) => {
-            if (level !== undefined) {
-                log({ level }, ...args);
-            }
-        };
-    }
-    return (level?: LogLevel, ...args: unknown[]) => {
+export function createComponentLog(component?: string, fields: LogFields = {}): ComponentLog {
+    const boundFields = Object.freeze({ ...fields });
+    const componentLog = (level?: LogLevel, ...args: unknown[]): void => {
         if (level !== undefined) {
-            log({ level, component }, ...args);
+            log(createLogOptions(level, component, boundFields), ...args);
+        }
+    };
+    return Object.assign(componentLog, {
+        component,
+        fields: boundFields,
+        child: (childFields: LogFields): ComponentLog => createComponentLog(component, mergeLogFields(boundFields, childFields)),
+    });
+}
+
+function createLogOptions(level: LogLevel, component: string | undefined, fields: LogFields): LogOptions {
+    const options: LogOptions = { level };
+    if (component !== undefined) {
+        options.component = component;
+    }
+    if (Object.keys(fields).length > 0) {
+        options.fields = fields;
+    }
+    return options;
+}
+
+/**
+ * Get a logger object for a component with `trace`/`debug`/`info`/`warn`/`error` methods.
+ *
+ * @example
+ * ```ts
+ * const logger = getLogger('api');
+ * logger.info('Listening on %d', port);
+ * logger.debug(() => ['State dump:', buildExpensiveDump()]);
+ * ```
+ *
+ * @param component - Component name to include in log messages.
+ * @param options - Registry and context fields to use.
+ * @returns A logger bound to the component.
+ */
+export function getLogger(component?: string, options: GetLoggerOptions = {}): ComponentLogger {
+    const { registry = getDefaultLoggerRegistry(), fields = {} } = options;
+    const boundFields = Object.freeze({ ...fields });
+    return {
+        component,
+        fields: boundFields,
+        trace: createLevelLogMethod(registry, createLogOptions(LogLevel.TRACE, component, boundFields)),
+        debug: createLevelLogMethod(registry, createLogOptions(LogLevel.DEBUG, component, boundFields)),
+        info: createLevelLogMethod(registry, createLogOptions(LogLevel.INFO, component, boundFields)),
+        warn: createLevelLogMethod(registry, createLogOptions(LogLevel.WARN, component, boundFields)),
+        error: createLevelLogMethod(registry, createLogOptions(LogLevel.ERROR, component, boundFields)),
+        isLevelEnabled: (level: LogLevel): boolean => registry.isEnabled(createLogOptions(level, component, boundFields)),
+        child: (childFields: LogFields): ComponentLogger =>
+            getLogger(component, { registry, fields: mergeLogFields(boundFields, childFields) }),
+    };
+}
+
+function createLevelLogMethod(registry: LoggerRegistry, options: LogOptions): LevelLogMethod {
+    return (...args: unknown[]): void => {
+        const [first] = args;
+        if (args.length === 1 && typeof first === 'function') {
+            if (registry.isEnabled(options)) {
+                const result = (first as LazyLogArgs)();
+                registry.log(options, ...(Array.isArray(result) ? (result as unknown[]) : [result]));
+            }
+            return;
         }
+        registry.log(options, ...args);
     };
 }
@@ -0,0 +1,56 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+// Entry point of the browser/worker build: everything from `index.ts` that runs without Node.js
+// built-ins, plus browser-specific writers. The build swaps `*.ts` modules for their `*.browser.ts`
+// variants where one exists.
+
+// Types - core interfaces and enums
+export * from './types';
+
+// Default registry - convenience functions for the global logger
+export * from './default';
+
+// Registry utilities - for creating custom registries
+export * from './LoggerRegistry';
+
+// Browser console - per-level console methods with `%c` styling
+export * from './browserConsole';
+
+// Memory writer - ring buffer of recent records, dumped on error
+export * from './memoryLogWriter';
+
+// Formatters - built-in line layouts for writers
+export * from './formatters';
+
+// JSON - structured records and safe serialization
+export * from './json';
+
+// Errors - structured error serialization and fingerprints; `installErrorHooks` needs `process` and is left out
+export { errorFingerprint, parseStackFrames, serializeError, type SerializedError, type StackFrame } from './errors';
+
+// Redaction - masking secrets and PII before records reach writers
+export * from './redact';
+
+// Filters - built-in filter functions
+export * from './filters';
+
+// Filter expressions - `level>=warn && component^=api` style filter syntax
+export * from './filterExpression';
+
+// Throttling - sampling, rate-limiting and deduplication filters
+export * from './throttle';
+
+// Filter bounds - static level/component descriptions used by the registry fast path
+export * from './filterBounds';
+
+// Helpers - convenience functions for creating loggers
+export * from './helpers';
+
+// Instrumentation - timers, spans, counters and gauges emitted as log records
+export * from './instrumentation';
+
+// Fields - context field utilities
+export * from './fields';
+
+// Context - log fields propagated along the synchronous call stack
+export * from './context';
@@ -12,8 +12,71 @@ export * from './LoggerRegistry';
 // Writers - built-in log writers
 export * from './writers';
 
+// Syslog - RFC 5424 syslog and journald-style writers
+export * from './syslog';
+
+// Buffered file writer - batched, stream-backed file output
+export * from './bufferedFileLogWriter';
+
+// Rotating file writer - size- and time-based log rotation
+export * from './rotatingFileLogWriter';
+
+// Memory writer - ring buffer of recent records, dumped on error
+export * from './memoryLogWriter';
+
+// OTLP writer - batched export of OpenTelemetry log records over HTTP
+export * from './otlpLogWriter';
+
+// Formatters - built-in line layouts for writers
+export * from './formatters';
+
+// Pretty - colourised, TTY-aware console output
+export * from './pretty';
+
+// JSON - structured records and safe serialization
+export * from './json';
+
+// Errors - structured error serialization, fingerprints and process-level error hooks
+export * from './errors';
+
+// Redaction - masking secrets and PII before records reach writers
+export * from './redact';
+
 // Filters - built-in filter functions
 export * from './filters';
 
+// Filter expressions - `level>=warn && component^=api` style filter syntax
+export * from './filterExpression';
+
+// Throttling - sampling, rate-limiting and deduplication filters
+export * from './throttle';
+
+// Filter bounds - static level/component descriptions used by the registry fast path
+export * from './filterBounds';
+
+// Config - declarative and environment-based logger setup
+export * from './config';
+
+// Control - runtime level changes via signals and config-file watching
+export * from './control';
+
+// Forwarding - records from worker threads and child processes into a parent registry
+export * from './forwarding';
+
 // Helpers - convenience functions for creating loggers
 export * from './helpers';
+
+// Instrumentation - timers, spans, counters and gauges emitted as log records
+export * from './instrumentation';
+
+// Capture - recording log output for tests
+export * from './capture';
+
+// Matchers - vitest/jest assertions for captured logs
+export * from './matchers';
+
+// Fields - context field utilities
+export * from './fields';
+
+// Context - async-context propagation of log fields
+export * from './context';
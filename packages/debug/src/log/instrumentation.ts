@@ -0,0 +1,289 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { getLogContext, withLogContext } from './context';
+import { getDefaultLoggerRegistry } from './default';
+import { mergeLogFields } from './fields';
+import type { LoggerRegistry } from './LoggerRegistry';
+import { isPromiseLike } from './promise';
+import { LogLevel, type LogFields } from './types';
+
+/**
+ * Options shared by the instrumentation helpers.
+ */
+export interface InstrumentationOptions {
+    /**
+     * Registry that receives the records. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+
+    /**
+     * Component of the records.
+     */
+    component?: string;
+
+    /**
+     * Level of the records. Defaults to {@link LogLevel.DEBUG}; span failures are always logged at
+     * {@link LogLevel.ERROR}.
+     */
+    level?: LogLevel;
+
+    /**
+     * Additional fields attached to the records.
+     */
+    fields?: LogFields;
+}
+
+/**
+ * Monotonically increasing metric.
+ */
+export interface Counter {
+    /**
+     * Metric name.
+     */
+    readonly name: string;
+
+    /**
+     * Current value.
+     */
+    readonly value: number;
+
+    /**
+     * Increase the counter and log its new value.
+     *
+     * @param delta - Amount to add. Defaults to 1.
+     * @param fields - Fields attached to this record only.
+     * @returns The new value.
+     */
+    increment(delta?: number, fields?: LogFields): number;
+
+    /**
+     * Reset the counter to zero without logging.
+     */
+    reset(): void;
+}
+
+/**
+ * Metric that records the latest value of a measurement.
+ */
+export interface Gauge {
+    /**
+     * Metric name.
+     */
+    readonly name: string;
+
+    /**
+     * Latest value, or `undefined` before the first {@link Gauge.set}.
+     */
+    readonly value: number | undefined;
+
+    /**
+     * Record and log a new value.
+     *
+     * @param value - Measured value.
+     * @param fields - Fields attached to this record only.
+     */
+    set(value: number, fields?: LogFields): void;
+}
+
+const timers = new WeakMap<LoggerRegistry, Map<string, number>>();
+
+/**
+ * Start a timer that is stopped and logged by {@link timeEnd}.
+ *
+ * Timers are tracked per registry. Starting a timer with a label that is already running restarts it.
+ *
+ * @param label - Timer label.
+ * @param options - Registry the timer belongs to.
+ */
+export function time(label: string, options: InstrumentationOptions = {}): void {
+    const registry = options.registry ?? getDefaultLoggerRegistry();
+    let registryTimers = timers.get(registry);
+    if (registryTimers === undefined) {
+        registryTimers = new Map();
+        timers.set(registry, registryTimers);
+    }
+    registryTimers.set(label, performance.now());
+}
+
+/**
+ * Stop a timer started by {@link time} and log `<label>: <duration>ms` with `timer` and `durationMs` fields.
+ *
+ * @param label - Timer label.
+ * @param options - Registry, component, level and fields of the record.
+ * @returns Elapsed milliseconds, or `undefined` (with a warning record) when no such timer is running.
+ */
+export function timeEnd(label: string, options: InstrumentationOptions = {}): number | undefined {
+    const { registry = getDefaultLoggerRegistry(), component, level = LogLevel.DEBUG, fields } = options;
+    const registryTimers = timers.get(registry);
+    const start = registryTimers?.get(label);
+    if (start === undefined) {
+        registry.log({ level: LogLevel.WARN, component, fields: mergeLogFields(fields, { timer: label }) }, 'No such timer: %s', label);
+        return undefined;
+    }
+    registryTimers?.delete(label);
+    const durationMs = performance.now() - start;
+    registry.log(
+        { level, component, fields: mergeLogFields(fields, { timer: label, durationMs }) },
+        '%s: %sms',
+        label,
+        durationMs.toFixed(3),
+    );
+    return durationMs;
+}
+
+class ActiveSpan {
+    public readonly fields: LogFields;
+    private readonly registry: LoggerRegistry;
+    private readonly start = performance.now();
+
+    public constructor(
+        private readonly name: string,
+        private readonly options: InstrumentationOptions,
+    ) {
+        this.registry = options.registry ?? getDefaultLoggerRegistry();
+        const parentSpanId = getLogContext()?.spanId;
+        this.fields = {
+            span: name,
+            spanId: createSpanId(),
+            ...(typeof parentSpanId === 'string' ? { parentSpanId } : {}),
+        };
+    }
+
+    public run<T>(fn: () => T): T {
+        this.log(this.options.level ?? LogLevel.DEBUG, {}, 'span start: %s', this.name);
+        let result: T;
+        try {
+            result = fn();
+        } catch (error) {
+            this.fail(error);
+            throw error;
+        }
+        if (isPromiseLike(result)) {
+            return Promise.resolve(result).then(
+                (value) => {
+                    this.succeed();
+                    return value;
+                },
+                (error: unknown) => {
+                    this.fail(error);
+                    throw error;
+                },
+            ) as T;
+        }
+        this.succeed();
+        return result;
+    }
+
+    private succeed(): void {
+        const durationMs = performance.now() - this.start;
+        this.log(
+            this.options.level ?? LogLevel.DEBUG,
+            { status: 'ok', durationMs },
+            'span end: %s (%sms)',
+            this.name,
+            durationMs.toFixed(3),
+        );
+    }
+
+    private fail(error: unknown): void {
+        const durationMs = performance.now() - this.start;
+        this.log(LogLevel.ERROR, { status: 'error', durationMs }, 'span failed: %s (%sms)', this.name, durationMs.toFixed(3), error);
+    }
+
+    private log(level: LogLevel, fields: LogFields, ...args: unknown[]): void {
+        this.registry.log({ level, component: this.options.component, fields: mergeLogFields(this.options.fields, fields) }, ...args);
+    }
+}
+
+/**
+ * Run a function as a span: log its start, its end with the duration, or its failure.
+ *
+ * The span runs inside {@link withLogContext} with `span`, `spanId` and, for nested spans,
+ * `parentSpanId` fields, so every record logged within it (including nested spans) carries them.
+ * Promises returned by `fn` are awaited; failures are logged at ERROR and rethrown.
+ *
+ * @example
+ * ```ts
+ * const rows = await span('db.query', () => db.query(sql), { component: 'db' });
+ * ```
+ *
+ * @param name - Span name.
+ * @param fn - Function to run; may return a promise.
+ * @param options - Registry, component, level and fields of the records.
+ * @returns The return value of `fn`.
+ * @throws {Error} Whatever `fn` throws or rejects with.
+ */
+export function span<T>(name: string, fn: () => T, options: InstrumentationOptions = {}): T {
+    const active = new ActiveSpan(name, options);
+    return withLogContext(active.fields, () => active.run(fn));
+}
+
+class LoggedCounter implements Counter {
+    public value = 0;
+
+    public constructor(
+        public readonly name: string,
+        private readonly options: InstrumentationOptions,
+    ) {}
+
+    public increment(delta = 1, fields?: LogFields): number {
+        this.value += delta;
+        logMetric(
+            this.options,
+            mergeLogFields(fields, { metric: this.name, type: 'counter', value: this.value, delta }),
+            this.name,
+            this.value,
+        );
+        return this.value;
+    }
+
+    public reset(): void {
+        this.value = 0;
+    }
+}
+
+class LoggedGauge implements Gauge {
+    public value: number | undefined;
+
+    public constructor(
+        public readonly name: string,
+        private readonly options: InstrumentationOptions,
+    ) {}
+
+    public set(value: number, fields?: LogFields): void {
+        this.value = value;
+        logMetric(this.options, mergeLogFields(fields, { metric: this.name, type: 'gauge', value }), this.name, value);
+    }
+}
+
+/**
+ * Create a counter that logs `<name>=<value>` with `metric`, `type`, `value` and `delta` fields on every increment.
+ *
+ * @param name - Metric name.
+ * @param options - Registry, component, level and fields of the records.
+ * @returns A new counter starting at zero.
+ */
+export function counter(name: string, options: InstrumentationOptions = {}): Counter {
+    return new LoggedCounter(name, options);
+}
+
+/**
+ * Create a gauge that logs `<name>=<value>` with `metric`, `type` and `value` fields whenever it is set.
+ *
+ * @param name - Metric name.
+ * @param options - Registry, component, level and fields of the records.
+ * @returns A new gauge without a value.
+ */
+export function gauge(name: string, options: InstrumentationOptions = {}): Gauge {
+    return new LoggedGauge(name, options);
+}
+
+function logMetric(options: InstrumentationOptions, fields: LogFields | undefined, name: string, value: number): void {
+    const { registry = getDefaultLoggerRegistry(), component, level = LogLevel.DEBUG } = options;
+    registry.log({ level, component, fields: mergeLogFields(options.fields, fields) }, '%s=%d', name, value);
+}
+
+// Web Crypto is available in Node.js and browsers alike.
+function createSpanId(): string {
+    return Array.from(crypto.getRandomValues(new Uint8Array(8)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
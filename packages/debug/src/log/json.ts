@@ -0,0 +1,136 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { serializeErrorValue } from './errorUtils';
+import { formatLogArgs } from './format';
+import { LogLevel, type LogOptions } from './types';
+
+/**
+ * Structured representation of a single log record, suitable for JSON sinks.
+ */
+export interface JsonLogRecord {
+    /**
+     * ISO 8601 timestamp of when the record was created.
+     */
+    time: string;
+    /**
+     * Numeric severity level.
+     */
+    level: LogLevel;
+    /**
+     * Name of the severity level (e.g. `WARN`).
+     */
+    levelName: string;
+    /**
+     * Optional logical component name that emitted the message.
+     */
+    component?: string;
+    /**
+     * Context fields bound to the record, converted into JSON-safe values.
+     */
+    fields?: Record<string, unknown>;
+    /**
+     * Log arguments rendered into a single message string.
+     */
+    message: string;
+    /**
+     * Raw log arguments converted into JSON-safe values.
+     */
+    args: unknown[];
+}
+
+/**
+ * Convert an arbitrary value into a JSON-safe value.
+ *
+ * Errors keep their name, message, stack, cause chain, `AggregateError` children and custom
+ * properties, plus a fingerprint (see {@link errorFingerprint}); circular references
+ * are replaced with `"[Circular]"`; BigInts become strings; Maps become arrays of
+ * `[key, value]` entries; Sets become arrays.
+ *
+ * @param value - Value to convert.
+ * @returns A value that can be passed to `JSON.stringify` without throwing.
+ */
+export function serializeLogValue(value: unknown): unknown {
+    return serializeValue(value, new Set<object>());
+}
+
+/**
+ * Build a structured log record from log metadata and arguments.
+ *
+ * @param options - Log metadata for this message.
+ * @param args - Arguments to render into the record.
+ * @returns A JSON-safe log record.
+ */
+export function createJsonLogRecord(options: LogOptions, args: unknown[]): JsonLogRecord {
+    return {
+        time: new Date(options.timestamp ?? Date.now()).toISOString(),
+        level: options.level,
+        levelName: LogLevel[options.level] ?? String(options.level),
+        ...(options.component !== undefined ? { component: options.component } : {}),
+        ...(options.fields !== undefined ? { fields: serializeLogValue(options.fields) as Record<string, unknown> } : {}),
+        message: formatLogArgs(...args),
+        args: args.map((arg) => serializeLogValue(arg)),
+    };
+}
+
+/**
+ * Render a log message as a single line of JSON.
+ *
+ * @param options - Log metadata for this message.
+ * @param args - Arguments to render into the record.
+ * @returns One JSON object without a trailing newline.
+ */
+export function formatJsonLog(options: LogOptions, args: unknown[]): string {
+    return JSON.stringify(createJsonLogRecord(options, args));
+}
+
+function serializeValue(value: unknown, ancestors: Set<object>): unknown {
+    switch (typeof value) {
+        case 'bigint':
+            return value.toString();
+        case 'symbol':
+            return value.toString();
+        case 'function':
+            return `[Function ${value.name || 'anonymous'}]`;
+        case 'object':
+            break;
+        default:
+            return value;
+    }
+    if (value === null) {
+        return null;
+    }
+    if (ancestors.has(value)) {
+        return '[Circular]';
+    }
+
+    ancestors.add(value);
+    try {
+        return serializeObject(value, ancestors);
+    } finally {
+        ancestors.delete(value);
+    }
+}
+
+function serializeObject(value: object, ancestors: Set<object>): unknown {
+    if (value instanceof Error) {
+        return serializeErrorValue(value, (entry) => serializeValue(entry, ancestors), false);
+    }
+    if (value instanceof Map) {
+        return Array.from(value.entries(), ([key, entry]) => [serializeValue(key, ancestors), serializeValue(entry, ancestors)]);
+    }
+    if (value instanceof Set) {
+        return Array.from(value.values(), (entry) => serializeValue(entry, ancestors));
+    }
+    if (Array.isArray(value)) {
+        return value.map((entry) => serializeValue(entry, ancestors));
+    }
+    if ('toJSON' in value && typeof value.toJSON === 'function') {
+        return serializeValue(value.toJSON(), ancestors);
+    }
+
+    const result: Record<string, unknown> = {};
+    for (const [key, entry] of Object.entries(value)) {
+        result[key] = serializeValue(entry, ancestors);
+    }
+    return result;
+}
@@ -0,0 +1,33 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { LogLevel } from './types';
+
+const LOG_LEVEL_NAMES: Record<string, LogLevel | undefined> = {
+    trace: LogLevel.TRACE,
+    debug: LogLevel.DEBUG,
+    info: LogLevel.INFO,
+    warn: LogLevel.WARN,
+    warning: LogLevel.WARN,
+    error: LogLevel.ERROR,
+    off: undefined,
+    none: undefined,
+    silent: undefined,
+};
+
+/**
+ * Parse a log level name (case-insensitive).
+ *
+ * `off`, `none` and `silent` disable logging and parse to `undefined`.
+ *
+ * @param name - Level name such as `debug` or `WARN`.
+ * @returns The parsed level, or `undefined` for `off`.
+ * @throws {Error} When the name is not a known level.
+ */
+export function parseLogLevel(name: string): LogLevel | undefined {
+    const normalized = name.trim().toLowerCase();
+    // Own keys only: `in` would accept inherited names such as `constructor`.
+    if (!Object.hasOwn(LOG_LEVEL_NAMES, normalized)) {
+        throw new Error(`Unknown log level "${name}". Expected one of: ${Object.keys(LOG_LEVEL_NAMES).join(', ')}.`);
+    }
+    return LOG_LEVEL_NAMES[normalized];
+}
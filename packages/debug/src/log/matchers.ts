@@ -0,0 +1,124 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { inspect } from 'node:util';
+
+import { LogCapture, type LogQuery } from './capture';
+import { levelName } from './formatUtils';
+
+/**
+ * Result shape expected by vitest and jest custom matchers.
+ */
+export interface LogMatcherResult {
+    pass: boolean;
+    message: () => string;
+}
+
+/**
+ * Assertion methods added by {@link logMatchers}, for augmenting the test framework's types.
+ *
+ * @example
+ * ```ts
+ * declare module 'vitest' {
+ *     interface Assertion<T> extends LogMatchers<T> {}
+ * }
+ * ```
+ */
+export interface LogMatchers<R = unknown> {
+    /**
+     * Assert that a {@link LogCapture} holds at least one record matching the query.
+     */
+    toHaveLogged(query?: LogQuery): R;
+
+    /**
+     * Assert that a {@link LogCapture} holds exactly `times` records matching the query.
+     */
+    toHaveLoggedTimes(times: number, query?: LogQuery): R;
+}
+
+// Number of captured records listed in failure messages.
+const MAX_LISTED_RECORDS = 20;
+
+/**
+ * Custom matchers for {@link LogCapture}, to register with `expect.extend(logMatchers)` in vitest or jest.
+ *
+ * @example
+ * ```ts
+ * expect.extend(logMatchers);
+ * expect(logs).toHaveLogged({ level: LogLevel.WARN, component: 'api' });
+ * expect(logs).not.toHaveLogged({ minLevel: LogLevel.ERROR });
+ * ```
+ */
+export const logMatchers = {
+    /**
+     * Match when the capture holds at least one record matching the query.
+     *
+     * @param received - Value passed to `expect`; must be a {@link LogCapture}.
+     * @param query - Criteria to match.
+     * @returns Matcher result.
+     * @throws {Error} When `received` is not a {@link LogCapture}.
+     */
+    toHaveLogged(received: unknown, query: LogQuery = {}): LogMatcherResult {
+        const capture = assertLogCapture(received, 'toHaveLogged');
+        const matches = capture.filter(query);
+        const pass = matches.length > 0;
+        return {
+            pass,
+            message: () =>
+                pass
+                    ? `Expected no record matching ${describeQuery(query)}, but found:\n${listRecords(matches)}`
+                    : `Expected a record matching ${describeQuery(query)}. Captured records:\n${listRecords(capture.entries)}`,
+        };
+    },
+
+    /**
+     * Match when the capture holds exactly `times` records matching the query.
+     *
+     * @param received - Value passed to `expect`; must be a {@link LogCapture}.
+     * @param times - Expected number of matching records.
+     * @param query - Criteria to match.
+     * @returns Matcher result.
+     * @throws {Error} When `received` is not a {@link LogCapture}.
+     */
+    toHaveLoggedTimes(received: unknown, times: number, query: LogQuery = {}): LogMatcherResult {
+        const capture = assertLogCapture(received, 'toHaveLoggedTimes');
+        const matches = capture.filter(query);
+        const pass = matches.length === times;
+        return {
+            pass,
+            message: () =>
+                pass
+                    ? `Expected a number other than ${times} of records matching ${describeQuery(query)}`
+                    : `Expected ${times} record(s) matching ${describeQuery(query)}, found ${matches.length}:\n${listRecords(matches)}`,
+        };
+    },
+};
+
+function assertLogCapture(received: unknown, matcherName: string): LogCapture {
+    if (!(received instanceof LogCapture)) {
+        throw new Error(`${matcherName}() expects a LogCapture created by captureLogs(), received ${inspect(received)}.`);
+    }
+    return received;
+}
+
+function describeQuery(query: LogQuery): string {
+    const { level, minLevel, ...rest } = query;
+    const described: Record<string, unknown> = { ...rest };
+    if (level !== undefined) {
+        described.level = Array.isArray(level) ? level.map(levelName) : levelName(level);
+    }
+    if (minLevel !== undefined) {
+        described.minLevel = levelName(minLevel);
+    }
+    return inspect(described, { breakLength: Infinity });
+}
+
+function listRecords(records: ReadonlyArray<{ formatted: string }>): string {
+    if (records.length === 0) {
+        return '  (none)';
+    }
+    const listed = records.slice(-MAX_LISTED_RECORDS).map((record) => `  ${record.formatted}`);
+    if (records.length > MAX_LISTED_RECORDS) {
+        listed.unshift(`  ... ${records.length - MAX_LISTED_RECORDS} earlier record(s)`);
+    }
+    return listed.join('\n');
+}
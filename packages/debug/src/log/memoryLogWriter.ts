@@ -0,0 +1,258 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createErrorReporter } from './fallback';
+import { minLevelLogFilter } from './filters';
+import { defaultLogFormatter } from './formatters';
+import { Logger } from './Logger';
+import { isPromiseLike } from './promise';
+import {
+    LogLevel,
+    type FilterHandle,
+    type FilterMode,
+    type LogFilter,
+    type LogFormatter,
+    type LogOptions,
+    type LogWriter,
+    type LogWriterLifecycle,
+} from './types';
+
+/**
+ * Options for {@link memoryLogWriter}.
+ */
+export interface MemoryLogWriterOptions {
+    /**
+     * Maximum number of buffered records. Defaults to 1000.
+     */
+    maxRecords?: number;
+
+    /**
+     * Maximum size of the buffered records in bytes, measured with `formatter`. Unlimited by default.
+     */
+    maxBytes?: number;
+
+    /**
+     * Formatter used to measure records for `maxBytes`. Defaults to {@link defaultLogFormatter}.
+     */
+    formatter?: LogFormatter;
+
+    /**
+     * Filters deciding which records are buffered, independent of the logger feeding the writer.
+     */
+    filters?: LogFilter[];
+
+    /**
+     * How buffer filters are combined. Defaults to `all`.
+     */
+    mode?: FilterMode;
+
+    /**
+     * Filter deciding which records dump the buffer. Defaults to {@link minLevelLogFilter} at ERROR.
+     */
+    dumpFilter?: LogFilter;
+}
+
+/**
+ * A record held by a {@link MemoryLogWriter}.
+ */
+export interface MemoryLogRecord {
+    /**
+     * Log metadata, with `timestamp` set to the time the record was buffered.
+     */
+    options: LogOptions;
+
+    /**
+     * Arguments of the log call.
+     */
+    args: unknown[];
+}
+
+/**
+ * Log writer that keeps recent records in a ring buffer and writes them to a target on demand.
+ */
+export interface MemoryLogWriter {
+    /**
+     * Buffer a log message, or dump the buffer followed by the message when it matches the dump filter.
+     *
+     * @param options - Log metadata for this message.
+     * @param args - Arguments to render into the log output.
+     * @returns A promise when the target writes asynchronously, settling once the dumped records are written.
+     */
+    (options: LogOptions, ...args: unknown[]): void | Promise<void>;
+
+    /**
+     * Write all buffered records to the target, oldest first, and empty the buffer.
+     *
+     * @returns Promise that resolves once the target has written the records.
+     */
+    dump(): Promise<void>;
+
+    /**
+     * Flush the target.
+     */
+    flush(): void | PromiseLike<void>;
+
+    /**
+     * Close the target.
+     */
+    close(): void | PromiseLike<void>;
+
+    /**
+     * Discard all buffered records.
+     */
+    clear(): void;
+
+    /**
+     * Get the buffered records.
+     *
+     * @returns Buffered records, oldest first.
+     */
+    getRecords(): MemoryLogRecord[];
+
+    /**
+     * Add a filter deciding which records are buffered.
+     *
+     * @param filter - Predicate that determines if a record is buffered.
+     * @returns Handle that can be used to remove the filter.
+     */
+    addFilter(filter: LogFilter): FilterHandle;
+
+    /**
+     * Remove a buffer filter by handle.
+     *
+     * @param handle - Handle returned by {@link addFilter}.
+     * @returns True when the filter was removed.
+     */
+    removeFilter(handle: FilterHandle): boolean;
+
+    /**
+     * Remove all buffer filters.
+     */
+    clearFilters(): void;
+}
+
+interface BufferedRecord extends MemoryLogRecord {
+    bytes: number;
+}
+
+const DEFAULT_MAX_RECORDS = 1000;
+
+const textEncoder = new TextEncoder();
+
+// Dropped entries at the head of the array are compacted away once they exceed this count.
+const COMPACT_THRESHOLD = 1024;
+
+class MemoryRingBuffer {
+    private records: BufferedRecord[] = [];
+    private start = 0;
+    private bytes = 0;
+
+    public constructor(
+        private readonly maxRecords: number,
+        private readonly maxBytes: number,
+        private readonly formatter: LogFormatter,
+    ) {}
+
+    public readonly push = (options: LogOptions, ...args: unknown[]): void => {
+        const bytes = Number.isFinite(this.maxBytes) ? textEncoder.encode(this.formatter(options, args)).byteLength : 0;
+        this.records.push({ options, args, bytes });
+        this.bytes += bytes;
+        while (this.records.length - this.start > this.maxRecords || this.bytes > this.maxBytes) {
+            this.dropOldest();
+        }
+    };
+
+    public take(): MemoryLogRecord[] {
+        const records = this.snapshot();
+        this.clear();
+        return records;
+    }
+
+    public snapshot(): MemoryLogRecord[] {
+        return this.records.slice(this.start).map(({ options, args }) => ({ options, args }));
+    }
+
+    public clear(): void {
+        this.records = [];
+        this.start = 0;
+        this.bytes = 0;
+    }
+
+    private dropOldest(): void {
+        const dropped = this.records[this.start];
+        if (dropped === undefined) {
+            return;
+        }
+        this.bytes -= dropped.bytes;
+        this.start++;
+        if (this.start >= COMPACT_THRESHOLD && this.start * 2 >= this.records.length) {
+            this.records = this.records.slice(this.start);
+            this.start = 0;
+        }
+    }
+}
+
+/**
+ * Create a log writer that keeps the most recent records in memory and writes them to `target` when an
+ * error is logged or {@link MemoryLogWriter.dump} is called.
+ *
+ * Register it with a logger that passes every level and keeps them when levels change at runtime
+ * (`startLogger({ logWriter: memory, fixedLevels: true })`) so DEBUG and TRACE records reach the
+ * buffer; the writer's own `filters` decide what is kept. Records
+ * matching `dumpFilter` are never buffered: the buffer is dumped first and the record is then written
+ * to `target`. Buffered records carry their original `timestamp`, so formatters render the time they
+ * were logged rather than the time of the dump.
+ *
+ * Asynchronous targets are awaited: the writer returns their promise, so loggers track dumped writes,
+ * and the first failed write is reported to the console. `flush()` and `close()` are forwarded to the
+ * target, so do not also register the target with a logger of the same registry.
+ *
+ * @example
+ * ```ts
+ * const memory = memoryLogWriter(consoleLogWriter, { maxRecords: 200 });
+ * startLogger({ logWriter: memory, fixedLevels: true });
+ * ```
+ *
+ * @param target - Writer receiving dumped records.
+ * @param options - Buffer limits, buffer filters and dump filter.
+ * @returns A log writer with `dump()`, `flush()`, `close()`, `clear()`, `getRecords()` and filter management methods.
+ */
+export function memoryLogWriter(target: LogWriter & LogWriterLifecycle, options: MemoryLogWriterOptions = {}): MemoryLogWriter {
+    const {
+        maxRecords = DEFAULT_MAX_RECORDS,
+        maxBytes = Infinity,
+        formatter = defaultLogFormatter,
+        filters = [],
+        mode = 'all',
+        dumpFilter = minLevelLogFilter(LogLevel.ERROR),
+    } = options;
+    const ring = new MemoryRingBuffer(maxRecords, maxBytes, formatter);
+    const bufferLogger = new Logger({ mode, logWriter: ring.push, name: 'memory' });
+    for (const filter of filters) {
+        bufferLogger.addFilter(filter);
+    }
+
+    const reportError = createErrorReporter((errorMessage) => `Write by memory log target failed: ${errorMessage}`);
+    // Calls the target for every record in order and waits for the asynchronous writes, if any.
+    const writeRecords = (records: MemoryLogRecord[]): Promise<void> | undefined => {
+        const pending = records.map((record) => target(record.options, ...record.args)).filter(isPromiseLike);
+        return pending.length === 0 ? undefined : Promise.all(pending).then(() => undefined, reportError);
+    };
+
+    const writer = (logOptions: LogOptions, ...args: unknown[]): void | Promise<void> => {
+        const stamped = logOptions.timestamp === undefined ? { ...logOptions, timestamp: Date.now() } : logOptions;
+        if (dumpFilter(stamped, args)) {
+            return writeRecords([...ring.take(), { options: stamped, args }]);
+        }
+        bufferLogger.log(stamped, ...args);
+    };
+    return Object.assign(writer, {
+        dump: async () => writeRecords(ring.take()),
+        flush: () => target.flush?.(),
+        close: () => target.close?.(),
+        clear: () => ring.clear(),
+        getRecords: () => ring.snapshot(),
+        addFilter: (filter: LogFilter) => bufferLogger.addFilter(filter),
+        removeFilter: (handle: FilterHandle) => bufferLogger.removeFilter(handle),
+        clearFilters: () => bufferLogger.clearFilters(),
+    });
+}
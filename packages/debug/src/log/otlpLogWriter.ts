@@ -0,0 +1,567 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createErrorReporter } from './fallback';
+import { formatLogArgs } from './format';
+import { serializeLogValue } from './json';
+import { LogLevel, type LogFields, type LogOptions } from './types';
+
+/**
+ * Options for {@link otlpLogWriter}.
+ */
+export interface OtlpLogWriterOptions {
+    /**
+     * OTLP/HTTP logs endpoint. Defaults to `http://localhost:4318/v1/logs`.
+     */
+    endpoint?: string;
+
+    /**
+     * Extra HTTP headers sent with every request, e.g. an authorization header.
+     */
+    headers?: Record<string, string>;
+
+    /**
+     * Value of the `service.name` resource attribute. Defaults to `unknown_service:node`.
+     */
+    serviceName?: string;
+
+    /**
+     * Additional resource attributes describing the process.
+     */
+    resource?: LogFields;
+
+    /**
+     * Maximum number of records per request. Defaults to 512.
+     */
+    maxBatchSize?: number;
+
+    /**
+     * Maximum number of records waiting to be exported; records written to a full queue are dropped.
+     * Defaults to 2048.
+     */
+    maxQueueSize?: number;
+
+    /**
+     * Interval in milliseconds between periodic exports. Defaults to 1000; `0` disables the timer.
+     */
+    flushInterval?: number;
+
+    /**
+     * Maximum number of retries of a failed request. Defaults to 5.
+     */
+    maxRetries?: number;
+
+    /**
+     * Delay in milliseconds before the first retry; doubled for every further retry. Defaults to 500.
+     */
+    retryDelay?: number;
+
+    /**
+     * Upper bound in milliseconds for retry delays, including `Retry-After`. Defaults to 30000.
+     */
+    maxRetryDelay?: number;
+
+    /**
+     * Request timeout in milliseconds. Defaults to 10000.
+     */
+    timeout?: number;
+
+    /**
+     * Fetch implementation used to send requests. Defaults to the global `fetch`.
+     */
+    fetch?: typeof fetch;
+}
+
+/**
+ * Counters describing the state of an {@link OtlpLogWriter}.
+ */
+export interface OtlpLogWriterStats {
+    /**
+     * Records waiting to be exported.
+     */
+    queued: number;
+
+    /**
+     * Records accepted by the endpoint.
+     */
+    exported: number;
+
+    /**
+     * Requests that were retried.
+     */
+    retries: number;
+
+    /**
+     * Records dropped, by reason.
+     */
+    dropped: {
+        /**
+         * Written while the queue was full.
+         */
+        queueFull: number;
+
+        /**
+         * Rejected by the endpoint with a non-retryable status or as a partial success.
+         */
+        rejected: number;
+
+        /**
+         * Still failing after the last retry.
+         */
+        failed: number;
+
+        /**
+         * Written after the writer was closed.
+         */
+        closed: number;
+    };
+}
+
+/**
+ * Log writer that exports records to an OTLP/HTTP endpoint in batches.
+ */
+export interface OtlpLogWriter {
+    /**
+     * Queue a log message for export.
+     *
+     * @param options - Log metadata for this message.
+     * @param args - Arguments to render into the log record.
+     */
+    (options: LogOptions, ...args: unknown[]): void;
+
+    /**
+     * Export all queued records.
+     *
+     * @returns Promise that resolves once queued records have been exported or dropped.
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Export queued records and stop the writer; records written afterwards are dropped.
+     *
+     * @returns Promise that resolves once queued records have been exported or dropped.
+     */
+    close(): Promise<void>;
+
+    /**
+     * Get a snapshot of the writer's counters.
+     *
+     * @returns Queue length, export, retry and drop counters.
+     */
+    getStats(): OtlpLogWriterStats;
+}
+
+/**
+ * OTLP `AnyValue` in its JSON encoding.
+ */
+export interface OtlpAnyValue {
+    stringValue?: string;
+    boolValue?: boolean;
+    intValue?: string;
+    doubleValue?: number;
+    arrayValue?: { values: OtlpAnyValue[] };
+    kvlistValue?: { values: OtlpKeyValue[] };
+}
+
+/**
+ * OTLP `KeyValue` in its JSON encoding.
+ */
+export interface OtlpKeyValue {
+    key: string;
+    value: OtlpAnyValue;
+}
+
+/**
+ * OTLP `LogRecord` in its JSON encoding.
+ */
+export interface OtlpLogRecord {
+    timeUnixNano: string;
+    observedTimeUnixNano: string;
+    severityNumber: number;
+    severityText: string;
+    body: OtlpAnyValue;
+    attributes: OtlpKeyValue[];
+    traceId?: string;
+    spanId?: string;
+}
+
+interface QueuedRecord {
+    component: string | undefined;
+    record: OtlpLogRecord;
+}
+
+const DEFAULT_ENDPOINT = 'http://localhost:4318/v1/logs';
+const DEFAULT_SERVICE_NAME = 'unknown_service:node';
+const DEFAULT_MAX_BATCH_SIZE = 512;
+const DEFAULT_MAX_QUEUE_SIZE = 2048;
+const DEFAULT_FLUSH_INTERVAL = 1000;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_DELAY = 500;
+const DEFAULT_MAX_RETRY_DELAY = 30_000;
+const DEFAULT_TIMEOUT = 10_000;
+
+// Instrumentation scope of every record; the component is a scope attribute.
+const SCOPE_NAME = '@private-test-org/debug';
+const COMPONENT_ATTRIBUTE = 'component';
+
+// Status codes the OTLP/HTTP specification marks as retryable.
+const RETRYABLE_STATUS_CODES = new Set([429, 502, 503, 504]);
+
+const SEVERITY_NUMBERS: Record<LogLevel, number> = {
+    [LogLevel.TRACE]: 1,
+    [LogLevel.DEBUG]: 5,
+    [LogLevel.INFO]: 9,
+    [LogLevel.WARN]: 13,
+    [LogLevel.ERROR]: 17,
+};
+
+// One beforeExit hook serves every open exporter, so many writers do not pile up listeners.
+const openExporters = new Set<OtlpExporter>();
+
+function flushOpenExporters(): void {
+    for (const exporter of openExporters) {
+        void exporter.flush();
+    }
+}
+
+function registerExporter(exporter: OtlpExporter): void {
+    if (openExporters.size === 0) {
+        process.on('beforeExit', flushOpenExporters);
+    }
+    openExporters.add(exporter);
+}
+
+function unregisterExporter(exporter: OtlpExporter): void {
+    if (openExporters.delete(exporter) && openExporters.size === 0) {
+        process.off('beforeExit', flushOpenExporters);
+    }
+}
+
+class OtlpExporter {
+    private readonly timer: NodeJS.Timeout | undefined;
+    private readonly resource: OtlpKeyValue[];
+    private readonly stats: OtlpLogWriterStats = {
+        queued: 0,
+        exported: 0,
+        retries: 0,
+        dropped: { queueFull: 0, rejected: 0, failed: 0, closed: 0 },
+    };
+    private queue: QueuedRecord[] = [];
+    private pending: Promise<void> = Promise.resolve();
+    private draining = false;
+    private closed = false;
+    private readonly reportError: (error: unknown, count: number) => void;
+
+    public constructor(private readonly options: Required<Omit<OtlpLogWriterOptions, 'headers' | 'resource'>> & OtlpLogWriterOptions) {
+        this.resource = toOtlpAttributes({ 'service.name': options.serviceName, ...options.resource });
+        this.reportError = createErrorReporter(
+            (errorMessage, count: number) =>
+                `Failed to export logs to OTLP endpoint "${options.endpoint}": ${errorMessage}. Dropped ${count} record(s)`,
+        );
+        if (options.flushInterval > 0) {
+            this.timer = setInterval(() => void this.flush(), options.flushInterval);
+            this.timer.unref();
+        }
+        registerExporter(this);
+    }
+
+    public write(options: LogOptions, args: unknown[]): void {
+        if (this.closed) {
+            this.stats.dropped.closed++;
+            return;
+        }
+        if (this.queue.length >= this.options.maxQueueSize) {
+            this.stats.dropped.queueFull++;
+            return;
+        }
+        this.queue.push({ component: options.component, record: createOtlpLogRecord(options, args) });
+        if (this.queue.length >= this.options.maxBatchSize) {
+            void this.flush();
+        }
+    }
+
+    public flush(): Promise<void> {
+        if (!this.draining && this.queue.length > 0) {
+            this.draining = true;
+            this.pending = this.pending.then(() => this.drain());
+        }
+        return this.pending;
+    }
+
+    public async close(): Promise<void> {
+        if (this.closed) {
+            return this.pending;
+        }
+        this.closed = true;
+        if (this.timer !== undefined) {
+            clearInterval(this.timer);
+        }
+        unregisterExporter(this);
+        await this.flush();
+    }
+
+    public getStats(): OtlpLogWriterStats {
+        return { ...this.stats, queued: this.queue.length, dropped: { ...this.stats.dropped } };
+    }
+
+    private async drain(): Promise<void> {
+        try {
+            // Records queued while a batch is in flight are picked up by the same drain.
+            while (this.queue.length > 0) {
+                await this.export(this.queue.splice(0, this.options.maxBatchSize));
+            }
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    private async export(batch: QueuedRecord[]): Promise<void> {
+        const body = JSON.stringify(createExportRequest(this.resource, batch));
+        for (let attempt = 0; ; attempt++) {
+            let error: unknown;
+            let retryAfter: number | undefined;
+            try {
+                const response = await this.options.fetch(this.options.endpoint, {
+                    method: 'POST',
+                    headers: { ...this.options.headers, 'content-type': 'application/json' },
+                    body,
+                    signal: AbortSignal.timeout(this.options.timeout),
+                });
+                const text = await response.text();
+                if (response.ok) {
+                    const rejected = Math.min(batch.length, parseRejectedLogRecords(text));
+                    this.stats.exported += batch.length - rejected;
+                    this.stats.dropped.rejected += rejected;
+                    return;
+                }
+                error = new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+                if (!RETRYABLE_STATUS_CODES.has(response.status)) {
+                    this.stats.dropped.rejected += batch.length;
+                    this.reportError(error, batch.length);
+                    return;
+                }
+                retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+            } catch (fetchError) {
+                error = fetchError;
+            }
+            if (attempt >= this.options.maxRetries) {
+                this.stats.dropped.failed += batch.length;
+                this.reportError(error, batch.length);
+                return;
+            }
+            this.stats.retries++;
+            await sleep(Math.min(this.options.maxRetryDelay, retryAfter ?? this.options.retryDelay * 2 ** attempt));
+        }
+    }
+}
+
+/**
+ * Create a log writer that exports records as OTLP/HTTP JSON to an OpenTelemetry collector or any
+ * compatible endpoint.
+ *
+ * Records are converted when written and queued; the queue is exported in batches of up to
+ * `maxBatchSize` records when a batch fills up, every `flushInterval` milliseconds and on
+ * `beforeExit`. Network errors and `429`/`502`/`503`/`504` responses are retried with exponential
+ * backoff (honouring `Retry-After`); other responses drop the batch. Backoff timers do not keep the
+ * process alive. Drops are counted in {@link OtlpLogWriter.getStats} and the first failure is reported
+ * on the console.
+ *
+ * All records share the `@private-test-org/debug` instrumentation scope; records are grouped by
+ * component, which is set as the `component` attribute of their scope.
+ *
+ * @example
+ * ```ts
+ * const otlp = otlpLogWriter({ endpoint: 'http://collector:4318/v1/logs', serviceName: 'api' });
+ * startLogger({ logWriter: otlp, minLevel: LogLevel.INFO });
+ *
+ * // ...
+ * await otlp.close();
+ * ```
+ *
+ * @param options - Endpoint, resource, batching, queue and retry options.
+ * @returns A log writer with `flush()`, `close()` and `getStats()` methods.
+ * @throws {Error} When `maxBatchSize` or `maxQueueSize` is not a positive number.
+ */
+export function otlpLogWriter(options: OtlpLogWriterOptions = {}): OtlpLogWriter {
+    const {
+        endpoint = DEFAULT_ENDPOINT,
+        serviceName = DEFAULT_SERVICE_NAME,
+        maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+        maxQueueSize = DEFAULT_MAX_QUEUE_SIZE,
+        flushInterval = DEFAULT_FLUSH_INTERVAL,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        retryDelay = DEFAULT_RETRY_DELAY,
+        maxRetryDelay = DEFAULT_MAX_RETRY_DELAY,
+        timeout = DEFAULT_TIMEOUT,
+        fetch: fetchImplementation = fetch,
+    } = options;
+    if (!(maxBatchSize > 0)) {
+        throw new Error(`Invalid OTLP batch size ${maxBatchSize}: expected a positive number of records.`);
+    }
+    if (!(maxQueueSize > 0)) {
+        throw new Error(`Invalid OTLP queue size ${maxQueueSize}: expected a positive number of records.`);
+    }
+    const exporter = new OtlpExporter({
+        ...options,
+        endpoint,
+        serviceName,
+        maxBatchSize,
+        maxQueueSize,
+        flushInterval,
+        maxRetries,
+        retryDelay,
+        maxRetryDelay,
+        timeout,
+        fetch: fetchImplementation,
+    });
+    const writer = (logOptions: LogOptions, ...args: unknown[]): void => {
+        exporter.write(logOptions, args);
+    };
+    return Object.assign(writer, {
+        flush: () => exporter.flush(),
+        close: () => exporter.close(),
+        getStats: () => exporter.getStats(),
+    });
+}
+
+/**
+ * Convert log metadata and arguments into an OTLP log record.
+ *
+ * The level becomes the severity (TRACE=1, DEBUG=5, INFO=9, WARN=13, ERROR=17), the rendered message
+ * the body and context fields the attributes. `traceId` and `spanId` fields holding 32 and 16 hex
+ * digits populate the record's trace context instead. The first Error argument adds
+ * `exception.type`, `exception.message` and `exception.stacktrace` attributes.
+ *
+ * @param options - Log metadata for this message.
+ * @param args - Arguments to render into the record.
+ * @returns An OTLP log record in its JSON encoding.
+ */
+export function createOtlpLogRecord(options: LogOptions, args: unknown[]): OtlpLogRecord {
+    const { traceId, spanId, ...fields } = options.fields ?? {};
+    const hasTraceId = typeof traceId === 'string' && /^[0-9a-f]{32}$/iu.test(traceId);
+    const hasSpanId = typeof spanId === 'string' && /^[0-9a-f]{16}$/iu.test(spanId);
+    const attributes = toOtlpAttributes({
+        ...fields,
+        ...(hasTraceId || traceId === undefined ? {} : { traceId }),
+        ...(hasSpanId || spanId === undefined ? {} : { spanId }),
+        ...exceptionAttributes(args.find((arg): arg is Error => arg instanceof Error)),
+    });
+    const now = Date.now();
+    return {
+        timeUnixNano: toUnixNano(options.timestamp ?? now),
+        observedTimeUnixNano: toUnixNano(now),
+        severityNumber: SEVERITY_NUMBERS[options.level] ?? 0,
+        severityText: LogLevel[options.level] ?? String(options.level),
+        body: { stringValue: formatLogArgs(...args) },
+        attributes,
+        ...(hasTraceId ? { traceId: traceId.toLowerCase() } : {}),
+        ...(hasSpanId ? { spanId: spanId.toLowerCase() } : {}),
+    };
+}
+
+function createExportRequest(resource: OtlpKeyValue[], batch: QueuedRecord[]): unknown {
+    const scopes = new Map<string | undefined, OtlpLogRecord[]>();
+    for (const { component, record } of batch) {
+        const records = scopes.get(component);
+        if (records === undefined) {
+            scopes.set(component, [record]);
+        } else {
+            records.push(record);
+        }
+    }
+    return {
+        resourceLogs: [
+            {
+                resource: { attributes: resource },
+                scopeLogs: Array.from(scopes, ([component, logRecords]) => ({
+                    scope: {
+                        name: SCOPE_NAME,
+                        attributes: component === undefined ? [] : [{ key: COMPONENT_ATTRIBUTE, value: { stringValue: component } }],
+                    },
+                    logRecords,
+                })),
+            },
+        ],
+    };
+}
+
+function exceptionAttributes(error: Error | undefined): LogFields {
+    if (error === undefined) {
+        return {};
+    }
+    return {
+        'exception.type': error.name,
+        'exception.message': error.message,
+        ...(error.stack !== undefined ? { 'exception.stacktrace': error.stack } : {}),
+    };
+}
+
+function toOtlpAttributes(fields: LogFields): OtlpKeyValue[] {
+    const serialized = serializeLogValue(fields) as Record<string, unknown>;
+    return Object.entries(serialized)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+// Values are already JSON-safe (see serializeLogValue), so there are no cycles to guard against.
+function toOtlpValue(value: unknown): OtlpAnyValue {
+    switch (typeof value) {
+        case 'string':
+            return { stringValue: value };
+        case 'boolean':
+            return { boolValue: value };
+        case 'number':
+            if (Number.isSafeInteger(value)) {
+                return { intValue: String(value) };
+            }
+            return Number.isFinite(value) ? { doubleValue: value } : { stringValue: String(value) };
+        default:
+            break;
+    }
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map((entry) => toOtlpValue(entry)) } };
+    }
+    if (value !== null && typeof value === 'object') {
+        return {
+            kvlistValue: {
+                values: Object.entries(value)
+                    .filter(([, entry]) => entry !== undefined)
+                    .map(([key, entry]) => ({ key, value: toOtlpValue(entry) })),
+            },
+        };
+    }
+    return {};
+}
+
+function toUnixNano(milliseconds: number): string {
+    const whole = Math.floor(milliseconds);
+    // The rounded fraction can reach 1e6 nanoseconds; BigInt addition carries it into the milliseconds.
+    return (BigInt(whole) * 1_000_000n + BigInt(Math.round((milliseconds - whole) * 1e6))).toString();
+}
+
+function parseRejectedLogRecords(text: string): number {
+    try {
+        const body = JSON.parse(text) as { partialSuccess?: { rejectedLogRecords?: number | string } } | null;
+        return Number(body?.partialSuccess?.rejectedLogRecords ?? 0) || 0;
+    } catch {
+        return 0;
+    }
+}
+
+function parseRetryAfter(header: string | null): number | undefined {
+    if (header === null) {
+        return undefined;
+    }
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(milliseconds: number): Promise<void> {
+    return new Promise((resolve) => {
+        // A pending retry must not keep an otherwise finished process alive.
+        setTimeout(resolve, milliseconds).unref();
+    });
+}
@@ -0,0 +1,133 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { formatLogArgs } from './format';
+import { createTimestampRenderer, formatLogFields, levelName, type TimestampStyle } from './formatUtils';
+import { LogLevel, type LogFormatter, type LogOptions, type LogWriter } from './types';
+
+/**
+ * Options for {@link prettyLogFormatter} and {@link prettyConsoleLogWriter}.
+ */
+export interface PrettyLogOptions {
+    /**
+     * Whether to emit ANSI colour codes. Defaults to {@link shouldUseColors} for stderr.
+     */
+    colors?: boolean;
+
+    /**
+     * Timestamp style. Defaults to `local`.
+     */
+    timestamp?: TimestampStyle;
+}
+
+/**
+ * Minimal view of a stream used for colour detection.
+ */
+export interface ColorStream {
+    isTTY?: boolean;
+}
+
+const RESET = '\u001b[0m';
+const DIM = '\u001b[2m';
+
+const LEVEL_COLORS: Record<number, string> = {
+    [LogLevel.TRACE]: '\u001b[90m',
+    [LogLevel.DEBUG]: '\u001b[36m',
+    [LogLevel.INFO]: '\u001b[32m',
+    [LogLevel.WARN]: '\u001b[33m',
+    [LogLevel.ERROR]: '\u001b[1;31m',
+};
+
+const COMPONENT_COLORS = [31, 32, 33, 34, 35, 36, 91, 92, 93, 94, 95, 96].map((code) => `\u001b[${code}m`);
+
+const STACK_FRAME_PATTERN = /^\s+at\s/u;
+
+/**
+ * Decide whether ANSI colours should be used for a stream.
+ *
+ * `FORCE_COLOR` takes precedence: `0` or `false` disables colours, any other value enables them.
+ * Otherwise a non-empty `NO_COLOR` disables colours, and colours are used only when the stream is a TTY.
+ *
+ * @param stream - Stream that will receive the output. Defaults to `process.stderr`.
+ * @param env - Environment variables to consult. Defaults to `process.env`.
+ * @returns True when colour codes should be emitted.
+ */
+export function shouldUseColors(stream: ColorStream = process.stderr, env: NodeJS.ProcessEnv = process.env): boolean {
+    const forceColor = env.FORCE_COLOR;
+    if (forceColor !== undefined) {
+        const normalized = forceColor.trim().toLowerCase();
+        return normalized !== '0' && normalized !== 'false';
+    }
+    if (env.NO_COLOR !== undefined && env.NO_COLOR !== '') {
+        return false;
+    }
+    return stream.isTTY === true;
+}
+
+/**
+ * Create a human-friendly formatter for terminals.
+ *
+ * Levels are coloured, each component gets a stable colour derived from its name, and continuation
+ * lines of multi-line messages and stack traces are indented beneath the message.
+ *
+ * @param options - Formatter options.
+ * @returns A formatter producing (optionally colourised) text.
+ */
+export function prettyLogFormatter(options: PrettyLogOptions = {}): LogFormatter {
+    const colors = options.colors ?? shouldUseColors();
+    const renderTime = createTimestampRenderer(options.timestamp ?? 'local');
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        const time = renderTime(logOptions.timestamp);
+        const level = levelName(logOptions.level).padEnd(5);
+        const component = logOptions.component ? `[${logOptions.component}]` : '';
+
+        const prefixParts = [
+            time === '' ? '' : paint(colors, DIM, time),
+            paint(colors, LEVEL_COLORS[logOptions.level] ?? '', level),
+            component === '' ? '' : paint(colors, componentColor(component), component),
+        ].filter((part) => part !== '');
+        const prefix = prefixParts.join(' ');
+        const indent = ' '.repeat(visibleLength(time, level, component) + 1);
+
+        const [firstLine = '', ...restLines] = formatLogArgs(...args).split('\n');
+        const continuation = restLines.map((line) =>
+            STACK_FRAME_PATTERN.test(line) ? `${indent}  ${paint(colors, DIM, line.trimStart())}` : `${indent}${line}`,
+        );
+        const fields = formatLogFields(logOptions.fields);
+        const fieldsPart = fields === '' ? '' : ` ${paint(colors, DIM, fields)}`;
+        return [`${prefix} ${firstLine}${fieldsPart}`, ...continuation].join('\n');
+    };
+}
+
+/**
+ * Create a console writer that emits pretty, colourised output to stderr.
+ *
+ * Colour is detected once when the writer is created, from stderr's TTY state and the
+ * `NO_COLOR`/`FORCE_COLOR` environment variables, unless `options.colors` is set.
+ *
+ * @param options - Formatter options.
+ * @returns A log writer that writes to stderr.
+ */
+export function prettyConsoleLogWriter(options: PrettyLogOptions = {}): LogWriter {
+    const formatter = prettyLogFormatter(options);
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        console.error(formatter(logOptions, args));
+    };
+}
+
+function paint(colors: boolean, color: string, text: string): string {
+    return colors && color !== '' ? `${color}${text}${RESET}` : text;
+}
+
+function componentColor(component: string): string {
+    // FNV-1a keeps colours stable across runs and processes.
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < component.length; i++) {
+        hash ^= component.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return COMPONENT_COLORS[(hash >>> 0) % COMPONENT_COLORS.length] ?? '';
+}
+
+function visibleLength(time: string, level: string, component: string): number {
+    return [time, level, component].filter((part) => part !== '').join(' ').length;
+}
@@ -0,0 +1,15 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+/**
+ * Check whether a value is a thenable, such as the result of an asynchronous writer or span callback.
+ *
+ * @param value - Value to check.
+ * @returns True when `value` has a callable `then` method.
+ */
+export function isPromiseLike(value: unknown): value is PromiseLike<unknown> {
+    return (
+        value !== null &&
+        (typeof value === 'object' || typeof value === 'function') &&
+        typeof (value as { then?: unknown }).then === 'function'
+    );
+}
@@ -0,0 +1,284 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import type { LogOptions } from './types';
+
+/**
+ * Options for {@link createLogRedactor}.
+ */
+export interface RedactionOptions {
+    /**
+     * Key paths whose values are masked, relative to each logged argument and to `fields`.
+     *
+     * Segments are separated by dots and compared case-insensitively; `*` matches one segment and `**`
+     * matches any number of segments, e.g. `**.password`, `headers.authorization`, `users.*.email`.
+     */
+    paths?: string[];
+
+    /**
+     * Patterns masked inside every string value, including Error messages and stacks.
+     */
+    patterns?: RegExp[];
+
+    /**
+     * Text that replaces masked values. Defaults to `[REDACTED]`.
+     */
+    replacement?: string;
+
+    /**
+     * Include {@link DEFAULT_REDACTION_PATHS} and {@link DEFAULT_REDACTION_PATTERNS}. Defaults to true.
+     */
+    defaults?: boolean;
+}
+
+/**
+ * Log metadata and arguments after redaction.
+ */
+export interface RedactedLog {
+    options: LogOptions;
+    args: unknown[];
+}
+
+/**
+ * Function that masks secrets in a log record without mutating its inputs.
+ *
+ * @param options - Log metadata whose `fields` are redacted.
+ * @param args - Log arguments to redact.
+ * @returns Redacted copies of the metadata and arguments.
+ */
+export type LogRedactor = (options: LogOptions, args: unknown[]) => RedactedLog;
+
+/**
+ * Key paths masked by default: common credential property names at any depth.
+ */
+export const DEFAULT_REDACTION_PATHS: readonly string[] = [
+    '**.password',
+    '**.passwd',
+    '**.secret',
+    '**.clientSecret',
+    '**.client_secret',
+    '**.token',
+    '**.accessToken',
+    '**.access_token',
+    '**.refreshToken',
+    '**.refresh_token',
+    '**.apiKey',
+    '**.api_key',
+    '**.x-api-key',
+    '**.authorization',
+    '**.cookie',
+    '**.set-cookie',
+];
+
+/**
+ * Patterns masked by default: bearer tokens, `sk-` API keys, GitHub tokens, AWS access key IDs and
+ * email addresses.
+ */
+export const DEFAULT_REDACTION_PATTERNS: readonly RegExp[] = [
+    /\bBearer\s+[\w\-.~+/]+=*/giu,
+    /\bsk-[\w-]{16,}/gu,
+    /\bgh[pousr]_[A-Za-z0-9]{36,}\b/gu,
+    /\bAKIA[0-9A-Z]{16}\b/gu,
+    /[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/gu,
+];
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+class ValueRedactor {
+    private readonly paths: string[][];
+    private readonly patterns: RegExp[];
+
+    public constructor(
+        paths: string[],
+        patterns: RegExp[],
+        private readonly replacement: string,
+    ) {
+        this.paths = paths.map((path) => path.toLowerCase().split('.'));
+        this.patterns = patterns.map((pattern) => (pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)));
+    }
+
+    public redact(value: unknown): unknown {
+        return this.redactValue(value, [], new Map<object, unknown>());
+    }
+
+    private redactValue(value: unknown, path: string[], copies: Map<object, unknown>): unknown {
+        if (path.length > 0 && this.matchesPath(path)) {
+            return this.replacement;
+        }
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        const existing = copies.get(value);
+        if (existing !== undefined) {
+            return existing;
+        }
+        if (value instanceof Error) {
+            return this.redactError(value, path, copies);
+        }
+        if (value instanceof Map) {
+            const copy = new Map<unknown, unknown>();
+            copies.set(value, copy);
+            for (const [key, entry] of value) {
+                copy.set(key, this.redactValue(entry, [...path, String(key).toLowerCase()], copies));
+            }
+            return copy;
+        }
+        if (value instanceof Set) {
+            const copy = new Set<unknown>();
+            copies.set(value, copy);
+            for (const entry of value) {
+                copy.add(this.redactValue(entry, path, copies));
+            }
+            return copy;
+        }
+        if (Array.isArray(value)) {
+            const copy: unknown[] = [];
+            copies.set(value, copy);
+            value.forEach((entry, index) => {
+                copy.push(this.redactValue(entry, [...path, String(index)], copies));
+            });
+            return copy;
+        }
+        if (value instanceof URL) {
+            return this.redactUrl(value, path, copies);
+        }
+        if (hasOnlyInternalState(value)) {
+            // Dates, buffers and the like keep their data in internal slots, out of reach of paths.
+            return value;
+        }
+
+        // Plain objects and class instances: own enumerable properties are copied onto the same prototype.
+        const copy: Record<string, unknown> = Object.create(Object.getPrototypeOf(value) as object | null) as Record<string, unknown>;
+        copies.set(value, copy);
+        for (const [key, entry] of Object.entries(value)) {
+            copy[key] = this.redactValue(entry, [...path, key.toLowerCase()], copies);
+        }
+        return copy;
+    }
+
+    private redactError(error: Error, path: string[], copies: Map<object, unknown>): Error {
+        const copy = new Error(this.redactString(error.message));
+        Object.setPrototypeOf(copy, Object.getPrototypeOf(error) as object | null);
+        copies.set(error, copy);
+        if (Object.prototype.hasOwnProperty.call(error, 'name')) {
+            copy.name = this.redactString(error.name);
+        }
+        copy.stack = error.stack === undefined ? undefined : this.redactString(error.stack);
+        if (error.cause !== undefined) {
+            copy.cause = this.redactValue(error.cause, [...path, 'cause'], copies);
+        }
+        // `AggregateError.errors` is a non-enumerable own property, skipped by `Object.entries`.
+        const errors = Object.getOwnPropertyDescriptor(error, 'errors');
+        if (errors !== undefined && 'value' in errors && errors.enumerable !== true) {
+            Object.defineProperty(copy, 'errors', { ...errors, value: this.redactValue(errors.value, [...path, 'errors'], copies) });
+        }
+        for (const [key, entry] of Object.entries(error)) {
+            if (key !== 'name' && key !== 'message' && key !== 'stack' && key !== 'cause') {
+                Object.assign(copy, { [key]: this.redactValue(entry, [...path, key.toLowerCase()], copies) });
+            }
+        }
+        return copy;
+    }
+
+    private redactUrl(url: URL, path: string[], copies: Map<object, unknown>): URL {
+        const copy = new URL(url.href);
+        copies.set(url, copy);
+        if (copy.password !== '') {
+            copy.password = this.replacement;
+        }
+        if (copy.username !== '') {
+            copy.username = this.redactString(copy.username);
+        }
+        if (copy.search !== '') {
+            // Query parameters are matched against paths like object keys, e.g. `**.token` masks `?token=...`.
+            const params = new URLSearchParams();
+            for (const [key, entry] of copy.searchParams) {
+                params.append(key, this.matchesPath([...path, key.toLowerCase()]) ? this.replacement : this.redactString(entry));
+            }
+            copy.search = params.toString();
+        }
+        copy.hash = this.redactString(copy.hash);
+        return copy;
+    }
+
+    private redactString(value: string): string {
+        let redacted = value;
+        for (const pattern of this.patterns) {
+            redacted = redacted.replace(pattern, this.replacement);
+        }
+        return redacted;
+    }
+
+    private matchesPath(path: string[]): boolean {
+        return this.paths.some((pattern) => matchSegments(pattern, 0, path, 0));
+    }
+}
+
+/**
+ * Create a redactor that masks values by key path and by pattern.
+ *
+ * Objects, class instances, arrays, Maps, Sets, Errors (including `AggregateError.errors`) and URLs are
+ * copied as they are redacted, so the caller's values are never mutated. Class instances are copied
+ * with their own enumerable properties onto the same prototype. URLs have their password masked and
+ * their query parameters matched against `paths`. Dates, regular expressions, buffers and typed
+ * arrays carry no properties to redact and are passed through unchanged.
+ *
+ * @example
+ * ```ts
+ * const redact = createLogRedactor({ paths: ['headers.authorization', '**.email'], patterns: [/\d{16}/g] });
+ * ```
+ *
+ * @param options - Paths, patterns and replacement text.
+ * @returns A redactor for log records.
+ */
+export function createLogRedactor(options: RedactionOptions = {}): LogRedactor {
+    const { paths = [], patterns = [], replacement = DEFAULT_REPLACEMENT, defaults = true } = options;
+    const redactor = new ValueRedactor(
+        defaults ? [...DEFAULT_REDACTION_PATHS, ...paths] : paths,
+        defaults ? [...DEFAULT_REDACTION_PATTERNS, ...patterns] : patterns,
+        replacement,
+    );
+    return (logOptions: LogOptions, args: unknown[]): RedactedLog => {
+        const redactedArgs = args.map((arg) => redactor.redact(arg));
+        if (logOptions.fields === undefined) {
+            return { options: logOptions, args: redactedArgs };
+        }
+        return {
+            options: { ...logOptions, fields: redactor.redact(logOptions.fields) as Record<string, unknown> },
+            args: redactedArgs,
+        };
+    };
+}
+
+function matchSegments(pattern: string[], patternIndex: number, path: string[], pathIndex: number): boolean {
+    if (patternIndex === pattern.length) {
+        return pathIndex === path.length;
+    }
+    const segment = pattern[patternIndex];
+    if (segment === '**') {
+        for (let next = pathIndex; next <= path.length; next++) {
+            if (matchSegments(pattern, patternIndex + 1, path, next)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (pathIndex === path.length) {
+        return false;
+    }
+    return (segment === '*' || segment === path[pathIndex]) && matchSegments(pattern, patternIndex + 1, path, pathIndex + 1);
+}
+
+function hasOnlyInternalState(value: object): boolean {
+    return (
+        value instanceof Date ||
+        value instanceof RegExp ||
+        value instanceof ArrayBuffer ||
+        ArrayBuffer.isView(value) ||
+        value instanceof Promise ||
+        value instanceof WeakMap ||
+        value instanceof WeakSet
+    );
+}
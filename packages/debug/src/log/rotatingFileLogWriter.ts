@@ -0,0 +1,234 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { appendFileSync, createReadStream, createWriteStream, readdirSync, renameSync, statSync, unlinkSync } from 'node:fs';
+import { rm } from 'node:fs/promises';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { createGzip } from 'node:zlib';
+
+import { createErrorReporter, createWriteErrorReporter } from './fallback';
+import { defaultLogFormatter } from './formatters';
+import type { LogFormatter, LogOptions, LogWriter } from './types';
+
+/**
+ * Calendar period after which the log file is rotated.
+ */
+export type RotationPeriod = 'daily' | 'hourly';
+
+/**
+ * Options for {@link rotatingFileLogWriter}.
+ */
+export interface RotatingFileLogWriterOptions {
+    /**
+     * Formatter used to render each record. Defaults to {@link defaultLogFormatter}.
+     */
+    formatter?: LogFormatter;
+
+    /**
+     * Rotate before a write would grow the active file beyond this many bytes.
+     */
+    maxSize?: number;
+
+    /**
+     * Rotate when the local calendar day or hour changes.
+     */
+    period?: RotationPeriod;
+
+    /**
+     * Number of rotated files to keep. Defaults to 5; `0` keeps all files.
+     */
+    maxFiles?: number;
+
+    /**
+     * Gzip rotated files. Defaults to false.
+     */
+    compress?: boolean;
+}
+
+interface RotatedFile {
+    name: string;
+    stamp: string;
+    index: number;
+}
+
+const DEFAULT_MAX_FILES = 5;
+
+class RotatingFileSink {
+    private readonly directory: string;
+    private readonly baseName: string;
+    private readonly extension: string;
+    private readonly rotatedPattern: RegExp;
+    private readonly reportError: (error: unknown) => void;
+    private currentSize: number;
+    private currentStamp: string;
+    private readonly reportMaintenanceError = createErrorReporter((errorMessage, action: string) => `Failed to ${action}: ${errorMessage}`);
+
+    public constructor(
+        private readonly filePath: string,
+        private readonly options: RotatingFileLogWriterOptions,
+    ) {
+        this.directory = path.dirname(filePath);
+        this.extension = path.extname(filePath);
+        this.baseName = path.basename(filePath, this.extension);
+        this.rotatedPattern = new RegExp(
+            `^${escapeRegExp(this.baseName)}\\.(\\d{4}-\\d{2}-\\d{2}(?:T\\d{2})?)\\.(\\d+)${escapeRegExp(this.extension)}(?:\\.gz)?$`,
+            'u',
+        );
+        this.reportError = createWriteErrorReporter(`log file "${filePath}"`);
+
+        const existing = statSafe(filePath);
+        this.currentSize = existing?.size ?? 0;
+        this.currentStamp = formatStamp(existing?.mtime ?? new Date(), options.period);
+    }
+
+    public write(message: string): void {
+        const line = message + '\n';
+        const bytes = Buffer.byteLength(line);
+        try {
+            this.rotateIfNeeded(bytes);
+            appendFileSync(this.filePath, line);
+            this.currentSize += bytes;
+        } catch (error) {
+            // Fallback to console if file write fails
+            console.error(message);
+            this.reportError(error);
+        }
+    }
+
+    private rotateIfNeeded(incomingBytes: number): void {
+        const stamp = formatStamp(new Date(), this.options.period);
+        const { maxSize } = this.options;
+        const previousStamp = this.currentStamp;
+        // Advance the period before rotating so a failed rotation is not retried on every write.
+        this.currentStamp = stamp;
+        if (this.options.period !== undefined && stamp !== previousStamp) {
+            // Name the rotated file after the period it covers.
+            this.rotate(previousStamp);
+        } else if (maxSize !== undefined && this.currentSize > 0 && this.currentSize + incomingBytes > maxSize) {
+            this.rotate(stamp);
+        }
+    }
+
+    private rotate(stamp: string): void {
+        if (this.currentSize === 0 && statSafe(this.filePath) === undefined) {
+            return;
+        }
+        const rotated = this.listRotatedFiles();
+        const index = rotated.reduce((max, file) => (file.stamp === stamp ? Math.max(max, file.index) : max), 0) + 1;
+        const target = path.join(this.directory, `${this.baseName}.${stamp}.${index}${this.extension}`);
+        try {
+            renameSync(this.filePath, target);
+        } finally {
+            // Start a fresh file even if the rename failed, instead of retrying it on every write.
+            this.currentSize = 0;
+        }
+        if (this.options.compress === true) {
+            void this.compress(target).then(() => this.prune());
+        } else {
+            this.prune();
+        }
+    }
+
+    private async compress(target: string): Promise<void> {
+        const output = createWriteStream(`${target}.gz`);
+        try {
+            await pipeline(createReadStream(target), createGzip(), output);
+            await rm(target);
+        } catch (error) {
+            // Keep the uncompressed file; the active file is unaffected. The partial archive can only be
+            // removed once the destroyed stream has closed it.
+            if (!output.closed) {
+                await new Promise<void>((resolve) => output.once('close', () => resolve()));
+            }
+            await rm(`${target}.gz`, { force: true }).catch(() => undefined);
+            this.reportMaintenanceError(error, `compress rotated log file "${target}"`);
+        }
+    }
+
+    private prune(): void {
+        const maxFiles = this.options.maxFiles ?? DEFAULT_MAX_FILES;
+        if (maxFiles <= 0) {
+            return;
+        }
+        try {
+            // A file being compressed exists both plain and gzipped; count it once and remove both.
+            const groups = new Map<string, { file: RotatedFile; names: string[] }>();
+            for (const file of this.listRotatedFiles()) {
+                const key = `${file.stamp}.${file.index}`;
+                const group = groups.get(key) ?? { file, names: [] };
+                group.names.push(file.name);
+                groups.set(key, group);
+            }
+            const rotated = [...groups.values()].sort((a, b) => compareRotatedFiles(a.file, b.file));
+            for (const { names } of rotated.slice(0, Math.max(0, rotated.length - maxFiles))) {
+                for (const name of names) {
+                    unlinkSync(path.join(this.directory, name));
+                }
+            }
+        } catch (error) {
+            this.reportMaintenanceError(error, `prune rotated log files of "${this.filePath}"`);
+        }
+    }
+
+    private listRotatedFiles(): RotatedFile[] {
+        const files: RotatedFile[] = [];
+        for (const name of readdirSync(this.directory)) {
+            const match = this.rotatedPattern.exec(name);
+            if (match) {
+                files.push({ name, stamp: match[1] ?? '', index: Number(match[2]) });
+            }
+        }
+        return files;
+    }
+}
+
+/**
+ * Create a log writer that appends to a file and rotates it by size and/or calendar period.
+ *
+ * Rotated files are named `<name>.<stamp>.<index><ext>` next to the active file, where the stamp is the
+ * local date (`2025-01-01`) or hour (`2025-01-01T13`) of the rotated content, e.g. `app.2025-01-01.1.log`,
+ * with a `.gz` suffix when compressed. Compression runs in the background without blocking writes. Only
+ * the newest `maxFiles` rotated files are kept.
+ *
+ * Falls back to console output if a write or rotation fails; the first failure is reported. Failed
+ * compression or pruning leaves the rotated files in place and is reported once.
+ *
+ * @param filePath - Absolute or relative path to the active log file.
+ * @param options - Rotation, retention and formatting options.
+ * @returns A log writer function that appends formatted messages.
+ */
+export function rotatingFileLogWriter(filePath: string, options: RotatingFileLogWriterOptions = {}): LogWriter {
+    const { formatter = defaultLogFormatter } = options;
+    const sink = new RotatingFileSink(filePath, options);
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        sink.write(formatter(logOptions, args));
+    };
+}
+
+function formatStamp(date: Date, period: RotationPeriod | undefined): string {
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return period === 'hourly' ? `${day}T${pad(date.getHours())}` : day;
+}
+
+function pad(value: number): string {
+    return String(value).padStart(2, '0');
+}
+
+function compareRotatedFiles(a: RotatedFile, b: RotatedFile): number {
+    if (a.stamp !== b.stamp) {
+        return a.stamp < b.stamp ? -1 : 1;
+    }
+    return a.index - b.index;
+}
+
+function statSafe(filePath: string): { size: number; mtime: Date } | undefined {
+    try {
+        return statSync(filePath);
+    } catch {
+        return undefined;
+    }
+}
+
+function escapeRegExp(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,442 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createSocket, type Socket as DatagramSocket } from 'node:dgram';
+import { connect, isIPv6, type Socket } from 'node:net';
+import { hostname as osHostname } from 'node:os';
+import { basename } from 'node:path';
+
+import { createWriteErrorReporter } from './fallback';
+import { formatLogArgs } from './format';
+import { textLogFormatter } from './formatters';
+import { serializeLogValue } from './json';
+import { LogLevel, type LogFields, type LogFormatter, type LogOptions, type LogWriter } from './types';
+
+/**
+ * Syslog facility name, or a numeric facility code between 0 and 23.
+ */
+export type SyslogFacility =
+    | 'kern'
+    | 'user'
+    | 'mail'
+    | 'daemon'
+    | 'auth'
+    | 'syslog'
+    | 'lpr'
+    | 'news'
+    | 'uucp'
+    | 'cron'
+    | 'authpriv'
+    | 'ftp'
+    | 'local0'
+    | 'local1'
+    | 'local2'
+    | 'local3'
+    | 'local4'
+    | 'local5'
+    | 'local6'
+    | 'local7'
+    | number;
+
+/**
+ * Transport used by {@link syslogLogWriter}.
+ *
+ * - `udp`: one datagram per record (RFC 5426).
+ * - `tcp`: octet-counted frames over a TCP connection (RFC 6587).
+ * - `unix`: octet-counted frames (RFC 6587) over a Unix domain stream socket, e.g. an rsyslog `imptcp`
+ *   input with a `path`. Datagram sockets such as `/dev/log` and journald's syslog socket, which the
+ *   rsyslog `imuxsock` and systemd-journald local inputs use, are not supported: Node.js cannot write to
+ *   them. Use `udp` to a local daemon or {@link journaldLogWriter} instead.
+ */
+export type SyslogTransport = 'udp' | 'tcp' | 'unix';
+
+/**
+ * Options for {@link syslogLogFormatter}.
+ */
+export interface SyslogFormatterOptions {
+    /**
+     * Facility of every record. Defaults to `user`.
+     */
+    facility?: SyslogFacility;
+
+    /**
+     * APP-NAME field. Defaults to the name of the main script.
+     */
+    appName?: string;
+
+    /**
+     * PROCID field. Defaults to the process ID.
+     */
+    procId?: string | number;
+
+    /**
+     * HOSTNAME field. Defaults to the host name of the machine.
+     */
+    hostname?: string;
+
+    /**
+     * SD-ID of the structured data element that carries context fields. Defaults to `fields@32473`.
+     */
+    structuredDataId?: string;
+
+    /**
+     * Formatter used to render the MSG part. Defaults to the rendered message arguments.
+     */
+    formatter?: LogFormatter;
+}
+
+/**
+ * Options for {@link syslogLogWriter}.
+ */
+export interface SyslogLogWriterOptions extends SyslogFormatterOptions {
+    /**
+     * Transport to the syslog server. Defaults to `udp`.
+     */
+    transport?: SyslogTransport;
+
+    /**
+     * Host of the syslog server for `udp` and `tcp`. Defaults to `127.0.0.1`.
+     */
+    host?: string;
+
+    /**
+     * Port of the syslog server for `udp` and `tcp`. Defaults to 514.
+     */
+    port?: number;
+
+    /**
+     * Path of a Unix domain stream socket for the `unix` transport; see {@link SyslogTransport}.
+     */
+    path?: string;
+}
+
+/**
+ * Options for {@link journaldLogWriter}.
+ */
+export interface JournaldLogWriterOptions {
+    /**
+     * Formatter used to render each record. Defaults to the text layout without timestamps, which
+     * journald records itself.
+     */
+    formatter?: LogFormatter;
+}
+
+/**
+ * Log writer that sends records to a syslog server.
+ */
+export interface SyslogLogWriter {
+    /**
+     * Send a log message.
+     *
+     * @param options - Log metadata for this message.
+     * @param args - Arguments to render into the message.
+     */
+    (options: LogOptions, ...args: unknown[]): void;
+
+    /**
+     * Close the connection to the syslog server once pending messages are sent.
+     *
+     * Records written afterwards open a new connection.
+     *
+     * @returns Promise that resolves once the socket is closed.
+     */
+    close(): Promise<void>;
+}
+
+const FACILITIES: Record<Exclude<SyslogFacility, number>, number> = {
+    kern: 0,
+    user: 1,
+    mail: 2,
+    daemon: 3,
+    auth: 4,
+    syslog: 5,
+    lpr: 6,
+    news: 7,
+    uucp: 8,
+    cron: 9,
+    authpriv: 10,
+    ftp: 11,
+    local0: 16,
+    local1: 17,
+    local2: 18,
+    local3: 19,
+    local4: 20,
+    local5: 21,
+    local6: 22,
+    local7: 23,
+};
+
+// Syslog severities: 3 = error, 4 = warning, 6 = informational, 7 = debug.
+const SEVERITIES: Record<LogLevel, number> = {
+    [LogLevel.TRACE]: 7,
+    [LogLevel.DEBUG]: 7,
+    [LogLevel.INFO]: 6,
+    [LogLevel.WARN]: 4,
+    [LogLevel.ERROR]: 3,
+};
+
+const DEFAULT_PORT = 514;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_STRUCTURED_DATA_ID = 'fields@32473';
+const NIL = '-';
+
+// Stream transports wait this long after a connection error before reconnecting.
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Map a log level to a syslog severity: ERROR=3, WARN=4, INFO=6, DEBUG and TRACE=7.
+ *
+ * @param level - Log level to map.
+ * @returns The syslog severity code.
+ */
+export function syslogSeverity(level: LogLevel): number {
+    return SEVERITIES[level] ?? SEVERITIES[LogLevel.INFO];
+}
+
+/**
+ * Create a formatter that renders records as RFC 5424 syslog messages:
+ * `<PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [STRUCTURED-DATA] MSG`.
+ *
+ * The priority combines the facility with {@link syslogSeverity}, the component becomes the MSGID
+ * and context fields become parameters of one structured data element.
+ *
+ * @param options - Facility, header fields, structured data ID and message formatter.
+ * @returns A formatter producing one syslog message per record, without transport framing.
+ * @throws {Error} When `facility` is unknown or outside 0-23.
+ */
+export function syslogLogFormatter(options: SyslogFormatterOptions = {}): LogFormatter {
+    const facility = resolveFacility(options.facility ?? 'user');
+    const header = [
+        headerField(options.hostname ?? osHostname(), 255),
+        headerField(options.appName ?? defaultAppName(), 48),
+        headerField(String(options.procId ?? process.pid), 128),
+    ].join(' ');
+    const structuredDataId = sdName(options.structuredDataId ?? DEFAULT_STRUCTURED_DATA_ID);
+    const formatMessage = options.formatter ?? ((_logOptions: LogOptions, args: unknown[]): string => formatLogArgs(...args));
+    return (logOptions: LogOptions, args: unknown[]): string => {
+        const priority = facility * 8 + syslogSeverity(logOptions.level);
+        const time = new Date(logOptions.timestamp ?? Date.now()).toISOString();
+        const msgId = headerField(logOptions.component ?? '', 32);
+        const structuredData = formatStructuredData(structuredDataId, logOptions.fields);
+        const message = formatMessage(logOptions, args);
+        return `<${priority}>1 ${time} ${header} ${msgId} ${structuredData}${message === '' ? '' : ` ${message}`}`;
+    };
+}
+
+interface SyslogSender {
+    send(message: string): void;
+    close(): Promise<void>;
+}
+
+class DatagramSyslogSender implements SyslogSender {
+    private socket: DatagramSocket | undefined;
+
+    public constructor(
+        private readonly host: string,
+        private readonly port: number,
+        private readonly reportError: (error: unknown) => void,
+    ) {}
+
+    public send(message: string): void {
+        this.open().send(message, this.port, this.host, (error) => {
+            if (error) {
+                // Fallback to console if the datagram cannot be sent
+                console.error(message);
+                this.reportError(error);
+            }
+        });
+    }
+
+    public close(): Promise<void> {
+        const socket = this.socket;
+        this.socket = undefined;
+        if (socket === undefined) {
+            return Promise.resolve();
+        }
+        return new Promise<void>((resolve) => socket.close(() => resolve()));
+    }
+
+    private open(): DatagramSocket {
+        if (this.socket === undefined) {
+            const socket = createSocket(isIPv6(this.host) ? 'udp6' : 'udp4');
+            socket.on('error', (error) => {
+                this.reportError(error);
+                if (this.socket === socket) {
+                    this.socket = undefined;
+                }
+                socket.close();
+            });
+            socket.unref();
+            this.socket = socket;
+        }
+        return this.socket;
+    }
+}
+
+class StreamSyslogSender implements SyslogSender {
+    private socket: Socket | undefined;
+    private retryAt = 0;
+
+    public constructor(
+        private readonly connectSocket: () => Socket,
+        private readonly reportError: (error: unknown) => void,
+    ) {}
+
+    public send(message: string): void {
+        const socket = this.open();
+        if (socket === undefined) {
+            console.error(message);
+            return;
+        }
+        socket.write(`${Buffer.byteLength(message)} ${message}`, (error) => {
+            if (error) {
+                // Fallback to console if the frame cannot be written
+                console.error(message);
+            }
+        });
+    }
+
+    public close(): Promise<void> {
+        const socket = this.socket;
+        this.socket = undefined;
+        if (socket === undefined || socket.destroyed) {
+            return Promise.resolve();
+        }
+        return new Promise<void>((resolve) => {
+            socket.once('close', () => resolve());
+            socket.end();
+        });
+    }
+
+    private open(): Socket | undefined {
+        if (this.socket !== undefined && !this.socket.destroyed) {
+            return this.socket;
+        }
+        if (Date.now() < this.retryAt) {
+            return undefined;
+        }
+        const socket = this.connectSocket();
+        socket.on('error', (error) => {
+            this.reportError(error);
+            this.retryAt = Date.now() + RECONNECT_DELAY;
+        });
+        socket.on('close', () => {
+            if (this.socket === socket) {
+                this.socket = undefined;
+            }
+        });
+        socket.unref();
+        this.socket = socket;
+        return socket;
+    }
+}
+
+/**
+ * Create a log writer that sends RFC 5424 messages to a syslog server over UDP, TCP or a Unix domain
+ * stream socket that accepts octet-counted frames (not `/dev/log`, see {@link SyslogTransport}).
+ *
+ * Messages are rendered by {@link syslogLogFormatter}. The socket is opened on the first record and
+ * does not keep the process alive; call {@link SyslogLogWriter.close} before exiting to send pending
+ * messages. Like `fileLogWriter`, messages that cannot be sent are written to the console and the
+ * first failure is reported; stream transports reconnect on a later record.
+ *
+ * @example
+ * ```ts
+ * const syslog = syslogLogWriter({ transport: 'tcp', host: 'logs.internal', port: 6514, facility: 'local0', appName: 'api' });
+ * startLogger({ logWriter: syslog, minLevel: LogLevel.INFO });
+ * ```
+ *
+ * @param options - Transport, destination and message options.
+ * @returns A log writer with a `close()` method.
+ * @throws {Error} When `transport` is `unix` without a `path`, or `facility` is invalid.
+ */
+export function syslogLogWriter(options: SyslogLogWriterOptions = {}): SyslogLogWriter {
+    const { transport = 'udp', host = DEFAULT_HOST, port = DEFAULT_PORT, path } = options;
+    const formatter = syslogLogFormatter(options);
+    let sender: SyslogSender;
+    switch (transport) {
+        case 'udp':
+            sender = new DatagramSyslogSender(host, port, createWriteErrorReporter(`syslog server udp://${host}:${port}`));
+            break;
+        case 'tcp':
+            sender = new StreamSyslogSender(() => connect({ host, port }), createWriteErrorReporter(`syslog server tcp://${host}:${port}`));
+            break;
+        case 'unix':
+            if (path === undefined) {
+                throw new Error('The unix syslog transport requires a socket path.');
+            }
+            sender = new StreamSyslogSender(() => connect({ path }), createUnixErrorReporter(path));
+            break;
+    }
+    const writer = (logOptions: LogOptions, ...args: unknown[]): void => {
+        sender.send(formatter(logOptions, args));
+    };
+    return Object.assign(writer, {
+        close: () => sender.close(),
+    });
+}
+
+/**
+ * Create a log writer for services run by systemd that writes to stderr with `<N>` priority prefixes.
+ *
+ * journald reads the prefix as the syslog severity of the line ({@link syslogSeverity}) and strips it.
+ * Every line of a multi-line record is prefixed, so stack traces keep the record's priority.
+ *
+ * @param options - Writer options including the formatter.
+ * @returns A log writer function that writes prefixed lines to stderr.
+ */
+export function journaldLogWriter(options: JournaldLogWriterOptions = {}): LogWriter {
+    const { formatter = textLogFormatter({ timestamp: 'none' }) } = options;
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        const prefix = `<${syslogSeverity(logOptions.level)}>`;
+        console.error(
+            formatter(logOptions, args)
+                .split('\n')
+                .map((line) => prefix + line)
+                .join('\n'),
+        );
+    };
+}
+
+function createUnixErrorReporter(path: string): (error: unknown) => void {
+    const reportError = createWriteErrorReporter(`syslog stream socket "${path}"`);
+    return (error: unknown): void => {
+        // Connecting a stream socket to a datagram socket such as /dev/log fails with EPROTOTYPE.
+        const isDatagramSocket = error instanceof Error && (error as NodeJS.ErrnoException).code === 'EPROTOTYPE';
+        reportError(isDatagramSocket ? new Error(`"${path}" is a datagram socket; the unix transport needs a stream socket`) : error);
+    };
+}
+
+function resolveFacility(facility: SyslogFacility): number {
+    const code = typeof facility === 'number' ? facility : FACILITIES[facility];
+    if (!(Number.isInteger(code) && code >= 0 && code <= 23)) {
+        throw new Error(`Invalid syslog facility "${facility}": expected a facility name or a number between 0 and 23.`);
+    }
+    return code;
+}
+
+function defaultAppName(): string {
+    const script = process.argv[1];
+    return script === undefined ? 'node' : basename(script).replace(/\.[cm]?[jt]s$/u, '');
+}
+
+// Header fields are printable US-ASCII without spaces; empty values become NILVALUE.
+function headerField(value: string, maxLength: number): string {
+    const sanitized = value.replace(/[^\x21-\x7e]/gu, '_').slice(0, maxLength);
+    return sanitized === '' ? NIL : sanitized;
+}
+
+function sdName(value: string): string {
+    return value.replace(/[^\x21-\x7e]|[=\]"]/gu, '_').slice(0, 32) || NIL;
+}
+
+function formatStructuredData(id: string, fields: LogFields | undefined): string {
+    const entries = Object.entries(fields ?? {}).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+        return NIL;
+    }
+    const params = entries.map(([key, value]) => {
+        const text = typeof value === 'string' ? value : String(JSON.stringify(serializeLogValue(value)));
+        return `${sdName(key)}="${text.replace(/["\\\]]/gu, (char) => `\\${char}`)}"`;
+    });
+    return `[${id} ${params.join(' ')}]`;
+}
@@ -0,0 +1,297 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { getDefaultLoggerRegistry } from './default';
+import { createErrorReporter } from './fallback';
+import { formatLogArgs } from './format';
+import type { LoggerRegistry } from './LoggerRegistry';
+import type { LogFilter, LogOptions, LogWriter } from './types';
+
+/**
+ * Options for {@link sampleLogFilter}.
+ */
+export interface SampleLogFilterOptions {
+    /**
+     * Source of random numbers in `[0, 1)`. Defaults to `Math.random`.
+     */
+    random?: () => number;
+}
+
+/**
+ * How {@link rateLimitLogFilter} groups records into buckets.
+ *
+ * - `component`: one bucket per component.
+ * - `template`: one bucket per component and message template (the first argument when it is a string).
+ * - `global`: a single bucket for all records.
+ */
+export type RateLimitKey = 'component' | 'template' | 'global';
+
+/**
+ * Options for {@link rateLimitLogFilter}.
+ */
+export interface RateLimitLogFilterOptions {
+    /**
+     * Records allowed per second, per bucket.
+     */
+    rate: number;
+
+    /**
+     * Bucket capacity, i.e. how many records may pass in a burst. Defaults to `rate`.
+     */
+    burst?: number;
+
+    /**
+     * How records are grouped into buckets, or a function returning the bucket key. Defaults to `component`.
+     */
+    key?: RateLimitKey | ((options: LogOptions, args: readonly unknown[]) => string);
+
+    /**
+     * Clock in milliseconds. Defaults to `Date.now`.
+     */
+    now?: () => number;
+}
+
+/**
+ * Options for {@link dedupLogFilter}.
+ */
+export interface DedupLogFilterOptions {
+    /**
+     * Length of the deduplication window in milliseconds. Defaults to 1000.
+     */
+    window?: number;
+
+    /**
+     * Registry that receives the summary records. Defaults to the default registry.
+     */
+    registry?: LoggerRegistry;
+
+    /**
+     * Writer that receives the summary records instead of `registry`. Rejected writes are reported once
+     * to the console.
+     */
+    report?: LogWriter;
+
+    /**
+     * Clock in milliseconds. Defaults to `Date.now`.
+     */
+    now?: () => number;
+}
+
+/**
+ * Deduplication filter with explicit control over pending summaries.
+ */
+export interface DedupLogFilter extends LogFilter {
+    /**
+     * Close all open windows, emitting a summary for each window that suppressed records.
+     */
+    flush(): void;
+}
+
+// Upper bound on tracked buckets/messages per filter; state is reset when it fills up.
+const MAX_TRACKED_KEYS = 1024;
+
+const DEFAULT_DEDUP_WINDOW = 1000;
+
+/**
+ * Create a filter that passes a random fraction of records.
+ *
+ * Evaluating the filter without arguments (e.g. from `isEnabled`) always passes, so callers still
+ * build arguments for records that may be sampled.
+ *
+ * @param rate - Fraction of records to keep, between 0 and 1.
+ * @param options - Random number source.
+ * @returns Filter that passes roughly `rate` of the records it sees.
+ * @throws {Error} When `rate` is outside `[0, 1]`.
+ */
+export function sampleLogFilter(rate: number, options: SampleLogFilterOptions = {}): LogFilter {
+    if (!(rate >= 0 && rate <= 1)) {
+        throw new Error(`Invalid sample rate ${rate}: expected a number between 0 and 1.`);
+    }
+    const { random = Math.random } = options;
+    return (_options: LogOptions, args?: readonly unknown[]): boolean => args === undefined || random() < rate;
+}
+
+class TokenBuckets {
+    private readonly buckets = new Map<string, { tokens: number; updatedAt: number }>();
+    private readonly capacity: number;
+
+    public constructor(
+        private readonly rate: number,
+        burst: number,
+        private readonly now: () => number,
+    ) {
+        this.capacity = Math.max(1, burst);
+    }
+
+    public take(key: string, consume: boolean): boolean {
+        const time = this.now();
+        let bucket = this.buckets.get(key);
+        if (bucket === undefined) {
+            if (this.buckets.size >= MAX_TRACKED_KEYS) {
+                this.buckets.clear();
+            }
+            bucket = { tokens: this.capacity, updatedAt: time };
+            this.buckets.set(key, bucket);
+        } else {
+            const elapsed = Math.max(0, time - bucket.updatedAt) / 1000;
+            bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.rate);
+            bucket.updatedAt = time;
+        }
+        if (bucket.tokens < 1) {
+            return false;
+        }
+        if (consume) {
+            bucket.tokens -= 1;
+        }
+        return true;
+    }
+}
+
+/**
+ * Create a token-bucket filter that passes at most `rate` records per second per bucket, with bursts of
+ * up to `burst` records.
+ *
+ * Records rejected by filters evaluated earlier (in `all` mode) or passed by filters evaluated earlier
+ * (in `any` mode) do not consume tokens, so add rate limits after level and component filters.
+ * Evaluating the filter without arguments (e.g. from `isEnabled`) does not consume a token.
+ *
+ * @example
+ * ```ts
+ * startLogger({ logWriter: consoleLogWriter, filters: [rateLimitLogFilter({ rate: 10, burst: 50, key: 'template' })] });
+ * ```
+ *
+ * @param options - Rate, burst size, bucket key and clock.
+ * @returns Filter that passes records while their bucket has tokens left.
+ * @throws {Error} When `rate` is not a positive number.
+ */
+export function rateLimitLogFilter(options: RateLimitLogFilterOptions): LogFilter {
+    const { rate, burst = rate, key = 'component', now = Date.now } = options;
+    if (!(rate > 0)) {
+        throw new Error(`Invalid rate limit ${rate}: expected a positive number of records per second.`);
+    }
+    const buckets = new TokenBuckets(rate, burst, now);
+    const keyOf = typeof key === 'function' ? key : createRateLimitKey(key);
+    return (logOptions: LogOptions, args?: readonly unknown[]): boolean => buckets.take(keyOf(logOptions, args ?? []), args !== undefined);
+}
+
+class MessageDeduplicator {
+    private readonly windows = new Map<string, { options: LogOptions; message: string; openedAt: number; suppressed: number }>();
+    private readonly timers = new Map<string, ReturnType<typeof setTimeout>>();
+    private emitting = false;
+    private readonly reportError = createErrorReporter((errorMessage) => `Deduplication summary report failed: ${errorMessage}`);
+
+    public constructor(
+        private readonly windowMs: number,
+        private readonly report: LogWriter,
+        private readonly now: () => number,
+    ) {}
+
+    public readonly filter = (options: LogOptions, args?: readonly unknown[]): boolean => {
+        if (args === undefined || this.emitting) {
+            return true;
+        }
+        const message = formatLogArgs(...args);
+        const key = `${options.level}\u0000${options.component ?? ''}\u0000${message}`;
+        const time = this.now();
+        const open = this.windows.get(key);
+        if (open !== undefined && time - open.openedAt < this.windowMs) {
+            open.suppressed++;
+            this.scheduleClose(key, open.openedAt + this.windowMs - time);
+            return false;
+        }
+        if (open !== undefined) {
+            this.close(key);
+        }
+        if (this.windows.size >= MAX_TRACKED_KEYS) {
+            this.flush();
+        }
+        this.windows.set(key, { options, message, openedAt: time, suppressed: 0 });
+        return true;
+    };
+
+    public readonly flush = (): void => {
+        for (const key of [...this.windows.keys()]) {
+            this.close(key);
+        }
+    };
+
+    private scheduleClose(key: string, delay: number): void {
+        if (this.timers.has(key)) {
+            return;
+        }
+        const timer = setTimeout(() => this.close(key), delay);
+        // Browser timers are plain numbers without unref().
+        (timer as { unref?: () => void }).unref?.();
+        this.timers.set(key, timer);
+    }
+
+    private close(key: string): void {
+        const window = this.windows.get(key);
+        this.windows.delete(key);
+        const timer = this.timers.get(key);
+        if (timer !== undefined) {
+            clearTimeout(timer);
+            this.timers.delete(key);
+        }
+        if (window === undefined || window.suppressed === 0) {
+            return;
+        }
+        const { level, component, fields } = window.options;
+        this.emitting = true;
+        try {
+            const result = this.report(
+                { level, component, fields: { ...fields, suppressed: window.suppressed } },
+                'suppressed %d similar message(s): %s',
+                window.suppressed,
+                window.message,
+            );
+            // Summaries are emitted from timers, so nobody else would handle a rejected report.
+            void Promise.resolve(result).then(undefined, this.reportError);
+        } finally {
+            this.emitting = false;
+        }
+    }
+}
+
+/**
+ * Create a filter that suppresses repeated identical messages within a time window.
+ *
+ * The first record with a given level, component and rendered message passes and opens a window;
+ * identical records within the window are suppressed. When the window closes, a summary record
+ * `suppressed N similar message(s): <message>` with a `suppressed` field is logged at the original level
+ * and component. Summaries bypass this filter. Evaluating the filter without arguments (e.g. from
+ * `isEnabled`) always passes.
+ *
+ * @example
+ * ```ts
+ * const registry = createLoggerRegistry();
+ * registry.startLogger({ logWriter: consoleLogWriter, filters: [dedupLogFilter({ window: 5000, registry })] });
+ * ```
+ *
+ * @param options - Window length, summary destination and clock.
+ * @returns A filter with a `flush()` method that closes all open windows.
+ * @throws {Error} When `window` is not a positive number.
+ */
+export function dedupLogFilter(options: DedupLogFilterOptions = {}): DedupLogFilter {
+    const { window = DEFAULT_DEDUP_WINDOW, now = Date.now } = options;
+    if (!(window > 0)) {
+        throw new Error(`Invalid deduplication window ${window}: expected a positive number of milliseconds.`);
+    }
+    const report = options.report ?? createRegistryReport(options.registry ?? getDefaultLoggerRegistry());
+    const deduplicator = new MessageDeduplicator(window, report, now);
+    return Object.assign(deduplicator.filter, { flush: deduplicator.flush });
+}
+
+function createRateLimitKey(key: RateLimitKey): (options: LogOptions, args: readonly unknown[]) => string {
+    switch (key) {
+        case 'component':
+            return (options) => options.component ?? '';
+        case 'template':
+            return (options, args) => `${options.component ?? ''}\u0000${typeof args[0] === 'string' ? args[0] : ''}`;
+        case 'global':
+            return () => '';
+    }
+}
+
+function createRegistryReport(registry: LoggerRegistry): LogWriter {
+    return (options: LogOptions, ...args: unknown[]): void => registry.log(options, ...args);
+}
@@ -1,5 +1,7 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
+import type { LogRedactor, RedactionOptions } from './redact';
+
 /**
  * Log severity levels in ascending order of verbosity.
  */
@@ -11,6 +13,11 @@ export enum LogLevel {
     ERROR = 50,
 }
 
+/**
+ * Structured context fields attached to a log record (e.g. request or job identifiers).
+ */
+export type LogFields = Record<string, unknown>;
+
 /**
  * Metadata describing a log invocation.
  */
@@ -23,6 +30,15 @@ export interface LogOptions {
      * Optional logical component name that emitted the message.
      */
     component?: string;
+    /**
+     * Optional context fields bound to the message, visible to filters and writers.
+     */
+    fields?: LogFields;
+    /**
+     * Optional time the record was created, in milliseconds since the epoch. Writers that defer output
+     * set it so formatters render the original time; defaults to the time of formatting.
+     */
+    timestamp?: number;
 }
 
 /**
@@ -33,19 +49,78 @@ export type FilterMode = 'all' | 'any';
 /**
  * Predicate that decides whether a log message should be emitted.
  *
+ * `args` is passed when a record is about to be written and omitted when a logger is only asked whether
+ * it is enabled; stateful filters (sampling, rate limiting, deduplication) update their state only when
+ * `args` is present.
+ *
  * @param options - Options for the log message being evaluated.
+ * @param args - Arguments of the log call, when a record is being written.
  * @returns True when the message should be written.
  */
-export type LogFilter = (options: LogOptions) => boolean;
+export type LogFilter = (options: LogOptions, args?: readonly unknown[]) => boolean;
 
 /**
  * Function that writes formatted log messages.
  *
+ * Asynchronous writers return a promise that settles once the record is written; loggers wait for it
+ * on {@link FilteredLogger.flush} and, when a queue is configured, before writing the next record.
+ *
  * @param options - Options for the log message.
  * @param args - Arguments to render as the log payload.
- * @returns Nothing; writes are side-effect only.
+ * @returns Nothing for synchronous writers, or a promise that settles once the record is written.
  */
-export type LogWriter = (options: LogOptions, ...args: unknown[]) => void;
+export type LogWriter = (options: LogOptions, ...args: unknown[]) => void | PromiseLike<void>;
+
+/**
+ * Lifecycle methods a {@link LogWriter} may expose, e.g. the buffered file and OTLP writers.
+ *
+ * Loggers call `flush` from {@link FilteredLogger.flush}; {@link LoggerRegistry.close} also calls `close`.
+ */
+export interface LogWriterLifecycle {
+    /**
+     * Write buffered records.
+     */
+    flush?(): void | PromiseLike<void>;
+
+    /**
+     * Write buffered records and release the writer's resources.
+     */
+    close?(): void | PromiseLike<void>;
+}
+
+/**
+ * What a logger queue does with a record that arrives while the queue is full.
+ *
+ * - `drop-oldest`: discard the oldest queued record and queue the new one.
+ * - `drop-newest`: discard the new record.
+ * - `block`: keep every record. Log calls are synchronous and cannot wait, so the queue grows past its
+ *   size; producers apply backpressure by awaiting {@link FilteredLogger.flush}.
+ */
+export type LogQueuePolicy = 'drop-oldest' | 'drop-newest' | 'block';
+
+/**
+ * Bounded queue between a logger and an asynchronous writer.
+ */
+export interface LogQueueOptions {
+    /**
+     * Maximum number of records waiting for the writer.
+     */
+    maxSize: number;
+
+    /**
+     * What to do when the queue is full. Defaults to `drop-oldest`.
+     */
+    policy?: LogQueuePolicy;
+}
+
+/**
+ * Function that renders a log message into a single line of text.
+ *
+ * @param options - Options for the log message.
+ * @param args - Arguments to render as the log payload.
+ * @returns The formatted line without a trailing newline.
+ */
+export type LogFormatter = (options: LogOptions, args: unknown[]) => string;
 
 /**
  * Opaque handle used to remove a filter.
@@ -54,6 +129,51 @@ export interface FilterHandle {
     readonly id: symbol;
 }
 
+/**
+ * Snapshot of a logger's effective configuration.
+ */
+export interface LoggerDescription {
+    /**
+     * Name given in {@link LoggerConfig.name}, if any.
+     */
+    name?: string;
+
+    /**
+     * How filters are combined.
+     */
+    mode: FilterMode;
+
+    /**
+     * Explicit levels allowed, when set.
+     */
+    levels?: LogLevel[];
+
+    /**
+     * Minimum level allowed, when set.
+     */
+    minLevel?: LogLevel;
+
+    /**
+     * Component prefixes allowed; empty means all components.
+     */
+    componentPrefixes: string[];
+
+    /**
+     * Per-component minimum levels keyed by component glob, when set; `undefined` values disable a component.
+     */
+    componentLevels?: Record<string, LogLevel | undefined>;
+
+    /**
+     * Total number of active filters, including the level and component filters above.
+     */
+    filterCount: number;
+
+    /**
+     * Whether registry-wide level changes skip this logger, see {@link LoggerConfig.fixedLevels}.
+     */
+    fixedLevels: boolean;
+}
+
 /**
  * Runtime logger capable of managing filters and lifecycle.
  */
@@ -66,6 +186,14 @@ export interface FilteredLogger {
      */
     log(options: LogOptions, ...args: unknown[]): void;
 
+    /**
+     * Check whether a message with the given metadata would be written.
+     *
+     * @param options - Log metadata to evaluate.
+     * @returns True when the filters permit the message.
+     */
+    isEnabled(options: LogOptions): boolean;
+
     /**
      * Add a filter to this logger.
      *
@@ -88,9 +216,57 @@ export interface FilteredLogger {
     clearFilters(): void;
 
     /**
-     * Unregister this logger from its registry.
+     * Replace the level restriction with a minimum level.
+     *
+     * @param minLevel - Lowest severity to write; `undefined` removes the level restriction.
+     */
+    setMinLevel(minLevel: LogLevel | undefined): void;
+
+    /**
+     * Replace the level restriction with an explicit set of levels.
+     *
+     * @param levels - Exact levels to write; an empty array removes the level restriction.
+     */
+    setLevels(levels: LogLevel[]): void;
+
+    /**
+     * Replace the per-component minimum levels.
+     *
+     * @param componentLevels - Minimum level per component glob (`*` matches any characters; `undefined`
+     * disables a component); `undefined` removes the restriction.
+     */
+    setComponentLevels(componentLevels: Record<string, LogLevel | undefined> | undefined): void;
+
+    /**
+     * Describe the logger's effective configuration.
+     *
+     * @returns A snapshot of the logger's configuration.
+     */
+    describe(): LoggerDescription;
+
+    /**
+     * Wait until every record accepted so far has been written, then flush the writer if it exposes
+     * `flush` (see {@link LogWriterLifecycle}).
+     *
+     * @returns Promise that resolves once pending writes have settled.
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Count the records dropped because the logger's queue was full.
+     *
+     * @returns Number of dropped records; always 0 without a queue.
      */
-    stop(): void;
+    getDroppedCount(): number;
+
+    /**
+     * Stop accepting records, flush pending writes and unregister this logger from its registry.
+     *
+     * The writer is not closed, as it may be shared with other loggers; see {@link LoggerRegistry.close}.
+     *
+     * @returns Promise that resolves once the logger is flushed and unregistered.
+     */
+    stop(): Promise<void>;
 }
 
 /**
@@ -102,6 +278,11 @@ export interface LoggerConfig {
      */
     logWriter: LogWriter;
 
+    /**
+     * Optional name used to identify the logger at runtime.
+     */
+    name?: string;
+
     /**
      * How filters are combined. Defaults to `all`.
      */
@@ -122,8 +303,32 @@ export interface LoggerConfig {
      */
     componentPrefixes?: string[];
 
+    /**
+     * Optional per-component minimum levels keyed by component glob. See {@link FilteredLogger.setComponentLevels}.
+     */
+    componentLevels?: Record<string, LogLevel | undefined>;
+
     /**
      * Additional custom filters to apply.
      */
     filters?: LogFilter[];
+
+    /**
+     * Optional redaction applied to records this logger writes, after filtering. See {@link createLogRedactor}.
+     */
+    redaction?: RedactionOptions | LogRedactor;
+
+    /**
+     * Optional bounded queue for asynchronous writers. While a write is in flight, further records wait
+     * in the queue and are written one at a time. Without a queue, writes are not serialized.
+     */
+    queue?: LogQueueOptions;
+
+    /**
+     * Keep this logger's levels when levels are changed for the whole registry, by
+     * {@link LoggerRegistry.setMinLevel}, {@link LoggerRegistry.setComponentLevels}, `installLogLevelSignal`
+     * or `watchLogConfig`. Use it for loggers that must see every level, such as a memory buffer or a test
+     * capture. Its own `setMinLevel` and `setComponentLevels` still apply. Defaults to false.
+     */
+    fixedLevels?: boolean;
 }
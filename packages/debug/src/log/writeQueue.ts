@@ -0,0 +1,114 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createErrorReporter } from './fallback';
+import { isPromiseLike } from './promise';
+import type { LogOptions, LogQueueOptions, LogWriter, LogWriterLifecycle } from './types';
+
+interface QueuedWrite {
+    options: LogOptions;
+    args: unknown[];
+}
+
+/**
+ * Hands records to a writer, tracking asynchronous writes and optionally queueing records while a
+ * write is in flight.
+ */
+export class LogWriteQueue {
+    private readonly pending = new Set<Promise<void>>();
+    private queue: QueuedWrite[] = [];
+    private draining: Promise<void> | undefined;
+    private dropped = 0;
+    private readonly reportError: (error: unknown) => void;
+
+    public constructor(
+        private readonly writer: LogWriter & LogWriterLifecycle,
+        private readonly queueOptions: LogQueueOptions | undefined,
+        label: string,
+    ) {
+        this.reportError = createErrorReporter((errorMessage) => `Write by ${label} failed: ${errorMessage}`);
+        if (queueOptions !== undefined && !(queueOptions.maxSize > 0)) {
+            throw new Error(`Invalid log queue size ${queueOptions.maxSize}: expected a positive number of records.`);
+        }
+    }
+
+    /**
+     * Write a record now, or queue it while an earlier write is in flight.
+     *
+     * Synchronous writer errors propagate to the caller; rejected writes are reported once.
+     *
+     * @param options - Log metadata for this message.
+     * @param args - Arguments to render into the log output.
+     */
+    public write(options: LogOptions, args: unknown[]): void {
+        if (this.queueOptions === undefined) {
+            const result = this.writer(options, ...args);
+            if (isPromiseLike(result)) {
+                this.track(result);
+            }
+            return;
+        }
+        if (this.draining === undefined) {
+            const result = this.writer(options, ...args);
+            if (isPromiseLike(result)) {
+                this.draining = this.drain(result);
+            }
+            return;
+        }
+        const { maxSize, policy = 'drop-oldest' } = this.queueOptions;
+        if (this.queue.length >= maxSize) {
+            if (policy === 'drop-newest') {
+                this.dropped++;
+                return;
+            }
+            if (policy === 'drop-oldest') {
+                this.queue.shift();
+                this.dropped++;
+            }
+        }
+        this.queue.push({ options, args });
+    }
+
+    /**
+     * Wait for queued and in-flight writes, then flush the writer.
+     *
+     * @returns Promise that resolves once pending writes have settled.
+     */
+    public async flush(): Promise<void> {
+        while (this.draining !== undefined || this.pending.size > 0) {
+            await Promise.all([this.draining, ...this.pending]);
+        }
+        await this.settle(this.writer.flush?.());
+    }
+
+    /**
+     * Count records dropped because the queue was full.
+     *
+     * @returns Number of dropped records.
+     */
+    public getDroppedCount(): number {
+        return this.dropped;
+    }
+
+    private async drain(inFlight: PromiseLike<void>): Promise<void> {
+        await this.settle(inFlight);
+        let next = this.queue.shift();
+        while (next !== undefined) {
+            try {
+                await this.settle(this.writer(next.options, ...next.args));
+            } catch (error) {
+                this.reportError(error);
+            }
+            next = this.queue.shift();
+        }
+        this.draining = undefined;
+    }
+
+    private track(write: PromiseLike<void>): void {
+        const tracked = this.settle(write).finally(() => this.pending.delete(tracked));
+        this.pending.add(tracked);
+    }
+
+    private settle(result: void | PromiseLike<void>): Promise<void> {
+        return Promise.resolve(result).then(undefined, (error: unknown) => this.reportError(error));
+    }
+}
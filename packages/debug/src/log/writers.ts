@@ -1,14 +1,60 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
 import { appendFileSync } from 'node:fs';
-import { format } from 'node:util';
 
-import { LogLevel, type LogOptions, type LogWriter } from './types';
+import { createWriteErrorReporter } from './fallback';
+import { defaultLogFormatter, jsonLogFormatter } from './formatters';
+import type { LogFormatter, LogOptions, LogWriter } from './types';
 
-function formatLog(options: LogOptions, args: unknown[]): string {
-    const componentPart = options.component ? ` [${options.component}]` : '';
-    const levelName = LogLevel[options.level] ?? options.level;
-    return `${new Date().toISOString()} [${levelName}]${componentPart} ${format(...args)}`;
+/**
+ * Output stream targeted by console-based writers.
+ */
+export type ConsoleStream = 'stdout' | 'stderr';
+
+/**
+ * Options for {@link createConsoleLogWriter}.
+ */
+export interface ConsoleLogWriterOptions {
+    /**
+     * Formatter used to render each record. Defaults to {@link defaultLogFormatter}.
+     */
+    formatter?: LogFormatter;
+
+    /**
+     * Console stream to write to. Defaults to `stderr`.
+     */
+    stream?: ConsoleStream;
+}
+
+/**
+ * Options for {@link fileLogWriter}.
+ */
+export interface FileLogWriterOptions {
+    /**
+     * Formatter used to render each record. Defaults to {@link defaultLogFormatter}.
+     */
+    formatter?: LogFormatter;
+}
+
+function writeToConsole(stream: ConsoleStream, message: string): void {
+    if (stream === 'stdout') {
+        console.log(message);
+    } else {
+        console.error(message);
+    }
+}
+
+function createFileAppender(filePath: string): (message: string) => void {
+    const reportError = createWriteErrorReporter(`log file "${filePath}"`);
+    return (message: string): void => {
+        try {
+            appendFileSync(filePath, message + '\n');
+        } catch (error) {
+            // Fallback to console if file write fails
+            console.error(message);
+            reportError(error);
+        }
+    };
 }
 
 /**
@@ -18,7 +64,20 @@ function formatLog(options: LogOptions, args: unknown[]): string {
  * @param args - Arguments to render into the message.
  */
 export function consoleLogWriter(options: LogOptions, ...args: unknown[]): void {
-    console.error(formatLog(options, args));
+    console.error(defaultLogFormatter(options, args));
+}
+
+/**
+ * Create a log writer that emits messages to the console using a custom formatter.
+ *
+ * @param options - Writer options including formatter and target stream.
+ * @returns A log writer function that writes formatted messages.
+ */
+export function createConsoleLogWriter(options: ConsoleLogWriterOptions = {}): LogWriter {
+    const { formatter = defaultLogFormatter, stream = 'stderr' } = options;
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        writeToConsole(stream, formatter(logOptions, args));
+    };
 }
 
 /**
@@ -27,27 +86,35 @@ export function consoleLogWriter(options: LogOptions, ...args: unknown[]): void
  * Falls back to console output if a write fails; the first failure is reported.
  *
  * @param filePath - Absolute or relative path to the log file.
+ * @param options - Writer options including the formatter.
  * @returns A log writer function that appends formatted messages.
  */
-export function fileLogWriter(filePath: string): LogWriter {
-    let hasLoggedError = false;
-    return (options: LogOptions, ...args: unknown[]): void => {
-        const message = formatLog(options, args);
-        try {
-            appendFileSync(filePath, message + '\n');
-        } catch (error) {
-            // Fallback to console if file write fails
-            console.error(message);
-
-            // Log the error once to avoid spam
-            if (!hasLoggedError) {
-                hasLoggedError = true;
-                const errorMessage = error instanceof Error ? error.message : String(error);
-                console.error(
-                    `[LOG ERROR] Failed to write to log file "${filePath}": ${errorMessage}. ` +
-                        'Falling back to console. Subsequent errors will be suppressed.',
-                );
-            }
-        }
+export function fileLogWriter(filePath: string, options: FileLogWriterOptions = {}): LogWriter {
+    const { formatter = defaultLogFormatter } = options;
+    const append = createFileAppender(filePath);
+    return (logOptions: LogOptions, ...args: unknown[]): void => {
+        append(formatter(logOptions, args));
     };
 }
+
+/**
+ * Create a log writer that emits one JSON object per record (NDJSON) to the console.
+ *
+ * @param stream - Console stream to write to. Defaults to `stdout`.
+ * @returns A log writer function that writes structured records.
+ */
+export function jsonConsoleLogWriter(stream: ConsoleStream = 'stdout'): LogWriter {
+    return createConsoleLogWriter({ formatter: jsonLogFormatter(), stream });
+}
+
+/**
+ * Create a log writer that appends one JSON object per record (NDJSON) to a file.
+ *
+ * Falls back to console output if a write fails; the first failure is reported.
+ *
+ * @param filePath - Absolute or relative path to the log file.
+ * @returns A log writer function that appends structured records.
+ */
+export function jsonFileLogWriter(filePath: string): LogWriter {
+    return fileLogWriter(filePath, { formatter: jsonLogFormatter() });
+}
@@ -0,0 +1,70 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { bench, describe } from 'vitest';
+
+import { createLoggerRegistry, LogLevel, type FilteredLogger, type LogOptions } from '#/log';
+
+const LOGGER_COUNT = 10;
+
+function noopWriter(_options: LogOptions, ..._args: unknown[]): void {}
+
+function createPopulatedRegistry(): { registry: ReturnType<typeof createLoggerRegistry>; loggers: FilteredLogger[] } {
+    const registry = createLoggerRegistry();
+    const loggers: FilteredLogger[] = [];
+    for (let i = 0; i < LOGGER_COUNT; i++) {
+        loggers.push(
+            registry.startLogger({
+                logWriter: noopWriter,
+                minLevel: LogLevel.INFO,
+                componentPrefixes: [`service-${i}`],
+                filters: [(options) => options.fields?.tenant !== 'blocked'],
+            }),
+        );
+    }
+    return { registry, loggers };
+}
+
+describe('disabled TRACE record', () => {
+    const { registry, loggers } = createPopulatedRegistry();
+    const options: LogOptions = { level: LogLevel.TRACE, component: 'service-3/db' };
+
+    bench('registry.log (fast path)', () => {
+        registry.log(options, 'query %s', 'SELECT 1');
+    });
+
+    bench('per-logger filtering (no fast path)', () => {
+        for (const logger of loggers) {
+            logger.log(options, 'query %s', 'SELECT 1');
+        }
+    });
+});
+
+describe('disabled component', () => {
+    const { registry, loggers } = createPopulatedRegistry();
+    const options: LogOptions = { level: LogLevel.WARN, component: 'unrelated' };
+
+    bench('registry.log (fast path)', () => {
+        registry.log(options, 'slow response');
+    });
+
+    bench('per-logger filtering (no fast path)', () => {
+        for (const logger of loggers) {
+            logger.log(options, 'slow response');
+        }
+    });
+});
+
+describe('enabled record', () => {
+    const { registry, loggers } = createPopulatedRegistry();
+    const options: LogOptions = { level: LogLevel.WARN, component: 'service-3/db' };
+
+    bench('registry.log (fast path)', () => {
+        registry.log(options, 'slow query');
+    });
+
+    bench('per-logger filtering (no fast path)', () => {
+        for (const logger of loggers) {
+            logger.log(options, 'slow query');
+        }
+    });
+});
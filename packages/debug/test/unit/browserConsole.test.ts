@@ -0,0 +1,124 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { browserEnvLogFilter, LogLevel } from '#/log';
+import { browserConsoleLogWriter } from '#/log/browserConsole';
+
+describe('browserConsoleLogWriter', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('styles the level and component with %c and keeps the format string and arguments', () => {
+        // Given
+        const info = vi.spyOn(console, 'info').mockImplementation(() => {});
+        const writer = browserConsoleLogWriter();
+        const payload = { id: 1 };
+
+        // When
+        writer({ level: LogLevel.INFO, component: 'api' }, 'loaded %o in %dms', payload, 12);
+
+        // Then
+        expect(info).toHaveBeenCalledExactlyOnceWith(
+            '%cINFO%c %c[api]%c loaded %o in %dms',
+            'color: #16a34a',
+            '',
+            'color: #7c3aed',
+            '',
+            payload,
+            12,
+        );
+    });
+
+    it('escapes % in the level, component and timestamp but not in the message', () => {
+        // Given
+        const debug = vi.spyOn(console, 'debug').mockImplementation(() => {});
+        const writer = browserConsoleLogWriter({ colors: false, timestamp: 'epoch' });
+
+        // When
+        writer({ level: 15 as LogLevel, component: 'cache%hit', timestamp: 1000 }, '100%s', 'done');
+
+        // Then
+        expect(debug).toHaveBeenCalledExactlyOnceWith('1000 15 [cache%%hit] 100%s', 'done');
+    });
+
+    it('calls the console method matching the level', () => {
+        // Given
+        const methods = {
+            debug: vi.spyOn(console, 'debug').mockImplementation(() => {}),
+            info: vi.spyOn(console, 'info').mockImplementation(() => {}),
+            warn: vi.spyOn(console, 'warn').mockImplementation(() => {}),
+            error: vi.spyOn(console, 'error').mockImplementation(() => {}),
+        };
+        const writer = browserConsoleLogWriter({ colors: false });
+
+        // When
+        for (const level of [LogLevel.TRACE, LogLevel.DEBUG, LogLevel.INFO, LogLevel.WARN, LogLevel.ERROR, 60 as LogLevel]) {
+            writer({ level }, 'message');
+        }
+
+        // Then
+        expect(methods.debug.mock.calls).toEqual([['TRACE message'], ['DEBUG message']]);
+        expect(methods.info.mock.calls).toEqual([['INFO message']]);
+        expect(methods.warn.mock.calls).toEqual([['WARN message']]);
+        expect(methods.error.mock.calls).toEqual([['ERROR message'], ['60 message']]);
+    });
+
+    it('passes non-empty fields as a trailing object and non-string first arguments unrendered', () => {
+        // Given
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const writer = browserConsoleLogWriter({ colors: false });
+        const error = new Error('boom');
+
+        // When
+        writer({ level: LogLevel.WARN, fields: { requestId: 'r1' } }, error, 'retrying');
+        writer({ level: LogLevel.WARN, fields: {} }, 'no fields');
+
+        // Then
+        expect(warn.mock.calls).toEqual([['WARN', error, 'retrying', { requestId: 'r1' }], ['WARN no fields']]);
+    });
+});
+
+describe('browserEnvLogFilter', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    function stubStorage(entries: Record<string, string>): void {
+        vi.stubGlobal('localStorage', { getItem: (key: string): string | null => entries[key] ?? null });
+    }
+
+    it('reads the flag from localStorage', () => {
+        // Given
+        stubStorage({ DEBUG_API: 'yes', DEBUG_DB: 'false' });
+
+        // When / Then
+        expect(browserEnvLogFilter('DEBUG_API')({ level: LogLevel.DEBUG })).toBe(true);
+        expect(browserEnvLogFilter('DEBUG_DB')({ level: LogLevel.DEBUG })).toBe(false);
+        expect(browserEnvLogFilter('DEBUG_UI')({ level: LogLevel.DEBUG })).toBe(false);
+    });
+
+    it('lets the query string win over localStorage', () => {
+        // Given
+        stubStorage({ DEBUG_API: '1', DEBUG_DB: '1' });
+        vi.stubGlobal('location', { search: '?DEBUG_API=0&DEBUG_UI=1' });
+
+        // When / Then
+        expect(browserEnvLogFilter('DEBUG_API')({ level: LogLevel.DEBUG })).toBe(false);
+        expect(browserEnvLogFilter('DEBUG_UI')({ level: LogLevel.DEBUG })).toBe(true);
+        expect(browserEnvLogFilter('DEBUG_DB')({ level: LogLevel.DEBUG })).toBe(true);
+    });
+
+    it('never passes when storage access throws', () => {
+        // Given
+        vi.stubGlobal('localStorage', {
+            getItem: (): string | null => {
+                throw new Error('SecurityError');
+            },
+        });
+
+        // When / Then
+        expect(browserEnvLogFilter('DEBUG_API')({ level: LogLevel.DEBUG })).toBe(false);
+    });
+});
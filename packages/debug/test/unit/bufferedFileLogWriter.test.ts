@@ -0,0 +1,86 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import { bufferedFileLogWriter, LogLevel, textLogFormatter } from '#/log';
+
+const formatter = textLogFormatter({ timestamp: 'none' });
+
+describe('bufferedFileLogWriter', () => {
+    let dir: string;
+    let filePath: string;
+
+    beforeEach(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'buffered-'));
+        filePath = path.join(dir, 'app.log');
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('buffers records until flushed', async () => {
+        // Given
+        const writer = bufferedFileLogWriter(filePath, { formatter, flushInterval: 0 });
+
+        // When
+        writer({ level: LogLevel.INFO }, 'first');
+        writer({ level: LogLevel.WARN }, 'second');
+        await writer.flush();
+
+        // Then
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] first\n[WARN] second\n');
+        await writer.close();
+    });
+
+    it('flushes once the buffer reaches maxBufferSize', async () => {
+        // Given
+        const writer = bufferedFileLogWriter(filePath, { formatter, flushInterval: 0, maxBufferSize: 8 });
+
+        // When
+        writer({ level: LogLevel.INFO }, 'long enough');
+        await writer.close();
+
+        // Then
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] long enough\n');
+    });
+
+    it('shares one pair of process hooks between writers', async () => {
+        // Given
+        const exitListeners = process.listenerCount('exit');
+        const beforeExitListeners = process.listenerCount('beforeExit');
+
+        // When
+        const writers = Array.from({ length: 20 }, (_, index) => bufferedFileLogWriter(path.join(dir, `${index}.log`)));
+
+        // Then
+        expect(process.listenerCount('exit')).toBe(exitListeners + 1);
+        expect(process.listenerCount('beforeExit')).toBe(beforeExitListeners + 1);
+        await Promise.all(writers.map((writer) => writer.close()));
+        expect(process.listenerCount('exit')).toBe(exitListeners);
+        expect(process.listenerCount('beforeExit')).toBe(beforeExitListeners);
+    });
+
+    it('writes buffered and in-flight records synchronously on exit', async () => {
+        // Given
+        const existing = new Set(process.listeners('exit'));
+        const writer = bufferedFileLogWriter(filePath, { formatter, flushInterval: 0 });
+        const exitHook = process.listeners('exit').find((listener) => !existing.has(listener));
+        writer({ level: LogLevel.INFO }, 'in flight');
+        const flushed = writer.flush();
+        writer({ level: LogLevel.INFO }, 'buffered');
+
+        // When
+        exitHook?.(0);
+
+        // Then
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] in flight\n[INFO] buffered\n');
+        await flushed;
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] in flight\n[INFO] buffered\n');
+        await writer.close();
+    });
+});
@@ -0,0 +1,165 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+    captureLogs,
+    createLoggerRegistry,
+    getLogger,
+    logMatchers,
+    LogLevel,
+    textLogFormatter,
+    type LoggerRegistry,
+    type LogMatchers,
+    type LogWriter,
+} from '#/log';
+
+declare module 'vitest' {
+    interface Assertion<T> extends LogMatchers<T> {}
+}
+
+expect.extend(logMatchers);
+
+const NEW_YEAR = Date.UTC(2025, 0, 1);
+
+describe('captureLogs', () => {
+    let registry: LoggerRegistry;
+
+    beforeEach(() => {
+        registry = createLoggerRegistry();
+    });
+
+    it('records structured entries with the rendered message and line', () => {
+        // Given
+        const logs = captureLogs(registry, { now: NEW_YEAR });
+
+        // When
+        getLogger('api', { registry, fields: { requestId: 'r1' } }).warn('slow request: %dms', 1200);
+
+        // Then
+        expect(logs.entries).toEqual([
+            {
+                options: { level: LogLevel.WARN, component: 'api', fields: { requestId: 'r1' }, timestamp: NEW_YEAR },
+                args: ['slow request: %dms', 1200],
+                level: LogLevel.WARN,
+                component: 'api',
+                fields: { requestId: 'r1' },
+                timestamp: NEW_YEAR,
+                message: 'slow request: 1200ms',
+                formatted: expect.stringContaining('[WARN]') as unknown,
+            },
+        ]);
+        expect(logs.entries[0]?.formatted).toContain('2025-01-01T00:00:00.000Z');
+    });
+
+    it('queries records by level, component, text and fields', () => {
+        // Given
+        const logs = captureLogs(registry);
+        registry.log({ level: LogLevel.DEBUG, component: 'db' }, 'query took %dms', 12);
+        registry.log({ level: LogLevel.WARN, component: 'api:users', fields: { user: 'u1' } }, 'slow');
+        registry.log({ level: LogLevel.ERROR, component: 'api:orders' }, 'failed');
+
+        // When / Then
+        expect(logs.messages({ level: [LogLevel.DEBUG, LogLevel.ERROR] })).toEqual(['query took 12ms', 'failed']);
+        expect(logs.messages({ minLevel: LogLevel.WARN, component: /^api:/u })).toEqual(['slow', 'failed']);
+        expect(logs.messages({ component: 'api' })).toEqual([]);
+        expect(logs.find({ text: 'took' })?.component).toBe('db');
+        expect(logs.has({ fields: { user: 'u1' } })).toBe(true);
+        expect(logs.has({ fields: { user: 'u2' } })).toBe(false);
+    });
+
+    it('stamps records for every writer of the registry with the injected clock', () => {
+        // Given
+        const writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer });
+        const logs = captureLogs(registry, { now: NEW_YEAR });
+
+        // When
+        registry.log({ level: LogLevel.INFO }, 'first');
+        logs.setClock(() => NEW_YEAR + 1000);
+        registry.log({ level: LogLevel.INFO }, 'second');
+
+        // Then
+        expect(writer.mock.calls.map(([options]) => options.timestamp)).toEqual([NEW_YEAR, NEW_YEAR + 1000]);
+        expect(logs.entries.map((entry) => entry.timestamp)).toEqual([NEW_YEAR, NEW_YEAR + 1000]);
+    });
+
+    it('removes the clock and stops recording when stopped', () => {
+        // Given
+        const writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer });
+        const logs = captureLogs(registry, { now: NEW_YEAR });
+        registry.log({ level: LogLevel.INFO }, 'captured');
+
+        // When
+        logs.stop();
+        registry.log({ level: LogLevel.INFO }, 'not captured');
+
+        // Then
+        expect(logs.messages()).toEqual(['captured']);
+        expect(writer.mock.lastCall?.[0]).toEqual({ level: LogLevel.INFO });
+    });
+
+    it('keeps capturing every level when the registry level changes', () => {
+        // Given
+        const logs = captureLogs(registry);
+
+        // When
+        registry.setMinLevel(LogLevel.ERROR);
+        registry.log({ level: LogLevel.DEBUG }, 'details');
+
+        // Then
+        expect(logs.messages()).toEqual(['details']);
+    });
+
+    it('uses the configured formatter and capture filters', () => {
+        // Given
+        const logs = captureLogs(registry, {
+            formatter: textLogFormatter({ timestamp: 'none' }),
+            filters: [(options) => options.component === 'api'],
+        });
+
+        // When
+        registry.log({ level: LogLevel.INFO, component: 'api' }, 'kept');
+        registry.log({ level: LogLevel.INFO, component: 'db' }, 'skipped');
+
+        // Then
+        expect(logs.entries.map((entry) => entry.formatted)).toEqual(['[INFO] [api] kept']);
+    });
+});
+
+describe('logMatchers', () => {
+    it('matches captured records', () => {
+        // Given
+        const registry = createLoggerRegistry();
+        const logs = captureLogs(registry);
+
+        // When
+        registry.log({ level: LogLevel.WARN, component: 'api' }, 'slow');
+        registry.log({ level: LogLevel.WARN, component: 'api' }, 'slower');
+
+        // Then
+        expect(logs).toHaveLogged({ level: LogLevel.WARN, component: 'api', text: /slow/u });
+        expect(logs).not.toHaveLogged({ minLevel: LogLevel.ERROR });
+        expect(logs).toHaveLoggedTimes(2, { component: 'api' });
+    });
+
+    it('describes the captured records when a match fails', () => {
+        // Given
+        const registry = createLoggerRegistry();
+        const logs = captureLogs(registry);
+        registry.log({ level: LogLevel.INFO, component: 'api' }, 'started');
+
+        // When
+        const result = logMatchers.toHaveLogged(logs, { level: LogLevel.ERROR });
+
+        // Then
+        expect(result.pass).toBe(false);
+        expect(result.message()).toContain('started');
+    });
+
+    it('rejects values that are not captures', () => {
+        // When / Then
+        expect(() => logMatchers.toHaveLogged({})).toThrow('toHaveLogged() expects a LogCapture created by captureLogs()');
+    });
+});
@@ -0,0 +1,229 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import {
+    componentLevelsFromRules,
+    configureLoggers,
+    configureLoggersFromEnv,
+    createLoggerRegistry,
+    LogLevel,
+    parseComponentLevels,
+    parseLogSpec,
+    readLogConfigFile,
+    type LoggerRegistry,
+} from '#/log';
+
+describe('parseLogSpec', () => {
+    it('parses patterns with levels, defaults to trace and negates entries', () => {
+        // When
+        const rules = parseLogSpec('api:*=debug, worker=WARN  db !cache,-api:health *=info');
+
+        // Then
+        expect(rules).toEqual([
+            { pattern: 'api:*', level: LogLevel.DEBUG },
+            { pattern: 'worker', level: LogLevel.WARN },
+            { pattern: 'db', level: LogLevel.TRACE },
+            { pattern: 'cache', level: undefined },
+            { pattern: 'api:health', level: undefined },
+            { pattern: '*', level: LogLevel.INFO },
+        ]);
+    });
+
+    it('parses off levels as disabled and returns no rules for an empty spec', () => {
+        // When / Then
+        expect(parseLogSpec('metrics=off')).toEqual([{ pattern: 'metrics', level: undefined }]);
+        expect(parseLogSpec('')).toEqual([]);
+        expect(parseLogSpec(' , ')).toEqual([]);
+    });
+
+    it('rejects unknown levels and missing patterns', () => {
+        // When / Then
+        expect(() => parseLogSpec('api=verbose')).toThrow('Unknown log level "verbose".');
+        expect(() => parseLogSpec('api=constructor')).toThrow('Unknown log level "constructor".');
+        expect(() => parseLogSpec('=debug')).toThrow('Invalid log spec entry "=debug": missing component pattern.');
+        expect(() => parseLogSpec('-')).toThrow('Invalid log spec entry "-": missing component pattern.');
+    });
+});
+
+describe('parseComponentLevels', () => {
+    it('accepts a map from component glob to level name', () => {
+        // When / Then
+        expect(parseComponentLevels({ 'api:*': 'debug', '*': 'info' })).toEqual([
+            { pattern: 'api:*', level: LogLevel.DEBUG },
+            { pattern: '*', level: LogLevel.INFO },
+        ]);
+        expect(() => parseComponentLevels({ api: 'loud' })).toThrow('Unknown log level "loud".');
+    });
+});
+
+describe('componentLevelsFromRules', () => {
+    it('keeps the last level per pattern unless the pattern is negated', () => {
+        // When
+        const levels = componentLevelsFromRules(parseLogSpec('api=debug,api=warn,-db,db=trace'));
+
+        // Then
+        expect(levels).toEqual({ api: LogLevel.WARN, db: undefined });
+    });
+});
+
+describe('configureLoggers', () => {
+    let directory: string;
+    let registry: LoggerRegistry;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'log-config-'));
+        registry = createLoggerRegistry();
+    });
+
+    afterEach(async () => {
+        await registry.close();
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    async function readRecords(filePath: string): Promise<{ component?: string; message: string }[]> {
+        const text = await readFile(filePath, 'utf-8').catch(() => '');
+        return text
+            .split('\n')
+            .filter((line) => line !== '')
+            .map((line) => JSON.parse(line) as { component?: string; message: string });
+    }
+
+    it('applies the most specific component rule and disables negated components', async () => {
+        // Given
+        const file = join(directory, 'app.ndjson');
+        configureLoggers({ levels: 'api:*=debug,api:health=warn,-api:noisy,*=info', format: 'json', file }, { registry });
+
+        // When
+        registry.log({ level: LogLevel.DEBUG, component: 'api:users' }, 'api debug');
+        registry.log({ level: LogLevel.INFO, component: 'api:health' }, 'health info');
+        registry.log({ level: LogLevel.ERROR, component: 'api:noisy' }, 'noisy error');
+        registry.log({ level: LogLevel.DEBUG, component: 'db' }, 'db debug');
+        registry.log({ level: LogLevel.INFO, component: 'db' }, 'db info');
+
+        // Then
+        expect((await readRecords(file)).map((record) => record.message)).toEqual(['api debug', 'db info']);
+    });
+
+    it('applies the filter expression in addition to the levels', async () => {
+        // Given
+        const file = join(directory, 'app.ndjson');
+        configureLoggers({ levels: '*=debug', filter: 'level>=warn || component^=auth', format: 'json', file }, { registry });
+
+        // When
+        registry.log({ level: LogLevel.DEBUG, component: 'auth:login' }, 'auth debug');
+        registry.log({ level: LogLevel.INFO, component: 'api' }, 'api info');
+        registry.log({ level: LogLevel.WARN, component: 'api' }, 'api warn');
+
+        // Then
+        expect((await readRecords(file)).map((record) => record.message)).toEqual(['auth debug', 'api warn']);
+    });
+
+    it('rejects unknown levels and invalid filters', () => {
+        // When / Then
+        expect(() => configureLoggers({ levels: 'api=loud' }, { registry })).toThrow('Unknown log level "loud".');
+        expect(() => configureLoggers({ filter: 'level>>warn' }, { registry })).toThrow();
+        expect(registry.getLoggers()).toEqual([]);
+    });
+});
+
+describe('configureLoggersFromEnv', () => {
+    let directory: string;
+    let registry: LoggerRegistry;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'log-config-'));
+        registry = createLoggerRegistry();
+    });
+
+    afterEach(async () => {
+        await registry.close();
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('configures nothing without TSDK_LOG, TSDK_LOG_FILTER or TSDK_LOG_CONFIG', () => {
+        // When
+        const logger = configureLoggersFromEnv({ TSDK_LOG: '  ', TSDK_LOG_FORMAT: 'json' }, { registry });
+
+        // Then
+        expect(logger).toBeUndefined();
+        expect(registry.getLoggers()).toEqual([]);
+    });
+
+    it('lets variables override the config file', async () => {
+        // Given
+        const configPath = join(directory, 'log.json');
+        const file = join(directory, 'app.log');
+        await writeFile(configPath, JSON.stringify({ levels: { '*': 'error' }, format: 'text', file: join(directory, 'other.log') }));
+
+        // When
+        configureLoggersFromEnv(
+            { TSDK_LOG_CONFIG: configPath, TSDK_LOG: '*=info', TSDK_LOG_FORMAT: 'LOGFMT', TSDK_LOG_FILE: file },
+            { registry },
+        );
+        registry.log({ level: LogLevel.INFO, component: 'api' }, 'ready');
+
+        // Then
+        expect(await readFile(file, 'utf-8')).toMatch(/^time=\S+ level=info component=api msg=ready\n$/u);
+    });
+
+    it('rejects unknown formats', () => {
+        // When / Then
+        expect(() => configureLoggersFromEnv({ TSDK_LOG: '*=info', TSDK_LOG_FORMAT: 'xml' }, { registry })).toThrow(
+            'Unknown log format "xml". Expected one of: text, logfmt, json, dev, pretty.',
+        );
+    });
+});
+
+describe('readLogConfigFile', () => {
+    let directory: string;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'log-config-'));
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('reads a config file', async () => {
+        // Given
+        const configPath = join(directory, 'log.json');
+        await writeFile(configPath, JSON.stringify({ levels: 'api=debug', filter: 'level>=info', format: 'json', file: 'app.log' }));
+
+        // When
+        const config = readLogConfigFile(configPath);
+
+        // Then
+        expect(config).toEqual({ levels: 'api=debug', filter: 'level>=info', format: 'json', file: 'app.log' });
+    });
+
+    it('reports a missing file', () => {
+        // Given
+        const configPath = join(directory, 'missing.json');
+
+        // When / Then
+        expect(() => readLogConfigFile(configPath)).toThrow(`Failed to read log config "${configPath}": ENOENT`);
+    });
+
+    it.each([
+        ['{ levels: ', 'Failed to read log config'],
+        ['[]', 'expected a JSON object.'],
+        ['{"levels": 3}', '"levels" must be a string or an object of level names.'],
+        ['{"levels": {"api": 1}}', '"levels" must be a string or an object of level names.'],
+        ['{"filter": true}', '"filter" must be a string.'],
+        ['{"format": "xml"}', 'Unknown log format "xml".'],
+        ['{"file": 1}', '"file" must be a string.'],
+    ])('rejects the malformed config %s', async (content, message) => {
+        // Given
+        const configPath = join(directory, 'log.json');
+        await writeFile(configPath, content);
+
+        // When / Then
+        expect(() => readLogConfigFile(configPath)).toThrow(message);
+    });
+});
@@ -0,0 +1,120 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it, vi } from 'vitest';
+
+import { createLoggerRegistry, fieldEqualsLogFilter, getLogContext, LogLevel, withLogContext, type LogWriter } from '#/log';
+import * as browserContext from '#/log/context.browser'; // eslint-disable-line import/extensions -- the browser build's variant of context.ts
+
+describe('withLogContext', () => {
+    it('merges nested contexts with inner fields winning and restores the outer context', () => {
+        // When
+        const seen = withLogContext({ traceId: 't1', user: 'anonymous' }, () => {
+            const inner = withLogContext({ user: 'u1' }, () => getLogContext());
+            return [inner, getLogContext()];
+        });
+
+        // Then
+        expect(seen).toEqual([
+            { traceId: 't1', user: 'u1' },
+            { traceId: 't1', user: 'anonymous' },
+        ]);
+        expect(getLogContext()).toBeUndefined();
+    });
+
+    it('propagates fields across await and into callbacks scheduled inside the context', async () => {
+        // Given
+        const fromTimer = new Promise<unknown>((resolve) => {
+            withLogContext({ job: 'timer' }, () => setTimeout(() => resolve(getLogContext()), 1));
+        });
+
+        // When
+        const afterAwait = await withLogContext({ requestId: 'r1' }, async () => {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            return getLogContext();
+        });
+
+        // Then
+        expect(afterAwait).toEqual({ requestId: 'r1' });
+        expect(await fromTimer).toEqual({ job: 'timer' });
+    });
+
+    it('keeps concurrent contexts apart', async () => {
+        // Given
+        const handle = (requestId: string, delay: number): Promise<unknown> =>
+            withLogContext({ requestId }, async () => {
+                await new Promise((resolve) => setTimeout(resolve, delay));
+                return getLogContext()?.requestId;
+            });
+
+        // When
+        const results = await Promise.all([handle('r1', 5), handle('r2', 1)]);
+
+        // Then
+        expect(results).toEqual(['r1', 'r2']);
+    });
+
+    it('adds context fields to records logged through a registry', () => {
+        // Given
+        const registry = createLoggerRegistry();
+        const writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer, filters: [fieldEqualsLogFilter('tenant', 'acme')] });
+
+        // When
+        withLogContext({ tenant: 'acme' }, () => registry.log({ level: LogLevel.INFO }, 'kept'));
+        withLogContext({ tenant: 'other' }, () => registry.log({ level: LogLevel.INFO }, 'dropped'));
+        registry.log({ level: LogLevel.INFO }, 'no context');
+
+        // Then
+        expect(writer).toHaveBeenCalledExactlyOnceWith({ level: LogLevel.INFO, fields: { tenant: 'acme' } }, 'kept');
+    });
+});
+
+describe('fieldEqualsLogFilter', () => {
+    it('compares the field with Object.is', () => {
+        // Given
+        const filter = fieldEqualsLogFilter('count', 0);
+
+        // When / Then
+        expect(filter({ level: LogLevel.INFO, fields: { count: 0 } })).toBe(true);
+        expect(filter({ level: LogLevel.INFO, fields: { count: -0 } })).toBe(false);
+        expect(filter({ level: LogLevel.INFO, fields: { count: '0' } })).toBe(false);
+        expect(filter({ level: LogLevel.INFO })).toBe(false);
+    });
+});
+
+describe('withLogContext in browsers', () => {
+    it('tracks nested contexts on the synchronous call stack', () => {
+        // When
+        const seen = browserContext.withLogContext({ traceId: 't1' }, () => [
+            browserContext.withLogContext({ user: 'u1' }, () => browserContext.getLogContext()),
+            browserContext.getLogContext(),
+        ]);
+
+        // Then
+        expect(seen).toEqual([{ traceId: 't1', user: 'u1' }, { traceId: 't1' }]);
+        expect(browserContext.getLogContext()).toBeUndefined();
+    });
+
+    it('restores the outer context when the function throws', () => {
+        // When
+        const run = (): void =>
+            browserContext.withLogContext({ traceId: 't1' }, () => {
+                throw new Error('failed');
+            });
+
+        // Then
+        expect(run).toThrow('failed');
+        expect(browserContext.getLogContext()).toBeUndefined();
+    });
+
+    it('does not carry the context past an await', async () => {
+        // When
+        const afterAwait = await browserContext.withLogContext({ requestId: 'r1' }, async () => {
+            await Promise.resolve();
+            return browserContext.getLogContext();
+        });
+
+        // Then
+        expect(afterAwait).toBeUndefined();
+    });
+});
@@ -0,0 +1,125 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createLoggerRegistry, installLogLevelSignal, LogLevel, watchLogConfig, type LoggerRegistry, type LogWriter } from '#/log';
+
+describe('runtime level control', () => {
+    let registry: LoggerRegistry;
+    let writer: ReturnType<typeof vi.fn<LogWriter>>;
+
+    beforeEach(() => {
+        registry = createLoggerRegistry();
+        writer = vi.fn<LogWriter>();
+    });
+
+    it('skips loggers with fixed levels when levels change registry-wide', () => {
+        // Given
+        const regular = registry.startLogger({ name: 'regular', logWriter: writer, minLevel: LogLevel.INFO });
+        const fixed = registry.startLogger({ name: 'fixed', logWriter: writer, fixedLevels: true });
+
+        // When
+        registry.setMinLevel(LogLevel.WARN);
+        registry.setComponentLevels({ '*': LogLevel.ERROR });
+
+        // Then
+        expect(regular.describe()).toMatchObject({ minLevel: LogLevel.WARN, componentLevels: { '*': LogLevel.ERROR }, fixedLevels: false });
+        expect(fixed.describe()).toEqual({ name: 'fixed', mode: 'all', componentPrefixes: [], filterCount: 1, fixedLevels: true });
+    });
+
+    describe('installLogLevelSignal', () => {
+        it('toggles verbose levels and announces each toggle through the registry', () => {
+            // Given
+            const regular = registry.startLogger({ logWriter: writer, minLevel: LogLevel.INFO });
+            const fixed = registry.startLogger({ logWriter: vi.fn<LogWriter>(), minLevel: LogLevel.WARN, fixedLevels: true });
+            const uninstall = installLogLevelSignal({ signal: 'SIGUSR2', registry });
+
+            try {
+                // When
+                process.emit('SIGUSR2', 'SIGUSR2');
+                const verbose = regular.describe().minLevel;
+                process.emit('SIGUSR2', 'SIGUSR2');
+
+                // Then
+                expect(verbose).toBe(LogLevel.TRACE);
+                expect(regular.describe().minLevel).toBe(LogLevel.INFO);
+                expect(fixed.describe().minLevel).toBe(LogLevel.WARN);
+                expect(writer.mock.calls).toEqual([
+                    [{ level: LogLevel.INFO, component: 'log' }, 'Verbose logging enabled for 1 logger(s) at level TRACE.'],
+                    [{ level: LogLevel.INFO, component: 'log' }, 'Verbose logging disabled; restoring previous levels.'],
+                ]);
+            } finally {
+                uninstall();
+            }
+        });
+    });
+
+    describe('watchLogConfig', () => {
+        let dir: string;
+        let configPath: string;
+
+        beforeEach(() => {
+            dir = mkdtempSync(path.join(tmpdir(), 'control-'));
+            configPath = path.join(dir, 'log.json');
+        });
+
+        afterEach(() => {
+            rmSync(dir, { recursive: true, force: true });
+        });
+
+        function writeConfig(content: string, mtime: number): void {
+            writeFileSync(configPath, content);
+            utimesSync(configPath, mtime, mtime);
+        }
+
+        async function waitForBaseline(): Promise<void> {
+            // The watcher compares against its first, asynchronous stat of the file.
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+
+        it('applies reloaded levels to loggers without fixed levels', async () => {
+            // Given
+            writeConfig('{"levels":"*=info"}', 1000);
+            const regular = registry.startLogger({ logWriter: writer, minLevel: LogLevel.INFO });
+            const fixed = registry.startLogger({ logWriter: vi.fn<LogWriter>(), fixedLevels: true });
+            const stop = watchLogConfig(configPath, { registry, interval: 10 });
+            await waitForBaseline();
+
+            try {
+                // When
+                writeConfig('{"levels":"db=debug,*=warn"}', 2000);
+
+                // Then
+                await vi.waitFor(() => expect(regular.describe().componentLevels).toEqual({ db: LogLevel.DEBUG, '*': LogLevel.WARN }));
+                expect(fixed.describe().componentLevels).toBeUndefined();
+            } finally {
+                stop();
+            }
+        });
+
+        it('logs invalid files at ERROR level and keeps the current levels', async () => {
+            // Given
+            writeConfig('{"levels":"*=info"}', 1000);
+            const logger = registry.startLogger({ logWriter: writer, componentLevels: { '*': LogLevel.INFO } });
+            const stop = watchLogConfig(configPath, { registry, interval: 10 });
+            await waitForBaseline();
+
+            try {
+                // When
+                writeConfig('{"levels":"*=loud"}', 2000);
+
+                // Then
+                await vi.waitFor(() => expect(writer).toHaveBeenCalled());
+                expect(writer.mock.calls[0]?.[0]).toEqual({ level: LogLevel.ERROR, component: 'log' });
+                expect(writer.mock.calls[0]?.[1]).toMatch(/^Failed to reload log config ".*log\.json": .*keeping current levels\.$/u);
+                expect(logger.describe().componentLevels).toEqual({ '*': LogLevel.INFO });
+            } finally {
+                stop();
+            }
+        });
+    });
+});
@@ -0,0 +1,198 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import {
+    createLoggerRegistry,
+    errorFingerprint,
+    installErrorHooks,
+    LogLevel,
+    parseStackFrames,
+    serializeError,
+    type LogWriter,
+} from '#/log';
+import * as browserEntry from '#/log/index.browser'; // eslint-disable-line import/extensions -- the browser build's entry point
+
+describe('parseStackFrames', () => {
+    it('parses V8 frames, including async frames and frames without a location', () => {
+        // Given
+        const stack = [
+            'TypeError: bad input',
+            '    at parse (/app/src/parser.ts:10:5)',
+            '    at async Server.handle (file:///app/src/server.js:42:17)',
+            '    at /app/src/index.ts:3:1',
+            '    at new Promise (<anonymous>)',
+            '    at node:internal/process/task_queues:95:5',
+        ].join('\n');
+
+        // When / Then
+        expect(parseStackFrames(stack)).toEqual([
+            { function: 'parse', file: '/app/src/parser.ts', line: 10, column: 5 },
+            { function: 'Server.handle', file: 'file:///app/src/server.js', line: 42, column: 17, async: true },
+            { file: '/app/src/index.ts', line: 3, column: 1 },
+            { function: 'new Promise' },
+            { file: 'node:internal/process/task_queues', line: 95, column: 5 },
+        ]);
+    });
+
+    it('parses Firefox and Safari frames', () => {
+        // Given
+        const stack = ['parse@https://example.com/app.js:10:5', '@https://example.com/app.js:1:1', 'global code'].join('\n');
+
+        // When / Then
+        expect(parseStackFrames(stack)).toEqual([
+            { function: 'parse', file: 'https://example.com/app.js', line: 10, column: 5 },
+            { file: 'https://example.com/app.js', line: 1, column: 1 },
+        ]);
+        expect(parseStackFrames(undefined)).toEqual([]);
+    });
+});
+
+describe('errorFingerprint', () => {
+    function errorWithStack(name: string, message: string, stack: string): Error {
+        const error = new Error(message);
+        error.name = name;
+        error.stack = `${name}: ${message}\n${stack}`;
+        return error;
+    }
+
+    it('ignores messages, line numbers and node internals but not the error name or functions', () => {
+        // Given
+        const stack = '    at parse (/app/src/parser.ts:10:5)\n    at node:internal/main:1:1';
+        const fingerprint = errorFingerprint(errorWithStack('TypeError', 'id 1', stack));
+
+        // When / Then
+        expect(fingerprint).toMatch(/^[0-9a-f]{16}$/u);
+        expect(errorFingerprint(errorWithStack('TypeError', 'id 2', '    at parse (/app/src/parser.ts:99:1)'))).toBe(fingerprint);
+        expect(errorFingerprint(errorWithStack('RangeError', 'id 1', stack))).not.toBe(fingerprint);
+        expect(errorFingerprint(errorWithStack('TypeError', 'id 1', '    at load (/app/src/parser.ts:10:5)'))).not.toBe(fingerprint);
+    });
+
+    it('fingerprints thrown values by type and value', () => {
+        // When / Then
+        expect(errorFingerprint('timeout')).toBe(errorFingerprint('timeout'));
+        expect(errorFingerprint('1')).not.toBe(errorFingerprint(1));
+    });
+});
+
+describe('serializeError', () => {
+    it('serializes frames, the cause chain, AggregateError children and custom properties', () => {
+        // Given
+        const cause = new Error('connection reset');
+        const child = new RangeError('out of range');
+        const error = Object.assign(new AggregateError([child, 'plain'], 'both failed', { cause }), { code: 'E_BATCH' });
+
+        // When
+        const serialized = serializeError(error);
+
+        // Then
+        expect(serialized).toMatchObject({
+            name: 'AggregateError',
+            message: 'both failed',
+            code: 'E_BATCH',
+            fingerprint: errorFingerprint(error),
+            cause: { name: 'Error', message: 'connection reset', frames: expect.any(Array) },
+            errors: [{ name: 'RangeError', message: 'out of range' }, 'plain'],
+        });
+        expect(serialized.frames?.[0]).toMatchObject({ file: expect.stringContaining('errors.test.ts'), line: expect.any(Number) });
+    });
+
+    it('replaces circular causes', () => {
+        // Given
+        const first = new Error('first');
+        const second = new Error('second', { cause: first });
+        first.cause = second;
+
+        // When / Then
+        expect(serializeError(first)).toMatchObject({ message: 'first', cause: { message: 'second', cause: '[Circular]' } });
+    });
+});
+
+describe('installErrorHooks', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        process.exitCode = undefined;
+    });
+
+    function addedListener(before: readonly unknown[], after: readonly unknown[]): (...args: unknown[]) => void {
+        const added = after.filter((listener) => !before.includes(listener));
+        expect(added).toHaveLength(1);
+        return added[0] as (...args: unknown[]) => void;
+    }
+
+    it('logs uncaught exceptions and unhandled rejections and removes its handlers', () => {
+        // Given
+        const registry = createLoggerRegistry();
+        const writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer });
+        const exceptionListeners = process.listeners('uncaughtException');
+        const rejectionListeners = process.listeners('unhandledRejection');
+        const uninstall = installErrorHooks({ registry, exit: false });
+        const error = new Error('boom');
+
+        try {
+            // When
+            addedListener(exceptionListeners, process.listeners('uncaughtException'))(error, 'uncaughtException');
+            addedListener(rejectionListeners, process.listeners('unhandledRejection'))('rejected');
+
+            // Then
+            expect(writer.mock.calls).toEqual([
+                [
+                    {
+                        level: LogLevel.ERROR,
+                        component: 'process',
+                        fields: { origin: 'uncaughtException', fingerprint: errorFingerprint(error) },
+                    },
+                    'Uncaught exception:',
+                    error,
+                ],
+                [
+                    {
+                        level: LogLevel.ERROR,
+                        component: 'process',
+                        fields: { origin: 'unhandledRejection', fingerprint: errorFingerprint('rejected') },
+                    },
+                    'Unhandled promise rejection:',
+                    'rejected',
+                ],
+            ]);
+        } finally {
+            uninstall();
+        }
+        expect(process.listeners('uncaughtException')).toEqual(exceptionListeners);
+        expect(process.listeners('unhandledRejection')).toEqual(rejectionListeners);
+    });
+
+    it('flushes the registry once and exits with the exit code', async () => {
+        // Given
+        const exit = vi.spyOn(process, 'exit').mockImplementation(() => undefined as never);
+        const registry = createLoggerRegistry();
+        const flush = vi.spyOn(registry, 'flush');
+        const rejectionListeners = process.listeners('unhandledRejection');
+        const uninstall = installErrorHooks({ registry, exitCode: 3 });
+
+        try {
+            // When
+            const listener = addedListener(rejectionListeners, process.listeners('unhandledRejection'));
+            listener(new Error('first'));
+            listener(new Error('second'));
+
+            // Then
+            await vi.waitFor(() => expect(exit).toHaveBeenCalledExactlyOnceWith(3));
+            expect(flush).toHaveBeenCalledOnce();
+            expect(process.exitCode).toBe(3);
+        } finally {
+            uninstall();
+        }
+    });
+});
+
+describe('browser entry', () => {
+    it('exports the error helpers but not the Node-only error hooks', () => {
+        // When / Then
+        expect(browserEntry).toHaveProperty('serializeError');
+        expect(browserEntry).toHaveProperty('errorFingerprint');
+        expect(browserEntry).toHaveProperty('parseStackFrames');
+        expect(browserEntry).not.toHaveProperty('installErrorHooks');
+    });
+});
@@ -0,0 +1,101 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+    createComponentLog,
+    createLoggerRegistry,
+    getLogger,
+    LogLevel,
+    mergeLogFields,
+    resetLoggers,
+    startLogger,
+    withLogContext,
+    type LoggerRegistry,
+    type LogWriter,
+} from '#/log';
+
+describe('mergeLogFields', () => {
+    it('lets the override win and returns an input unchanged when the other one is empty', () => {
+        // Given
+        const base = { user: 'u1', role: 'admin' };
+        const override = { role: 'viewer' };
+
+        // When / Then
+        expect(mergeLogFields(base, override)).toEqual({ user: 'u1', role: 'viewer' });
+        expect(mergeLogFields(base, {})).toBe(base);
+        expect(mergeLogFields(undefined, override)).toBe(override);
+        expect(mergeLogFields(undefined, undefined)).toBeUndefined();
+        expect(base).toEqual({ user: 'u1', role: 'admin' });
+    });
+});
+
+describe('child loggers', () => {
+    let registry: LoggerRegistry;
+    let writer: ReturnType<typeof vi.fn<LogWriter>>;
+
+    beforeEach(() => {
+        registry = createLoggerRegistry();
+        writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer });
+    });
+
+    it('lets child fields win over parent fields without changing the parent', () => {
+        // Given
+        const parent = getLogger('api', { registry, fields: { requestId: 'r1', user: 'anonymous' } });
+
+        // When
+        const child = parent.child({ user: 'u1' });
+        const grandchild = child.child({ step: 'auth' });
+        grandchild.info('authenticated');
+        parent.info('done');
+
+        // Then
+        expect(writer.mock.calls.map(([options]) => options.fields)).toEqual([
+            { requestId: 'r1', user: 'u1', step: 'auth' },
+            { requestId: 'r1', user: 'anonymous' },
+        ]);
+        expect(parent.fields).toEqual({ requestId: 'r1', user: 'anonymous' });
+        expect(child.component).toBe('api');
+    });
+
+    it('lets logger fields win over fields of the surrounding context', () => {
+        // Given
+        const logger = getLogger('api', { registry, fields: { user: 'u1' } });
+
+        // When
+        withLogContext({ user: 'from-context', traceId: 't1' }, () => logger.info('handled'));
+
+        // Then
+        expect(writer.mock.calls[0]?.[0].fields).toEqual({ user: 'u1', traceId: 't1' });
+    });
+
+    it('lets fields passed with the record win over context fields', () => {
+        // When
+        withLogContext({ user: 'from-context' }, () => registry.log({ level: LogLevel.INFO, fields: { user: 'explicit' } }, 'handled'));
+
+        // Then
+        expect(writer.mock.calls[0]?.[0].fields).toEqual({ user: 'explicit' });
+    });
+
+    it('binds fields to component log functions and their children', () => {
+        // Given
+        const defaultWriter = vi.fn<LogWriter>();
+        startLogger({ logWriter: defaultWriter });
+        const log = createComponentLog('db', { pool: 'main', shard: 1 });
+
+        try {
+            // When
+            log.child({ shard: 2 })(LogLevel.WARN, 'slow');
+            log(LogLevel.INFO, 'ready');
+
+            // Then
+            expect(defaultWriter.mock.calls).toEqual([
+                [{ level: LogLevel.WARN, component: 'db', fields: { pool: 'main', shard: 2 } }, 'slow'],
+                [{ level: LogLevel.INFO, component: 'db', fields: { pool: 'main', shard: 1 } }, 'ready'],
+            ]);
+        } finally {
+            resetLoggers();
+        }
+    });
+});
@@ -0,0 +1,127 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it } from 'vitest';
+
+import {
+    andLogFilter,
+    componentPrefixLogFilter,
+    LogLevel,
+    minLevelLogFilter,
+    notLogFilter,
+    orLogFilter,
+    parseLogFilter,
+    type LogOptions,
+} from '#/log';
+
+function record(level: LogLevel, component?: string, fields?: LogOptions['fields']): LogOptions {
+    return { level, ...(component !== undefined ? { component } : {}), ...(fields !== undefined ? { fields } : {}) };
+}
+
+describe('filter combinators', () => {
+    it('combines filters with and, or and not', () => {
+        // Given
+        const filter = orLogFilter(
+            andLogFilter(minLevelLogFilter(LogLevel.WARN), componentPrefixLogFilter(['api'])),
+            notLogFilter(minLevelLogFilter(LogLevel.DEBUG)),
+        );
+
+        // When / Then
+        expect(filter(record(LogLevel.WARN, 'api'))).toBe(true);
+        expect(filter(record(LogLevel.INFO, 'api'))).toBe(false);
+        expect(filter(record(LogLevel.TRACE, 'db'))).toBe(true);
+    });
+
+    it('treats empty combinations as pass-all and reject-all', () => {
+        // When / Then
+        expect(andLogFilter()(record(LogLevel.INFO))).toBe(true);
+        expect(orLogFilter()(record(LogLevel.INFO))).toBe(false);
+    });
+});
+
+describe('parseLogFilter', () => {
+    it('compiles level and component comparisons with precedence and grouping', () => {
+        // Given
+        const filter = parseLogFilter('level>=warn && (component=api || component^=auth)');
+
+        // When / Then
+        expect(filter(record(LogLevel.WARN, 'api'))).toBe(true);
+        expect(filter(record(LogLevel.ERROR, 'auth:login'))).toBe(true);
+        expect(filter(record(LogLevel.INFO, 'api'))).toBe(false);
+        expect(filter(record(LogLevel.ERROR, 'db'))).toBe(false);
+    });
+
+    it('supports word operators, negation, regular expressions and quoted values', () => {
+        // Given
+        const filter = parseLogFilter('not component~="^test:" and fields.tenant="acme corp"');
+
+        // When / Then
+        expect(filter(record(LogLevel.INFO, 'api', { tenant: 'acme corp' }))).toBe(true);
+        expect(filter(record(LogLevel.INFO, 'test:api', { tenant: 'acme corp' }))).toBe(false);
+        expect(filter(record(LogLevel.INFO, 'api', { tenant: 'other' }))).toBe(false);
+    });
+
+    it('compares numeric fields', () => {
+        // Given
+        const filter = parseLogFilter('fields.duration>1000');
+
+        // When / Then
+        expect(filter(record(LogLevel.INFO, undefined, { duration: 1500 }))).toBe(true);
+        expect(filter(record(LogLevel.INFO, undefined, { duration: '1500' }))).toBe(false);
+        expect(filter(record(LogLevel.INFO))).toBe(false);
+    });
+
+    it('ignores inherited properties of fields', () => {
+        // Given
+        const filter = parseLogFilter('fields.constructor^=function || fields.valueOf>=0');
+
+        // When / Then
+        expect(filter(record(LogLevel.INFO, undefined, {}))).toBe(false);
+        expect(filter(record(LogLevel.INFO, undefined, { valueOf: 1 }))).toBe(true);
+    });
+
+    it('reads words that are inherited object properties as values, not keywords', () => {
+        // Given
+        const filter = parseLogFilter('component=constructor || component=toString');
+
+        // When / Then
+        expect(filter(record(LogLevel.INFO, 'constructor'))).toBe(true);
+        expect(filter(record(LogLevel.INFO, 'api'))).toBe(false);
+    });
+
+    it('reports the position of syntax errors', () => {
+        // When / Then
+        expect(() => parseLogFilter('level>=warn &&')).toThrow(
+            'Invalid log filter expression at position 15: expected "level", "component" or "fields.<name>" but found end of expression.\n' +
+                '  level>=warn &&\n' +
+                '                ^',
+        );
+        expect(() => parseLogFilter('(level>=warn')).toThrow('expected ")" to close "(" at position 1 but found end of expression');
+        expect(() => parseLogFilter('component>api')).toThrow('operator ">" cannot be used with "component"');
+        expect(() => parseLogFilter('host=a')).toThrow('unknown field "host"');
+    });
+
+    it('compares custom numeric levels with every level operator', () => {
+        // Given
+        const notice = 25 as LogLevel;
+        const verbose = 15 as LogLevel;
+
+        // When / Then
+        expect(parseLogFilter('level=25')(record(notice))).toBe(true);
+        expect(parseLogFilter('level!=25')(record(notice))).toBe(false);
+        expect(parseLogFilter('level!=25')(record(verbose))).toBe(true);
+        expect(parseLogFilter('level<25')(record(verbose))).toBe(true);
+        expect(parseLogFilter('level<25')(record(notice))).toBe(false);
+        expect(parseLogFilter('level<=25')(record(notice))).toBe(true);
+        expect(parseLogFilter('level<=warn')(record(notice))).toBe(true);
+        expect(parseLogFilter('level<=warn')(record(LogLevel.ERROR))).toBe(false);
+        expect(parseLogFilter('level>25')(record(LogLevel.WARN))).toBe(true);
+        expect(parseLogFilter('level>25')(record(notice))).toBe(false);
+    });
+
+    it('rejects unknown level names, including inherited object properties', () => {
+        // When / Then
+        expect(() => parseLogFilter('level>=loud')).toThrow('Unknown log level "loud"');
+        expect(() => parseLogFilter('level>=constructor')).toThrow('Unknown log level "constructor"');
+        expect(() => parseLogFilter('level>=off')).toThrow('level "off" cannot be compared');
+    });
+});
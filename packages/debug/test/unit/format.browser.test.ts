@@ -0,0 +1,46 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it } from 'vitest';
+
+import { formatLogArgs } from '#/log/format.browser'; // eslint-disable-line import/extensions -- the browser build's variant of format.ts
+
+describe('formatLogArgs in browsers', () => {
+    it('applies printf-style substitutions and appends the remaining arguments', () => {
+        // When
+        const message = formatLogArgs('%s took %dms (%i%%)%c', 'query', '12.5', 99.9, 'color: red', { rows: 2 }, 10n);
+
+        // Then
+        expect(message).toBe('query took 12.5ms (99%) {"rows":2} 10n');
+    });
+
+    it('renders Maps and Sets as arrays', () => {
+        // Given
+        const value = { tags: new Set(['a', 'b']), counts: new Map<string, unknown>([['x', 1n]]) };
+
+        // When / Then
+        expect(formatLogArgs('%j', value)).toBe('{"tags":["a","b"],"counts":[["x","1n"]]}');
+    });
+
+    it('replaces circular references and keeps shared ones', () => {
+        // Given
+        const shared = { id: 1 };
+        const parent: Record<string, unknown> = { left: shared, right: shared };
+        parent.self = parent;
+
+        // When / Then
+        expect(formatLogArgs(parent)).toBe('{"left":{"id":1},"right":{"id":1},"self":"[Circular]"}');
+    });
+
+    it('replaces circular references through Maps and Sets', () => {
+        // Given
+        const map = new Map<string, unknown>();
+        map.set('self', map);
+        const set = new Set<unknown>();
+        set.add(set);
+        const holder = { set, list: [set] };
+
+        // When / Then
+        expect(formatLogArgs(map)).toBe('[["self","[Circular]"]]');
+        expect(formatLogArgs(holder)).toBe('{"set":["[Circular]"],"list":[["[Circular]"]]}');
+    });
+});
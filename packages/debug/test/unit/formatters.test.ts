@@ -0,0 +1,104 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+    devLogFormatter,
+    jsonLogFormatter,
+    LogLevel,
+    logfmtLogFormatter,
+    templateLogFormatter,
+    textLogFormatter,
+    type LogOptions,
+} from '#/log';
+
+const NEW_YEAR = Date.UTC(2025, 0, 1);
+
+const record: LogOptions = { level: LogLevel.WARN, component: 'api', fields: { user: 'u 1', attempt: 2 }, timestamp: NEW_YEAR };
+
+describe('textLogFormatter', () => {
+    it('renders time, level, component, message and fields', () => {
+        // When
+        const line = textLogFormatter()(record, ['slow: %dms', 120]);
+
+        // Then
+        expect(line).toBe('2025-01-01T00:00:00.000Z [WARN] [api] slow: 120ms user="u 1" attempt=2');
+    });
+
+    it('omits the timestamp with the none style and names custom levels by number', () => {
+        // When
+        const line = textLogFormatter({ timestamp: 'none' })({ level: 25 as LogLevel }, ['custom']);
+
+        // Then
+        expect(line).toBe('[25] custom');
+    });
+});
+
+describe('logfmtLogFormatter', () => {
+    it('renders key/value pairs and quotes values that need it', () => {
+        // When
+        const line = logfmtLogFormatter({ timestamp: 'epoch' })(record, ['said "hi"']);
+
+        // Then
+        expect(line).toBe(`time=${NEW_YEAR} level=warn component=api msg="said \\"hi\\"" user="u 1" attempt=2`);
+    });
+});
+
+describe('jsonLogFormatter', () => {
+    it('renders the timestamp in the configured style', () => {
+        // When
+        const iso = JSON.parse(jsonLogFormatter()(record, ['ready'])) as Record<string, unknown>;
+        const epoch = JSON.parse(jsonLogFormatter({ timestamp: 'epoch' })(record, ['ready'])) as Record<string, unknown>;
+        const none = JSON.parse(jsonLogFormatter({ timestamp: 'none' })(record, ['ready'])) as Record<string, unknown>;
+
+        // Then
+        expect(iso).toMatchObject({ time: '2025-01-01T00:00:00.000Z', levelName: 'WARN', component: 'api', message: 'ready' });
+        expect(epoch.time).toBe(NEW_YEAR);
+        expect(none).not.toHaveProperty('time');
+    });
+});
+
+describe('devLogFormatter', () => {
+    it('renders the time elapsed since the formatter was created with a padded level', () => {
+        // Given
+        vi.useFakeTimers({ now: NEW_YEAR });
+
+        try {
+            const formatter = devLogFormatter();
+
+            // When
+            const line = formatter({ level: LogLevel.INFO, timestamp: NEW_YEAR + 1234 }, ['ready']);
+
+            // Then
+            expect(line).toBe('+1.234s INFO  ready');
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
+
+describe('templateLogFormatter', () => {
+    it('fills placeholders and renders missing values as empty strings', () => {
+        // Given
+        const formatter = templateLogFormatter('{time} {level}({levelNumber}) {component}: {message} | {fields}');
+
+        // When
+        const withComponent = formatter(record, ['ready']);
+        const withoutComponent = formatter({ level: LogLevel.INFO, timestamp: NEW_YEAR }, ['ready']);
+
+        // Then
+        expect(withComponent).toBe(`2025-01-01T00:00:00.000Z WARN(${LogLevel.WARN}) api: ready | user="u 1" attempt=2`);
+        expect(withoutComponent).toBe(`2025-01-01T00:00:00.000Z INFO(${LogLevel.INFO}) : ready | `);
+    });
+
+    it('leaves unknown placeholders untouched, including Object.prototype names', () => {
+        // Given
+        const formatter = templateLogFormatter('{toString} {constructor} {hasOwnProperty} {__proto__} {unknown} {message}');
+
+        // When
+        const line = formatter(record, ['ready']);
+
+        // Then
+        expect(line).toBe('{toString} {constructor} {hasOwnProperty} {__proto__} {unknown} ready');
+    });
+});
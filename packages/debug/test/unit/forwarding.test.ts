@@ -0,0 +1,126 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { once } from 'node:events';
+import { MessageChannel } from 'node:worker_threads';
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+    createLoggerRegistry,
+    forwardingLogWriter,
+    isForwardedLogMessage,
+    LogLevel,
+    receiveForwardedLogs,
+    type LoggerRegistry,
+    type LogWriter,
+} from '#/log';
+
+describe('log forwarding over a MessageChannel', () => {
+    let channel: MessageChannel;
+    let registry: LoggerRegistry;
+    let writer: ReturnType<typeof vi.fn<LogWriter>>;
+
+    beforeEach(() => {
+        channel = new MessageChannel();
+        registry = createLoggerRegistry();
+        writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer });
+    });
+
+    afterEach(() => {
+        channel.port1.close();
+        channel.port2.close();
+    });
+
+    it('logs forwarded records with their timestamp, level, component, fields and workerId', async () => {
+        // Given
+        const stop = receiveForwardedLogs(channel.port2, { registry, fields: { pool: 'images' } });
+        const forward = forwardingLogWriter({ target: channel.port1, workerId: 7 });
+
+        // When
+        forward(
+            { level: LogLevel.WARN, component: 'resize', fields: { size: 10n, tags: new Set(['a']) }, timestamp: 1000 },
+            'resized %s',
+            'a.png',
+        );
+        await vi.waitFor(() => expect(writer).toHaveBeenCalled());
+        stop();
+
+        // Then
+        expect(writer).toHaveBeenCalledExactlyOnceWith(
+            {
+                level: LogLevel.WARN,
+                component: 'resize',
+                fields: { size: '10', tags: ['a'], pool: 'images', workerId: 7 },
+                timestamp: 1000,
+            },
+            'resized %s',
+            'a.png',
+        );
+    });
+
+    it('revives Errors with their name, stack and custom properties', async () => {
+        // Given
+        receiveForwardedLogs(channel.port2, { registry, workerId: 'worker-1' });
+        const forward = forwardingLogWriter({ target: channel.port1, workerId: 7 });
+        const error = Object.assign(new TypeError('bad input'), { code: 'E_INPUT' });
+
+        // When
+        forward({ level: LogLevel.ERROR }, 'failed:', error, { message: 'not an error' });
+        await vi.waitFor(() => expect(writer).toHaveBeenCalled());
+
+        // Then
+        const [options, , revived, plain] = writer.mock.calls[0] ?? [];
+        expect(options?.fields).toEqual({ workerId: 'worker-1' });
+        expect(revived).toBeInstanceOf(Error);
+        expect(revived).toMatchObject({ name: 'TypeError', message: 'bad input', stack: error.stack, code: 'E_INPUT' });
+        expect(plain).toEqual({ message: 'not an error' });
+        expect(plain).not.toBeInstanceOf(Error);
+    });
+
+    it('ignores other messages and stops receiving when stopped', async () => {
+        // Given
+        const messages: unknown[] = [];
+        channel.port2.on('message', (message) => messages.push(message));
+        const stop = receiveForwardedLogs(channel.port2, { registry });
+        const forward = forwardingLogWriter({ target: channel.port1 });
+
+        // When
+        channel.port1.postMessage({ type: 'progress', done: 1 });
+        forward({ level: LogLevel.INFO }, 'first');
+        await vi.waitFor(() => expect(messages).toHaveLength(2));
+        stop();
+        forward({ level: LogLevel.INFO }, 'second');
+        await vi.waitFor(() => expect(messages).toHaveLength(3));
+
+        // Then
+        expect(messages.map((message) => isForwardedLogMessage(message))).toEqual([false, true, true]);
+        expect(writer).toHaveBeenCalledExactlyOnceWith(
+            { level: LogLevel.INFO, fields: { workerId: process.pid }, timestamp: expect.any(Number) },
+            'first',
+        );
+    });
+
+    it('falls back to the console once the channel is closed', async () => {
+        // Given
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const forward = forwardingLogWriter({ target: channel.port1 });
+        channel.port2.close();
+        await once(channel.port1, 'close');
+
+        try {
+            // When
+            forward({ level: LogLevel.ERROR, component: 'job', timestamp: 0 }, 'lost %d', 1);
+            forward({ level: LogLevel.ERROR, component: 'job', timestamp: 0 }, 'lost %d', 2);
+
+            // Then
+            expect(consoleError.mock.calls).toEqual([
+                [expect.stringContaining('[job] lost 1')],
+                [expect.stringContaining('Failed to write to parent process: the message port to the parent is closed')],
+                [expect.stringContaining('[job] lost 2')],
+            ]);
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+});
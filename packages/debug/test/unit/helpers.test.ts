@@ -0,0 +1,82 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createLoggerRegistry, getLogger, LogLevel, type LoggerRegistry, type LogWriter } from '#/log';
+
+describe('getLogger', () => {
+    let registry: LoggerRegistry;
+    let writer: ReturnType<typeof vi.fn<LogWriter>>;
+
+    beforeEach(() => {
+        registry = createLoggerRegistry();
+        writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer, minLevel: LogLevel.INFO });
+    });
+
+    it('logs through level methods with the bound component and fields', () => {
+        // Given
+        const logger = getLogger('api', { registry, fields: { requestId: 'r1' } });
+
+        // When
+        logger.warn('slow request', 1200);
+        logger.child({ user: 'u1' }).error('failed');
+
+        // Then
+        expect(writer.mock.calls).toEqual([
+            [{ level: LogLevel.WARN, component: 'api', fields: { requestId: 'r1' } }, 'slow request', 1200],
+            [{ level: LogLevel.ERROR, component: 'api', fields: { requestId: 'r1', user: 'u1' } }, 'failed'],
+        ]);
+    });
+
+    it('reports whether a level is enabled', () => {
+        // Given
+        const logger = getLogger('api', { registry });
+
+        // When / Then
+        expect(logger.isLevelEnabled(LogLevel.DEBUG)).toBe(false);
+        expect(logger.isLevelEnabled(LogLevel.INFO)).toBe(true);
+    });
+
+    it('evaluates lazy arguments only when some logger will write', () => {
+        // Given
+        const logger = getLogger('api', { registry });
+        const build = vi.fn(() => ['state:', { size: 3 }]);
+
+        // When
+        logger.debug(build);
+        logger.info(build);
+
+        // Then
+        expect(build).toHaveBeenCalledTimes(1);
+        expect(writer).toHaveBeenCalledExactlyOnceWith({ level: LogLevel.INFO, component: 'api' }, 'state:', { size: 3 });
+    });
+
+    it('logs a non-array lazy result as a single argument', () => {
+        // Given
+        const logger = getLogger('api', { registry });
+
+        // When
+        logger.info(() => 'message');
+        logger.info(() => undefined);
+
+        // Then
+        expect(writer.mock.calls).toEqual([
+            [{ level: LogLevel.INFO, component: 'api' }, 'message'],
+            [{ level: LogLevel.INFO, component: 'api' }, undefined],
+        ]);
+    });
+
+    it('logs a function returned from a thunk without calling it', () => {
+        // Given
+        const logger = getLogger('api', { registry });
+        const callback = vi.fn();
+
+        // When
+        logger.info(() => [callback]);
+
+        // Then
+        expect(callback).not.toHaveBeenCalled();
+        expect(writer).toHaveBeenCalledExactlyOnceWith({ level: LogLevel.INFO, component: 'api' }, callback);
+    });
+});
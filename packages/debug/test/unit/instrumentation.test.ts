@@ -0,0 +1,186 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { counter, createLoggerRegistry, gauge, LogLevel, span, time, timeEnd, type LoggerRegistry, type LogWriter } from '#/log';
+
+describe('instrumentation', () => {
+    let registry: LoggerRegistry;
+    let writer: ReturnType<typeof vi.fn<LogWriter>>;
+
+    beforeEach(() => {
+        registry = createLoggerRegistry();
+        writer = vi.fn<LogWriter>();
+        registry.startLogger({ logWriter: writer });
+    });
+
+    describe('time / timeEnd', () => {
+        it('logs the elapsed time of a timer and stops it', () => {
+            // Given
+            time('load', { registry });
+
+            // When
+            const durationMs = timeEnd('load', { registry, component: 'app', level: LogLevel.INFO, fields: { file: 'a.txt' } });
+
+            // Then
+            expect(durationMs).toBeGreaterThanOrEqual(0);
+            expect(writer).toHaveBeenCalledExactlyOnceWith(
+                { level: LogLevel.INFO, component: 'app', fields: { file: 'a.txt', timer: 'load', durationMs } },
+                '%s: %sms',
+                'load',
+                durationMs?.toFixed(3),
+            );
+            expect(timeEnd('load', { registry })).toBeUndefined();
+        });
+
+        it('warns about an unknown label', () => {
+            // When
+            const durationMs = timeEnd('missing', { registry, component: 'app' });
+
+            // Then
+            expect(durationMs).toBeUndefined();
+            expect(writer).toHaveBeenCalledExactlyOnceWith(
+                { level: LogLevel.WARN, component: 'app', fields: { timer: 'missing' } },
+                'No such timer: %s',
+                'missing',
+            );
+        });
+
+        it('keeps timers of different registries apart', () => {
+            // Given
+            time('load', { registry: createLoggerRegistry() });
+
+            // When / Then
+            expect(timeEnd('load', { registry })).toBeUndefined();
+        });
+    });
+
+    describe('span', () => {
+        it('logs the start and end of a synchronous span and returns its result', () => {
+            // When
+            const result = span('parse', () => 42, { registry, component: 'parser' });
+
+            // Then
+            expect(result).toBe(42);
+            expect(writer.mock.calls.map(([options, ...args]) => [options.level, options.fields?.status, args[0]])).toEqual([
+                [LogLevel.DEBUG, undefined, 'span start: %s'],
+                [LogLevel.DEBUG, 'ok', 'span end: %s (%sms)'],
+            ]);
+            expect(writer.mock.calls[1]?.[0]).toMatchObject({
+                component: 'parser',
+                fields: { span: 'parse', spanId: expect.stringMatching(/^[0-9a-f]{16}$/u), status: 'ok' },
+            });
+        });
+
+        it('awaits an asynchronous span and links nested spans to their parent', async () => {
+            // When
+            const result = await span(
+                'request',
+                async () => {
+                    await Promise.resolve();
+                    return span('query', () => 'rows', { registry });
+                },
+                { registry },
+            );
+
+            // Then
+            expect(result).toBe('rows');
+            const fields = writer.mock.calls.map(([options]) => options.fields);
+            expect(fields.map((field) => [field?.span, field?.status])).toEqual([
+                ['request', undefined],
+                ['query', undefined],
+                ['query', 'ok'],
+                ['request', 'ok'],
+            ]);
+            expect(fields[1]?.parentSpanId).toBe(fields[0]?.spanId);
+            expect(fields[0]?.parentSpanId).toBeUndefined();
+        });
+
+        it('logs and rethrows the rejection of an asynchronous span', async () => {
+            // Given
+            const failure = new Error('timeout');
+
+            // When
+            const result = span('fetch', () => Promise.reject(failure), { registry, level: LogLevel.INFO });
+
+            // Then
+            await expect(result).rejects.toBe(failure);
+            const [options, ...args] = writer.mock.calls[1] ?? [];
+            expect(options).toMatchObject({ level: LogLevel.ERROR, fields: { span: 'fetch', status: 'error' } });
+            expect(args).toEqual(['span failed: %s (%sms)', 'fetch', expect.any(String), failure]);
+        });
+
+        it('logs and rethrows the error of a synchronous span', () => {
+            // When / Then
+            expect(() =>
+                span(
+                    'parse',
+                    () => {
+                        throw new Error('bad input');
+                    },
+                    { registry },
+                ),
+            ).toThrow('bad input');
+            expect(writer.mock.calls[1]?.[0]).toMatchObject({ level: LogLevel.ERROR, fields: { status: 'error' } });
+        });
+    });
+
+    describe('counter', () => {
+        it('logs every increment and resets without logging', () => {
+            // Given
+            const requests = counter('requests', { registry, component: 'http', fields: { route: '/' } });
+
+            // When
+            requests.increment();
+            const value = requests.increment(2, { status: 200 });
+            requests.reset();
+
+            // Then
+            expect(value).toBe(3);
+            expect(requests.value).toBe(0);
+            expect(writer.mock.calls).toEqual([
+                [
+                    {
+                        level: LogLevel.DEBUG,
+                        component: 'http',
+                        fields: { route: '/', metric: 'requests', type: 'counter', value: 1, delta: 1 },
+                    },
+                    '%s=%d',
+                    'requests',
+                    1,
+                ],
+                [
+                    {
+                        level: LogLevel.DEBUG,
+                        component: 'http',
+                        fields: { route: '/', status: 200, metric: 'requests', type: 'counter', value: 3, delta: 2 },
+                    },
+                    '%s=%d',
+                    'requests',
+                    3,
+                ],
+            ]);
+        });
+    });
+
+    describe('gauge', () => {
+        it('logs and remembers the latest value', () => {
+            // Given
+            const queueSize = gauge('queue.size', { registry, level: LogLevel.INFO });
+
+            // When
+            const initial = queueSize.value;
+            queueSize.set(7);
+
+            // Then
+            expect(initial).toBeUndefined();
+            expect(queueSize.value).toBe(7);
+            expect(writer).toHaveBeenCalledExactlyOnceWith(
+                { level: LogLevel.INFO, component: undefined, fields: { metric: 'queue.size', type: 'gauge', value: 7 } },
+                '%s=%d',
+                'queue.size',
+                7,
+            );
+        });
+    });
+});
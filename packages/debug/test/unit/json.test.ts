@@ -0,0 +1,147 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createJsonLogRecord, formatJsonLog, jsonConsoleLogWriter, jsonFileLogWriter, LogLevel, serializeLogValue } from '#/log';
+
+const NEW_YEAR = Date.UTC(2025, 0, 1);
+
+describe('serializeLogValue', () => {
+    it('serializes errors with their cause, children and custom properties', () => {
+        // Given
+        const error = Object.assign(new AggregateError([new RangeError('too big')], 'batch failed', { cause: 'timeout' }), {
+            code: 'E_BATCH',
+        });
+
+        // When
+        const serialized = serializeLogValue(error);
+
+        // Then
+        expect(serialized).toMatchObject({
+            name: 'AggregateError',
+            message: 'batch failed',
+            stack: error.stack,
+            fingerprint: expect.stringMatching(/^[0-9a-f]{16}$/u) as unknown,
+            cause: 'timeout',
+            errors: [{ name: 'RangeError', message: 'too big' }],
+            code: 'E_BATCH',
+        });
+        expect(serialized).not.toHaveProperty('frames');
+    });
+
+    it('converts bigints, symbols, functions, maps and sets', () => {
+        // When
+        const serialized = serializeLogValue({
+            id: 12345678901234567890n,
+            tag: Symbol('tag'),
+            handler: function onReady() {},
+            byId: new Map([[1n, new Set(['a'])]]),
+        });
+
+        // Then
+        expect(serialized).toEqual({ id: '12345678901234567890', tag: 'Symbol(tag)', handler: '[Function onReady]', byId: [['1', ['a']]] });
+    });
+
+    it('replaces circular references but keeps repeated ones', () => {
+        // Given
+        const shared = { name: 'shared' };
+        const root: Record<string, unknown> = { first: shared, second: shared, list: [] };
+        (root.list as unknown[]).push(root);
+        const map = new Map<string, unknown>();
+        map.set('self', map);
+
+        // When
+        const serialized = serializeLogValue({ root, map });
+
+        // Then
+        expect(serialized).toEqual({
+            root: { first: { name: 'shared' }, second: { name: 'shared' }, list: ['[Circular]'] },
+            map: [['self', '[Circular]']],
+        });
+        expect(() => JSON.stringify(serialized)).not.toThrow();
+    });
+
+    it('uses toJSON when available', () => {
+        // When / Then
+        expect(serializeLogValue({ at: new Date(NEW_YEAR) })).toEqual({ at: '2025-01-01T00:00:00.000Z' });
+    });
+});
+
+describe('createJsonLogRecord', () => {
+    it('builds a record with the rendered message and serialized fields and arguments', () => {
+        // When
+        const record = createJsonLogRecord({ level: LogLevel.WARN, component: 'db', fields: { size: 3n }, timestamp: NEW_YEAR }, [
+            'slow: %dms',
+            120,
+        ]);
+
+        // Then
+        expect(record).toEqual({
+            time: '2025-01-01T00:00:00.000Z',
+            level: LogLevel.WARN,
+            levelName: 'WARN',
+            component: 'db',
+            fields: { size: '3' },
+            message: 'slow: 120ms',
+            args: ['slow: %dms', 120],
+        });
+    });
+
+    it('uses the level number as the name of custom levels', () => {
+        // When
+        const record = createJsonLogRecord({ level: 25 as LogLevel, timestamp: NEW_YEAR }, ['custom']);
+
+        // Then
+        expect(record.levelName).toBe('25');
+        expect(record).not.toHaveProperty('component');
+        expect(record).not.toHaveProperty('fields');
+    });
+});
+
+describe('JSON writers', () => {
+    let directory: string;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'json-log-'));
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('appends one JSON object per line to a file', async () => {
+        // Given
+        const filePath = join(directory, 'app.ndjson');
+        const writer = jsonFileLogWriter(filePath);
+
+        // When
+        await writer({ level: LogLevel.INFO, timestamp: NEW_YEAR }, 'first');
+        await writer({ level: LogLevel.ERROR, timestamp: NEW_YEAR }, 'second', new Error('boom'));
+
+        // Then
+        const lines = (await readFile(filePath, 'utf-8')).trimEnd().split('\n');
+        expect(lines.map((line) => JSON.parse(line) as { message: string })).toMatchObject([
+            { time: '2025-01-01T00:00:00.000Z', levelName: 'INFO', message: 'first' },
+            { levelName: 'ERROR', args: ['second', { name: 'Error', message: 'boom' }] },
+        ]);
+    });
+
+    it('writes records to stdout by default', () => {
+        // Given
+        const consoleLog = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            // When
+            void jsonConsoleLogWriter()({ level: LogLevel.INFO, timestamp: NEW_YEAR }, 'started');
+
+            // Then
+            expect(consoleLog).toHaveBeenCalledExactlyOnceWith(formatJsonLog({ level: LogLevel.INFO, timestamp: NEW_YEAR }, ['started']));
+        } finally {
+            consoleLog.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,27 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it } from 'vitest';
+
+import { LogLevel, parseLogLevel } from '#/log';
+
+describe('parseLogLevel', () => {
+    it('parses level names case-insensitively', () => {
+        // When / Then
+        expect(parseLogLevel(' DEBUG ')).toBe(LogLevel.DEBUG);
+        expect(parseLogLevel('warning')).toBe(LogLevel.WARN);
+    });
+
+    it('parses off, none and silent to undefined', () => {
+        // When / Then
+        expect(['off', 'none', 'silent'].map(parseLogLevel)).toEqual([undefined, undefined, undefined]);
+    });
+
+    it('rejects unknown names, including inherited object properties', () => {
+        // When / Then
+        for (const name of ['loud', 'constructor', 'toString', '__proto__']) {
+            expect(() => parseLogLevel(name)).toThrow(
+                `Unknown log level "${name}". Expected one of: trace, debug, info, warn, warning, error, off, none, silent.`,
+            );
+        }
+    });
+});
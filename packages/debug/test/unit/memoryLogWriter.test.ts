@@ -0,0 +1,112 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it, vi } from 'vitest';
+
+import { createLoggerRegistry, LogLevel, memoryLogWriter, type LogWriter, type LogWriterLifecycle } from '#/log';
+
+describe('memoryLogWriter', () => {
+    it('buffers records and dumps them before the record matching the dump filter', () => {
+        // Given
+        const target = vi.fn<LogWriter>();
+        const memory = memoryLogWriter(target);
+
+        // When
+        void memory({ level: LogLevel.DEBUG, timestamp: 1 }, 'context');
+        void memory({ level: LogLevel.ERROR, timestamp: 2 }, 'failed');
+
+        // Then
+        expect(target.mock.calls).toEqual([
+            [{ level: LogLevel.DEBUG, timestamp: 1 }, 'context'],
+            [{ level: LogLevel.ERROR, timestamp: 2 }, 'failed'],
+        ]);
+        expect(memory.getRecords()).toEqual([]);
+    });
+
+    it('keeps the most recent records within the limits', () => {
+        // Given
+        const memory = memoryLogWriter(vi.fn<LogWriter>(), { maxRecords: 2 });
+
+        // When
+        for (const message of ['one', 'two', 'three']) {
+            void memory({ level: LogLevel.DEBUG, timestamp: 0 }, message);
+        }
+
+        // Then
+        expect(memory.getRecords().map((record) => record.args)).toEqual([['two'], ['three']]);
+    });
+
+    it('waits for an asynchronous target when dumping', async () => {
+        // Given
+        const written: string[] = [];
+        const target = vi.fn<LogWriter>(async (_options, message) => {
+            await Promise.resolve();
+            written.push(message as string);
+        });
+        const memory = memoryLogWriter(target);
+        void memory({ level: LogLevel.DEBUG }, 'first');
+        void memory({ level: LogLevel.INFO }, 'second');
+
+        // When
+        await memory.dump();
+
+        // Then
+        expect(written).toEqual(['first', 'second']);
+    });
+
+    it('returns the asynchronous target writes to the logger so it waits for them', async () => {
+        // Given
+        let finishWrite = (): void => {};
+        const target = vi.fn<LogWriter>(() => new Promise<void>((resolve) => (finishWrite = resolve)));
+        const registry = createLoggerRegistry();
+        registry.startLogger({ logWriter: memoryLogWriter(target), fixedLevels: true });
+        const flushed = vi.fn();
+
+        // When
+        registry.log({ level: LogLevel.ERROR }, 'failed');
+        const flush = registry.flush().then(flushed);
+        await Promise.resolve();
+
+        // Then
+        expect(flushed).not.toHaveBeenCalled();
+        finishWrite();
+        await flush;
+        expect(flushed).toHaveBeenCalledOnce();
+    });
+
+    it('reports the first rejected target write instead of leaving it unhandled', async () => {
+        // Given
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const memory = memoryLogWriter(vi.fn<LogWriter>(() => Promise.reject(new Error('endpoint down'))));
+
+        try {
+            // When
+            void memory({ level: LogLevel.DEBUG }, 'context');
+            await memory({ level: LogLevel.ERROR }, 'first failure');
+            await memory({ level: LogLevel.ERROR }, 'second failure');
+
+            // Then
+            expect(consoleError).toHaveBeenCalledExactlyOnceWith(
+                '[LOG ERROR] Write by memory log target failed: endpoint down. Subsequent errors will be suppressed.',
+            );
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+
+    it('forwards flush and close to the target', async () => {
+        // Given
+        const target = Object.assign(vi.fn<LogWriter>(), {
+            flush: vi.fn<Required<LogWriterLifecycle>['flush']>(),
+            close: vi.fn<Required<LogWriterLifecycle>['close']>(),
+        });
+        const registry = createLoggerRegistry();
+        registry.startLogger({ logWriter: memoryLogWriter(target), fixedLevels: true });
+
+        // When
+        await registry.close();
+
+        // Then
+        expect(target.flush).toHaveBeenCalledOnce();
+        expect(target.close).toHaveBeenCalledOnce();
+    });
+});
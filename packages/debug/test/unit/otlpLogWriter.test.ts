@@ -0,0 +1,205 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createServer, type IncomingMessage, type Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createOtlpLogRecord, LogLevel, otlpLogWriter } from '#/log';
+
+interface ReceivedRequest {
+    headers: IncomingMessage['headers'];
+    body: {
+        resourceLogs: {
+            resource: { attributes: unknown[] };
+            scopeLogs: { scope: { name: string; attributes: unknown[] }; logRecords: { body: unknown; severityNumber: number }[] }[];
+        }[];
+    };
+}
+
+describe('otlpLogWriter', () => {
+    let server: Server;
+    let endpoint: string;
+    let requests: ReceivedRequest[];
+    let statuses: number[];
+
+    beforeEach(async () => {
+        requests = [];
+        statuses = [];
+        server = createServer((request, response) => {
+            let body = '';
+            request.setEncoding('utf-8');
+            request.on('data', (chunk: string) => {
+                body += chunk;
+            });
+            request.on('end', () => {
+                requests.push({ headers: request.headers, body: JSON.parse(body) as ReceivedRequest['body'] });
+                response.writeHead(statuses.shift() ?? 200, { 'content-type': 'application/json' });
+                response.end('{}');
+            });
+        });
+        await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1/logs`;
+    });
+
+    afterEach(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('posts batches grouped by component as instrumentation scope attributes', async () => {
+        // Given
+        const writer = otlpLogWriter({ endpoint, serviceName: 'api', headers: { authorization: 'Bearer t' }, flushInterval: 0 });
+
+        // When
+        writer({ level: LogLevel.WARN, component: 'db' }, 'slow query: %dms', 120);
+        writer({ level: LogLevel.INFO }, 'started');
+        await writer.close();
+
+        // Then
+        expect(requests).toHaveLength(1);
+        const [{ headers, body }] = requests as [ReceivedRequest];
+        expect(headers.authorization).toBe('Bearer t');
+        expect(headers['content-type']).toBe('application/json');
+        const [resourceLogs] = body.resourceLogs;
+        expect(resourceLogs?.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'api' } }]);
+        expect(resourceLogs?.scopeLogs.map(({ scope, logRecords }) => [scope, logRecords.map((record) => record.body)])).toEqual([
+            [
+                { name: '@private-test-org/debug', attributes: [{ key: 'component', value: { stringValue: 'db' } }] },
+                [{ stringValue: 'slow query: 120ms' }],
+            ],
+            [{ name: '@private-test-org/debug', attributes: [] }, [{ stringValue: 'started' }]],
+        ]);
+        expect(writer.getStats()).toEqual({
+            queued: 0,
+            exported: 2,
+            retries: 0,
+            dropped: { queueFull: 0, rejected: 0, failed: 0, closed: 0 },
+        });
+    });
+
+    it('retries retryable responses with backoff', async () => {
+        // Given
+        statuses.push(503, 429);
+        const writer = otlpLogWriter({ endpoint, flushInterval: 0, retryDelay: 1 });
+
+        // When
+        writer({ level: LogLevel.INFO }, 'eventually delivered');
+        await writer.close();
+
+        // Then
+        expect(requests).toHaveLength(3);
+        expect(writer.getStats()).toMatchObject({ exported: 1, retries: 2 });
+    });
+
+    it('drops batches rejected with a non-retryable status and reports the first failure', async () => {
+        // Given
+        statuses.push(400);
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const writer = otlpLogWriter({ endpoint, flushInterval: 0 });
+
+        try {
+            // When
+            writer({ level: LogLevel.INFO }, 'rejected');
+            await writer.close();
+
+            // Then
+            expect(requests).toHaveLength(1);
+            expect(writer.getStats().dropped.rejected).toBe(1);
+            expect(consoleError).toHaveBeenCalledExactlyOnceWith(
+                `[LOG ERROR] Failed to export logs to OTLP endpoint "${endpoint}": HTTP 400 Bad Request. Dropped 1 record(s). Subsequent errors will be suppressed.`,
+            );
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+
+    it('counts records that do not fit the queue or arrive after close', async () => {
+        // Given
+        const writer = otlpLogWriter({ endpoint, flushInterval: 0, maxQueueSize: 2 });
+
+        // When
+        writer({ level: LogLevel.INFO }, 'one');
+        writer({ level: LogLevel.INFO }, 'two');
+        writer({ level: LogLevel.INFO }, 'three');
+        await writer.close();
+        writer({ level: LogLevel.INFO }, 'late');
+
+        // Then
+        expect(writer.getStats()).toEqual({
+            queued: 0,
+            exported: 2,
+            retries: 0,
+            dropped: { queueFull: 1, rejected: 0, failed: 0, closed: 1 },
+        });
+    });
+
+    it('shares one beforeExit listener between open writers', async () => {
+        // Given
+        const baseline = process.listenerCount('beforeExit');
+
+        // When
+        const writers = Array.from({ length: 12 }, () => otlpLogWriter({ endpoint, flushInterval: 0 }));
+        const whileOpen = process.listenerCount('beforeExit');
+        await Promise.all(writers.map((writer) => writer.close()));
+
+        // Then
+        expect(whileOpen).toBe(baseline + 1);
+        expect(process.listenerCount('beforeExit')).toBe(baseline);
+    });
+
+    it('exports a full batch without waiting for the timer', async () => {
+        // Given
+        const writer = otlpLogWriter({ endpoint, flushInterval: 0, maxBatchSize: 2 });
+
+        // When
+        writer({ level: LogLevel.INFO }, 'one');
+        writer({ level: LogLevel.INFO }, 'two');
+
+        // Then
+        await vi.waitFor(() => expect(requests).toHaveLength(1));
+        await writer.close();
+    });
+});
+
+describe('createOtlpLogRecord', () => {
+    it('maps level, message, fields, trace context and errors', () => {
+        // Given
+        const error = new TypeError('bad input');
+
+        // When
+        const record = createOtlpLogRecord(
+            {
+                level: LogLevel.ERROR,
+                fields: { user: 'u1', attempt: 2, traceId: '0123456789ABCDEF0123456789ABCDEF', spanId: 'short' },
+                timestamp: 1_735_689_600_123.5,
+            },
+            ['failed:', error],
+        );
+
+        // Then
+        expect(record).toMatchObject({
+            timeUnixNano: '1735689600123500000',
+            severityNumber: 17,
+            severityText: 'ERROR',
+            traceId: '0123456789abcdef0123456789abcdef',
+        });
+        expect(record.spanId).toBeUndefined();
+        expect(record.body.stringValue).toMatch(/^failed: TypeError: bad input/u);
+        expect(record.attributes).toEqual([
+            { key: 'user', value: { stringValue: 'u1' } },
+            { key: 'attempt', value: { intValue: '2' } },
+            { key: 'spanId', value: { stringValue: 'short' } },
+            { key: 'exception.type', value: { stringValue: 'TypeError' } },
+            { key: 'exception.message', value: { stringValue: 'bad input' } },
+            { key: 'exception.stacktrace', value: { stringValue: error.stack } },
+        ]);
+    });
+
+    it('carries rounded sub-millisecond fractions into the milliseconds', () => {
+        // When
+        const record = createOtlpLogRecord({ level: LogLevel.INFO, timestamp: 1.9999999 }, ['tick']);
+
+        // Then
+        expect(record.timeUnixNano).toBe('2000000');
+    });
+});
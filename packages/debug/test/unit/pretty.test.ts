@@ -0,0 +1,39 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it } from 'vitest';
+
+import { LogLevel, prettyLogFormatter, shouldUseColors } from '#/log';
+
+describe('prettyLogFormatter', () => {
+    it('renders level, component, message and fields without colours', () => {
+        // Given
+        const formatter = prettyLogFormatter({ colors: false, timestamp: 'none' });
+
+        // When
+        const line = formatter({ level: LogLevel.WARN, component: 'api', fields: { user: 'u1' } }, ['slow request: %dms', 1200]);
+
+        // Then
+        expect(line).toBe('WARN  [api] slow request: 1200ms user=u1');
+    });
+
+    it('indents continuation lines beneath the message', () => {
+        // Given
+        const formatter = prettyLogFormatter({ colors: false, timestamp: 'none' });
+
+        // When
+        const line = formatter({ level: LogLevel.ERROR }, ['first\nsecond']);
+
+        // Then
+        expect(line).toBe('ERROR first\n      second');
+    });
+});
+
+describe('shouldUseColors', () => {
+    it('prefers FORCE_COLOR, then NO_COLOR, then the TTY state', () => {
+        // When / Then
+        expect(shouldUseColors({ isTTY: false }, { FORCE_COLOR: '1' })).toBe(true);
+        expect(shouldUseColors({ isTTY: true }, { FORCE_COLOR: '0' })).toBe(false);
+        expect(shouldUseColors({ isTTY: true }, { NO_COLOR: '1' })).toBe(false);
+        expect(shouldUseColors({ isTTY: true }, {})).toBe(true);
+    });
+});
@@ -0,0 +1,122 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Transform } from 'node:stream';
+import { gunzipSync } from 'node:zlib';
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { LogLevel, rotatingFileLogWriter, textLogFormatter } from '#/log';
+
+const gzip = vi.hoisted(() => ({ fail: false }));
+
+vi.mock('node:zlib', async (importOriginal) => {
+    const actual = await importOriginal<typeof import('node:zlib')>();
+    return {
+        ...actual,
+        createGzip: (): Transform =>
+            gzip.fail
+                ? new Transform({ transform: (_chunk, _encoding, callback) => callback(new Error('gzip failed')) })
+                : actual.createGzip(),
+    };
+});
+
+const formatter = textLogFormatter({ timestamp: 'none' });
+const info = { level: LogLevel.INFO };
+
+describe('rotatingFileLogWriter', () => {
+    let dir: string;
+    let filePath: string;
+
+    beforeEach(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'rotating-'));
+        filePath = path.join(dir, 'app.log');
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date(2025, 0, 1, 10));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        gzip.fail = false;
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('rotates before a write would exceed maxSize', () => {
+        // Given
+        const write = rotatingFileLogWriter(filePath, { formatter, maxSize: 20 });
+
+        // When
+        write(info, 'first');
+        write(info, 'second');
+        write(info, 'third');
+
+        // Then
+        expect(readdirSync(dir).sort()).toEqual(['app.2025-01-01.1.log', 'app.2025-01-01.2.log', 'app.log']);
+        expect(readFileSync(path.join(dir, 'app.2025-01-01.1.log'), 'utf-8')).toBe('[INFO] first\n');
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] third\n');
+    });
+
+    it('rotates when the day changes and names the file after the previous day', () => {
+        // Given
+        const write = rotatingFileLogWriter(filePath, { formatter, period: 'daily' });
+        write(info, 'day one');
+
+        // When
+        vi.setSystemTime(new Date(2025, 0, 2, 0, 5));
+        write(info, 'day two');
+
+        // Then
+        expect(readFileSync(path.join(dir, 'app.2025-01-01.1.log'), 'utf-8')).toBe('[INFO] day one\n');
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] day two\n');
+    });
+
+    it('keeps only the newest maxFiles rotated files', () => {
+        // Given
+        const write = rotatingFileLogWriter(filePath, { formatter, maxSize: 1, maxFiles: 2 });
+
+        // When
+        for (const message of ['a', 'b', 'c', 'd', 'e']) {
+            write(info, message);
+        }
+
+        // Then
+        expect(readdirSync(dir).sort()).toEqual(['app.2025-01-01.3.log', 'app.2025-01-01.4.log', 'app.log']);
+    });
+
+    it('compresses rotated files in the background', async () => {
+        // Given
+        const write = rotatingFileLogWriter(filePath, { formatter, maxSize: 1, compress: true });
+        const gzPath = path.join(dir, 'app.2025-01-01.1.log.gz');
+
+        // When
+        write(info, 'archived');
+        write(info, 'active');
+
+        // Then
+        await vi.waitFor(() => expect(existsSync(path.join(dir, 'app.2025-01-01.1.log'))).toBe(false));
+        expect(gunzipSync(readFileSync(gzPath)).toString()).toBe('[INFO] archived\n');
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] active\n');
+    });
+
+    it('keeps writing to the file when compression fails', async () => {
+        // Given
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        gzip.fail = true;
+        const write = rotatingFileLogWriter(filePath, { formatter, maxSize: 24, compress: true });
+
+        // When
+        write(info, 'first');
+        write(info, 'second');
+        await vi.waitFor(() => expect(consoleError).toHaveBeenCalledTimes(1));
+        write(info, 'x');
+
+        // Then
+        expect(consoleError.mock.calls[0]?.[0]).toMatch(/^\[LOG ERROR\] Failed to compress rotated log file/u);
+        expect(readdirSync(dir).sort()).toEqual(['app.2025-01-01.1.log', 'app.log']);
+        expect(readFileSync(path.join(dir, 'app.2025-01-01.1.log'), 'utf-8')).toBe('[INFO] first\n');
+        expect(readFileSync(filePath, 'utf-8')).toBe('[INFO] second\n[INFO] x\n');
+    });
+});
@@ -0,0 +1,129 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { createSocket } from 'node:dgram';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer, type AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { describe, expect, it, vi } from 'vitest';
+
+import { LogLevel, syslogLogFormatter, syslogLogWriter } from '#/log';
+
+const header = { hostname: 'host', appName: 'api', procId: 42 };
+const NEW_YEAR = Date.UTC(2025, 0, 1);
+
+describe('syslogLogFormatter', () => {
+    it('renders an RFC 5424 message with the component as MSGID and fields as structured data', () => {
+        // Given
+        const formatter = syslogLogFormatter({ ...header, facility: 'local0' });
+
+        // When
+        const message = formatter({ level: LogLevel.WARN, component: 'db', fields: { query: 'a"b]' }, timestamp: NEW_YEAR }, [
+            'slow: %dms',
+            120,
+        ]);
+
+        // Then
+        expect(message).toBe('<132>1 2025-01-01T00:00:00.000Z host api 42 db [fields@32473 query="a\\"b\\]"] slow: 120ms');
+    });
+
+    it('uses nil values for a missing component and fields', () => {
+        // Given
+        const formatter = syslogLogFormatter(header);
+
+        // When
+        const message = formatter({ level: LogLevel.ERROR, timestamp: NEW_YEAR }, ['failed']);
+
+        // Then
+        expect(message).toBe('<11>1 2025-01-01T00:00:00.000Z host api 42 - - failed');
+    });
+
+    it('rejects unknown facilities', () => {
+        // When / Then
+        expect(() => syslogLogFormatter({ facility: 24 })).toThrow('Invalid syslog facility "24"');
+    });
+});
+
+describe('syslogLogWriter', () => {
+    it('sends one unframed datagram per record over udp', async () => {
+        // Given
+        const server = createSocket('udp4');
+        const received: string[] = [];
+        server.on('message', (message) => received.push(message.toString()));
+        await new Promise<void>((resolve) => server.bind(0, '127.0.0.1', resolve));
+        const writer = syslogLogWriter({ ...header, port: server.address().port });
+
+        try {
+            // When
+            writer({ level: LogLevel.INFO, timestamp: NEW_YEAR }, 'started');
+
+            // Then
+            await vi.waitFor(() => expect(received).toEqual(['<14>1 2025-01-01T00:00:00.000Z host api 42 - - started']));
+        } finally {
+            await writer.close();
+            await new Promise<void>((resolve) => server.close(resolve));
+        }
+    });
+
+    it('writes octet-counted frames to a unix stream socket', async () => {
+        // Given
+        const directory = await mkdtemp(join(tmpdir(), 'syslog-'));
+        const path = join(directory, 'syslog.sock');
+        let received = '';
+        const server = createServer((socket) => {
+            socket.setEncoding('utf-8');
+            socket.on('data', (chunk: string) => {
+                received += chunk;
+            });
+        });
+        await new Promise<void>((resolve) => server.listen(path, resolve));
+        const writer = syslogLogWriter({ ...header, transport: 'unix', path });
+
+        try {
+            // When
+            writer({ level: LogLevel.INFO, timestamp: NEW_YEAR }, 'héllo');
+            writer({ level: LogLevel.DEBUG, timestamp: NEW_YEAR }, 'bye');
+            await writer.close();
+
+            // Then
+            await vi.waitFor(() =>
+                expect(received).toBe(
+                    '53 <14>1 2025-01-01T00:00:00.000Z host api 42 - - héllo' + '50 <15>1 2025-01-01T00:00:00.000Z host api 42 - - bye',
+                ),
+            );
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('writes octet-counted frames over tcp', async () => {
+        // Given
+        let received = '';
+        const server = createServer((socket) => {
+            socket.setEncoding('utf-8');
+            socket.on('data', (chunk: string) => {
+                received += chunk;
+            });
+        });
+        await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+        const writer = syslogLogWriter({ ...header, transport: 'tcp', port: (server.address() as AddressInfo).port });
+
+        try {
+            // When
+            writer({ level: LogLevel.INFO, timestamp: NEW_YEAR }, 'started');
+            await writer.close();
+
+            // Then
+            await vi.waitFor(() => expect(received).toBe('54 <14>1 2025-01-01T00:00:00.000Z host api 42 - - started'));
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    it('requires a path for the unix transport', () => {
+        // When / Then
+        expect(() => syslogLogWriter({ transport: 'unix' })).toThrow('The unix syslog transport requires a socket path.');
+    });
+});
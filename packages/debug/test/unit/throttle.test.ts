@@ -0,0 +1,211 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createLoggerRegistry, dedupLogFilter, LogLevel, rateLimitLogFilter, sampleLogFilter, type LogWriter } from '#/log';
+
+const info = { level: LogLevel.INFO };
+
+describe('sampleLogFilter', () => {
+    it('passes records while the random number is below the rate', () => {
+        // Given
+        const random = vi.fn<() => number>().mockReturnValueOnce(0.1).mockReturnValueOnce(0.5);
+        const filter = sampleLogFilter(0.25, { random });
+
+        // When / Then
+        expect(filter(info, ['kept'])).toBe(true);
+        expect(filter(info, ['dropped'])).toBe(false);
+    });
+
+    it('always passes when only asked whether it is enabled', () => {
+        // Given
+        const random = vi.fn(() => 0.9);
+        const filter = sampleLogFilter(0, { random });
+
+        // When / Then
+        expect(filter(info)).toBe(true);
+        expect(random).not.toHaveBeenCalled();
+    });
+
+    it('rejects rates outside [0, 1]', () => {
+        // When / Then
+        expect(() => sampleLogFilter(1.5)).toThrow('Invalid sample rate 1.5: expected a number between 0 and 1.');
+        expect(() => sampleLogFilter(Number.NaN)).toThrow('Invalid sample rate NaN');
+    });
+});
+
+describe('rateLimitLogFilter', () => {
+    let time: number;
+    const now = (): number => time;
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    it('passes bursts up to the bucket size and refills at the rate', () => {
+        // Given
+        const filter = rateLimitLogFilter({ rate: 2, burst: 3, now });
+
+        // When
+        const burst = [1, 2, 3, 4].map((index) => filter(info, [`message ${index}`]));
+        time += 500;
+        const refilled = [filter(info, ['after refill']), filter(info, ['still empty'])];
+
+        // Then
+        expect(burst).toEqual([true, true, true, false]);
+        expect(refilled).toEqual([true, false]);
+    });
+
+    it('keeps one bucket per component by default', () => {
+        // Given
+        const filter = rateLimitLogFilter({ rate: 1, now });
+
+        // When / Then
+        expect(filter({ ...info, component: 'api' }, ['a'])).toBe(true);
+        expect(filter({ ...info, component: 'api' }, ['b'])).toBe(false);
+        expect(filter({ ...info, component: 'db' }, ['c'])).toBe(true);
+    });
+
+    it('keeps one bucket per message template with the template key', () => {
+        // Given
+        const filter = rateLimitLogFilter({ rate: 1, key: 'template', now });
+
+        // When / Then
+        expect(filter(info, ['user %s logged in', 'a'])).toBe(true);
+        expect(filter(info, ['user %s logged in', 'b'])).toBe(false);
+        expect(filter(info, ['user %s logged out', 'a'])).toBe(true);
+    });
+
+    it('does not consume tokens when only asked whether it is enabled', () => {
+        // Given
+        const filter = rateLimitLogFilter({ rate: 1, now });
+
+        // When
+        filter(info);
+        filter(info);
+
+        // Then
+        expect(filter(info, ['first write'])).toBe(true);
+    });
+
+    it('rejects non-positive rates', () => {
+        // When / Then
+        expect(() => rateLimitLogFilter({ rate: 0 })).toThrow('Invalid rate limit 0: expected a positive number of records per second.');
+    });
+});
+
+describe('dedupLogFilter', () => {
+    let time: number;
+    const now = (): number => time;
+
+    beforeEach(() => {
+        time = 0;
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('suppresses identical messages within the window and reports a summary when it closes', () => {
+        // Given
+        const report = vi.fn<LogWriter>();
+        const filter = dedupLogFilter({ window: 1000, report, now });
+        const options = { level: LogLevel.WARN, component: 'db', fields: { pool: 'main' } };
+
+        // When
+        const results = [
+            filter(options, ['retrying %s', 'query']),
+            filter(options, ['retrying query']),
+            filter(options, ['retrying query']),
+        ];
+        time += 1000;
+        vi.advanceTimersByTime(1000);
+
+        // Then
+        expect(results).toEqual([true, false, false]);
+        expect(report).toHaveBeenCalledExactlyOnceWith(
+            { level: LogLevel.WARN, component: 'db', fields: { pool: 'main', suppressed: 2 } },
+            'suppressed %d similar message(s): %s',
+            2,
+            'retrying query',
+        );
+    });
+
+    it('treats different levels and components as different messages', () => {
+        // Given
+        const filter = dedupLogFilter({ report: vi.fn<LogWriter>(), now });
+
+        // When / Then
+        expect(filter({ level: LogLevel.WARN }, ['same'])).toBe(true);
+        expect(filter({ level: LogLevel.ERROR }, ['same'])).toBe(true);
+        expect(filter({ level: LogLevel.WARN, component: 'api' }, ['same'])).toBe(true);
+    });
+
+    it('reports pending summaries on flush and skips windows without suppressed records', () => {
+        // Given
+        const report = vi.fn<LogWriter>();
+        const filter = dedupLogFilter({ report, now });
+        filter(info, ['repeated']);
+        filter(info, ['repeated']);
+        filter(info, ['unique']);
+
+        // When
+        filter.flush();
+
+        // Then
+        expect(report).toHaveBeenCalledExactlyOnceWith(
+            { ...info, fields: { suppressed: 1 } },
+            'suppressed %d similar message(s): %s',
+            1,
+            'repeated',
+        );
+    });
+
+    it('logs summaries through the registry without deduplicating them', () => {
+        // Given
+        const registry = createLoggerRegistry();
+        const writer = vi.fn<LogWriter>();
+        const filter = dedupLogFilter({ registry, now });
+        registry.startLogger({ logWriter: writer, filters: [filter] });
+
+        // When
+        registry.log(info, 'repeated');
+        registry.log(info, 'repeated');
+        filter.flush();
+
+        // Then
+        expect(writer.mock.calls).toEqual([
+            [info, 'repeated'],
+            [{ ...info, fields: { suppressed: 1 } }, 'suppressed %d similar message(s): %s', 1, 'repeated'],
+        ]);
+    });
+
+    it('reports the first rejected summary write', async () => {
+        // Given
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const filter = dedupLogFilter({ report: () => Promise.reject(new Error('sink closed')), now });
+        filter(info, ['repeated']);
+        filter(info, ['repeated']);
+
+        try {
+            // When
+            filter.flush();
+            await vi.waitFor(() => expect(consoleError).toHaveBeenCalled());
+
+            // Then
+            expect(consoleError).toHaveBeenCalledExactlyOnceWith(
+                '[LOG ERROR] Deduplication summary report failed: sink closed. Subsequent errors will be suppressed.',
+            );
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+
+    it('rejects non-positive windows', () => {
+        // When / Then
+        expect(() => dedupLogFilter({ window: -1 })).toThrow(
+            'Invalid deduplication window -1: expected a positive number of milliseconds.',
+        );
+    });
+});
@@ -0,0 +1,296 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import type { StagedChanges } from './generateCommitMessage';
+import { heuristicCommitMessageProvider } from './heuristicCommitMessage';
+import { log, LogLevel } from './log';
+
+export type CommitMessageProviderName = 'codex' | 'openai-compatible' | 'heuristic';
+
+export interface CommitMessageRequest {
+    /** Full prompt: rules, staged files and the (possibly truncated) staged diff. */
+    prompt: string;
+    /** JSON Schema the response must match (`CommitMessageJsonSchema`). */
+    schema: Record<string, unknown>;
+    /** Staged files and the complete staged diff, for providers that work without a model. */
+    changes: StagedChanges;
+}
+
+export interface CommitMessageProvider {
+    /** Display name used in log and error messages. */
+    name: string;
+    /** Returns the commit message model as a parsed JSON value; it is validated by the caller. */
+    generate(request: CommitMessageRequest): Promise<unknown>;
+}
+
+/** User-supplied backend; a string result is parsed as JSON. */
+export type CommitMessageProviderFunction = (request: CommitMessageRequest) => unknown;
+
+export interface CodexCommitMessageProviderOptions {
+    model?: string;
+    modelReasoningEffort?: string;
+    /** Turn timeout in milliseconds. Defaults to 300000. */
+    timeout?: number;
+}
+
+export type OpenAICompatibleResponseFormat = 'json_schema' | 'json_object' | 'none';
+
+export interface OpenAICompatibleCommitMessageProviderOptions {
+    /** Base URL of the API, e.g. `http://localhost:11434/v1` for Ollama. Defaults to `https://api.openai.com/v1`. */
+    baseUrl?: string;
+    apiKey?: string;
+    model: string;
+    headers?: Record<string, string>;
+    /**
+     * How structured output is requested: `json_schema` (default) sends the schema as `response_format`,
+     * `json_object` only asks for JSON and `none` relies on the prompt; the latter two embed the schema in the prompt.
+     */
+    responseFormat?: OpenAICompatibleResponseFormat;
+    /** Request timeout in milliseconds. Defaults to 120000. */
+    timeout?: number;
+    fetch?: typeof fetch;
+}
+
+export interface CommitMessageProviderSettings {
+    /**
+     * Backend name, provider object or function. Defaults to `TSDK_COMMIT_PROVIDER`, then `codex`.
+     */
+    provider?: CommitMessageProviderName | CommitMessageProvider | CommitMessageProviderFunction;
+    /** Model name. Defaults to `TSDK_COMMIT_MODEL`, then `gpt-5-codex-mini` for Codex. */
+    model?: string;
+    /** Codex reasoning effort. Defaults to `TSDK_COMMIT_REASONING_EFFORT`, then `high`. */
+    modelReasoningEffort?: string;
+    /** OpenAI-compatible base URL. Defaults to `TSDK_COMMIT_BASE_URL`, then `https://api.openai.com/v1`. */
+    baseUrl?: string;
+    /** OpenAI-compatible API key. Defaults to `TSDK_COMMIT_API_KEY`, then `OPENAI_API_KEY`. */
+    apiKey?: string;
+    /** Extra OpenAI-compatible request headers. Defaults to `TSDK_COMMIT_HEADERS`, a JSON object of strings. */
+    headers?: Record<string, string>;
+    /** OpenAI-compatible structured output mode. Defaults to `TSDK_COMMIT_RESPONSE_FORMAT`, then `json_schema`. */
+    responseFormat?: OpenAICompatibleResponseFormat;
+    /**
+     * Codex turn or OpenAI-compatible request timeout in milliseconds. Defaults to `TSDK_COMMIT_TIMEOUT`,
+     * then 300000 for Codex and 120000 for OpenAI-compatible APIs.
+     */
+    timeout?: number;
+}
+
+const PROVIDER_NAMES: readonly CommitMessageProviderName[] = ['codex', 'openai-compatible', 'heuristic'];
+const RESPONSE_FORMATS: readonly OpenAICompatibleResponseFormat[] = ['json_schema', 'json_object', 'none'];
+const DEFAULT_CODEX_MODEL = 'gpt-5-codex-mini';
+const DEFAULT_REASONING_EFFORT = 'high';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TIMEOUT = 120_000;
+const DEFAULT_CODEX_TIMEOUT = 300_000;
+
+const SYSTEM_PROMPT = 'You write conventional commit messages. Reply with a single JSON object and nothing else.';
+
+/**
+ * Generate with the Codex SDK, using `outputSchema` for structured output.
+ */
+export function codexCommitMessageProvider(options: CodexCommitMessageProviderOptions = {}): CommitMessageProvider {
+    const { model = DEFAULT_CODEX_MODEL, modelReasoningEffort = DEFAULT_REASONING_EFFORT, timeout = DEFAULT_CODEX_TIMEOUT } = options;
+    return {
+        name: 'Codex',
+        generate: async ({ prompt, schema }) => {
+            log(LogLevel?.DEBUG, 'starting Codex thread:', { model, modelReasoningEffort, timeout });
+            const { Codex } = await import('@openai/codex-sdk');
+            const codex = new Codex();
+            const thread = codex.startThread({ model, modelReasoningEffort: modelReasoningEffort as 'high' | 'low' | 'medium' });
+
+            log(LogLevel?.DEBUG, 'sending prompt chars:', prompt.length);
+            const signal = AbortSignal.timeout(timeout);
+            const turn = await thread.run(prompt, { outputSchema: schema, signal }).catch((error: unknown) => {
+                throw signal.aborted ? new Error(`No response within ${timeout} ms.`) : error;
+            });
+            if (!turn || typeof turn !== 'object' || typeof turn.finalResponse !== 'string') {
+                throw new Error('Unexpected Codex output type.');
+            }
+            log(LogLevel?.DEBUG, 'received output chars:', turn.finalResponse.length);
+            // With outputSchema, finalResponse is guaranteed to be valid JSON.
+            return JSON.parse(turn.finalResponse.trim());
+        },
+    };
+}
+
+/**
+ * Generate with any OpenAI-compatible `/chat/completions` endpoint (OpenAI, Ollama, llama.cpp, vLLM, ...).
+ */
+export function openAICompatibleCommitMessageProvider(options: OpenAICompatibleCommitMessageProviderOptions): CommitMessageProvider {
+    const {
+        baseUrl = DEFAULT_OPENAI_BASE_URL,
+        apiKey,
+        model,
+        headers = {},
+        responseFormat = 'json_schema',
+        timeout = DEFAULT_TIMEOUT,
+        fetch: fetchImpl = fetch,
+    } = options;
+    const url = `${baseUrl.replace(/\/+$/u, '')}/chat/completions`;
+    return {
+        name: 'OpenAI-compatible API',
+        generate: async ({ prompt, schema }) => {
+            const content = responseFormat === 'json_schema' ? prompt : [prompt, 'JSON Schema:', JSON.stringify(schema), ''].join('\n');
+            const body = {
+                model,
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    { role: 'user', content },
+                ],
+                ...(responseFormat === 'json_schema'
+                    ? { response_format: { type: 'json_schema', json_schema: { name: 'commit_message', schema, strict: true } } }
+                    : {}),
+                ...(responseFormat === 'json_object' ? { response_format: { type: 'json_object' } } : {}),
+            };
+
+            log(LogLevel?.DEBUG, 'POST', url, { model, responseFormat, promptChars: content.length });
+            const response = await fetchImpl(url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    ...(apiKey !== undefined ? { authorization: `Bearer ${apiKey}` } : {}),
+                    ...headers,
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeout),
+            });
+            const text = await response.text();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}: ${text.slice(0, 200)}`);
+            }
+            const payload = JSON.parse(text) as { choices?: { message?: { content?: unknown } }[] };
+            const message = payload.choices?.[0]?.message?.content;
+            if (typeof message !== 'string') {
+                throw new Error('Unexpected response: no message content.');
+            }
+            log(LogLevel?.DEBUG, 'received output chars:', message.length);
+            return parseJsonText(message);
+        },
+    };
+}
+
+/**
+ * Generate with a user-supplied function that returns the commit message model or its JSON text.
+ */
+export function functionCommitMessageProvider(generate: CommitMessageProviderFunction, name = 'Custom provider'): CommitMessageProvider {
+    return {
+        name,
+        generate: async (request) => {
+            const result = await generate(request);
+            return typeof result === 'string' ? parseJsonText(result) : result;
+        },
+    };
+}
+
+/**
+ * Pick the provider from explicit settings, then `TSDK_COMMIT_*` environment variables, then defaults.
+ *
+ * @throws {Error} For an unknown provider name, an OpenAI-compatible provider without a model, or an invalid
+ * `TSDK_COMMIT_TIMEOUT`, `TSDK_COMMIT_HEADERS` or `TSDK_COMMIT_RESPONSE_FORMAT` value.
+ */
+export function resolveCommitMessageProvider(
+    settings: CommitMessageProviderSettings = {},
+    env: Record<string, string | undefined> = process.env,
+): CommitMessageProvider {
+    const { provider } = settings;
+    if (typeof provider === 'function') {
+        return functionCommitMessageProvider(provider);
+    }
+    if (typeof provider === 'object') {
+        return provider;
+    }
+
+    const name = provider ?? readEnv(env, 'TSDK_COMMIT_PROVIDER') ?? 'codex';
+    const model = settings.model ?? readEnv(env, 'TSDK_COMMIT_MODEL');
+    const timeout = settings.timeout ?? readTimeoutFromEnv(env);
+    switch (name) {
+        case 'codex':
+            return codexCommitMessageProvider({
+                model,
+                modelReasoningEffort: settings.modelReasoningEffort ?? readEnv(env, 'TSDK_COMMIT_REASONING_EFFORT'),
+                timeout,
+            });
+        case 'openai-compatible':
+            if (model === undefined) {
+                throw new Error('Missing model for the openai-compatible commit message provider: set options.model or TSDK_COMMIT_MODEL.');
+            }
+            return openAICompatibleCommitMessageProvider({
+                model,
+                baseUrl: settings.baseUrl ?? readEnv(env, 'TSDK_COMMIT_BASE_URL'),
+                apiKey: settings.apiKey ?? readEnv(env, 'TSDK_COMMIT_API_KEY') ?? readEnv(env, 'OPENAI_API_KEY'),
+                headers: settings.headers ?? readHeadersFromEnv(env),
+                responseFormat: settings.responseFormat ?? readResponseFormatFromEnv(env),
+                timeout,
+            });
+        case 'heuristic':
+            return heuristicCommitMessageProvider();
+        default:
+            throw new Error(
+                `Unknown commit message provider "${name}": expected one of ${PROVIDER_NAMES.map((n) => `"${n}"`).join(', ')}.`,
+            );
+    }
+}
+
+function readEnv(env: Record<string, string | undefined>, key: string): string | undefined {
+    const value = env[key]?.trim();
+    return value === undefined || value === '' ? undefined : value;
+}
+
+function readTimeoutFromEnv(env: Record<string, string | undefined>): number | undefined {
+    const value = readEnv(env, 'TSDK_COMMIT_TIMEOUT');
+    if (value === undefined) {
+        return undefined;
+    }
+    const timeout = Number(value);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new Error(`Invalid TSDK_COMMIT_TIMEOUT "${value}": expected a positive number of milliseconds.`);
+    }
+    return timeout;
+}
+
+function readHeadersFromEnv(env: Record<string, string | undefined>): Record<string, string> | undefined {
+    const value = readEnv(env, 'TSDK_COMMIT_HEADERS');
+    if (value === undefined) {
+        return undefined;
+    }
+    let headers: unknown;
+    try {
+        headers = JSON.parse(value);
+    } catch {
+        headers = undefined;
+    }
+    if (
+        typeof headers !== 'object' ||
+        headers === null ||
+        Array.isArray(headers) ||
+        !Object.values(headers).every((header) => typeof header === 'string')
+    ) {
+        throw new Error('Invalid TSDK_COMMIT_HEADERS: expected a JSON object of header names to string values.');
+    }
+    return headers as Record<string, string>;
+}
+
+function readResponseFormatFromEnv(env: Record<string, string | undefined>): OpenAICompatibleResponseFormat | undefined {
+    const value = readEnv(env, 'TSDK_COMMIT_RESPONSE_FORMAT');
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!(RESPONSE_FORMATS as readonly string[]).includes(value)) {
+        throw new Error(
+            `Invalid TSDK_COMMIT_RESPONSE_FORMAT "${value}": expected one of ${RESPONSE_FORMATS.map((f) => `"${f}"`).join(', ')}.`,
+        );
+    }
+    return value as OpenAICompatibleResponseFormat;
+}
+
+function parseJsonText(text: string): unknown {
+    // Models without structured output often wrap JSON in markdown fences.
+    const unfenced = text
+        .trim()
+        .replace(/^```(?:json)?\s*/iu, '')
+        .replace(/\s*```$/u, '');
+    try {
+        return JSON.parse(unfenced);
+    } catch {
+        throw new Error(`Response is not valid JSON: ${unfenced.slice(0, 200)}`);
+    }
+}
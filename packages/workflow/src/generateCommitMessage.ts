@@ -6,9 +6,15 @@ import path from 'node:path';
 import { pathToFileURL } from 'node:url';
 import { promisify } from 'node:util';
 
-import { Codex } from '@openai/codex-sdk';
 import { toJSONSchema, z } from 'zod';
 
+import {
+    resolveCommitMessageProvider,
+    type CommitMessageProvider,
+    type CommitMessageProviderSettings,
+    type CommitMessageRequest,
+} from './commitMessageProviders';
+import { createHeuristicCommitMessage } from './heuristicCommitMessage';
 import { log, LogLevel } from './log';
 
 const execFileAsync = promisify(execFile);
@@ -52,11 +58,14 @@ export const CommitMessageJsonSchema = {
 
 export type CommitMessage = z.infer<typeof CommitMessageModelSchema>;
 
-export interface GenerateCommitMessageOptions {
+export interface GenerateCommitMessageOptions extends CommitMessageProviderSettings {
     messageFilePath: string;
     repoRoot: string;
-    model?: string;
-    modelReasoningEffort?: string;
+    /**
+     * What happens when the provider fails or returns an invalid message: `heuristic` writes an offline
+     * heuristic message instead, `none` throws. Defaults to `TSDK_COMMIT_FALLBACK`, then `heuristic`.
+     */
+    fallback?: 'heuristic' | 'none';
 }
 
 export interface StagedChanges {
@@ -141,13 +150,12 @@ async function git(repoRoot: string, args: string[]): Promise<string> {
 }
 
 export async function getStagedChanges(repoRoot: string): Promise<StagedChanges> {
-    const filesText = await git(repoRoot, ['diff', '--cached', '--name-only']);
-    const files = filesText
-        .split('\n')
-        .map((s) => s.trim())
-        .filter((s) => s !== '');
+    // NUL-separated names are never quoted, unlike newline-separated ones.
+    const filesText = await git(repoRoot, ['diff', '--cached', '--name-only', '-z']);
+    const files = filesText.split('\0').filter((s) => s !== '');
 
-    const diff = await git(repoRoot, ['--no-pager', 'diff', '--cached']);
+    // Fixed prefixes, whatever diff.noprefix or diff.mnemonicPrefix say, for the heuristic parser.
+    const diff = await git(repoRoot, ['--no-pager', 'diff', '--cached', '--no-color', '--src-prefix=a/', '--dst-prefix=b/']);
     log(LogLevel?.DEBUG, 'staged files:', files);
     log(LogLevel?.DEBUG, 'staged diff chars:', diff.length);
     return { files, diff };
@@ -161,32 +169,13 @@ function capDiff(diff: string): { diff: string; truncated: boolean } {
     return { diff: `${diff.slice(0, maxChars)}\n\n[diff truncated]\n`, truncated: true };
 }
 
-async function callCodexJson(model: string, modelReasoningEffort: string, prompt: string): Promise<unknown> {
-    log(LogLevel?.DEBUG, 'starting Codex thread:', { model, modelReasoningEffort });
-    const codex = new Codex();
-    const thread = codex.startThread({ model, modelReasoningEffort: modelReasoningEffort as 'high' | 'low' | 'medium' });
-
-    const instructions = [
-        'Return ONLY a single JSON object matching this JSON Schema.',
-        'Do not wrap in markdown fences and do not include commentary.',
-        '',
-        prompt,
-    ].join('\n');
-
-    log(LogLevel?.DEBUG, 'sending prompt chars:', instructions.length);
-    const turn = await thread.run(instructions, { outputSchema: CommitMessageJsonSchema });
-    if (!turn || typeof turn !== 'object' || typeof turn.finalResponse !== 'string') {
-        throw new Error('Unexpected Codex output type.');
-    }
-    log(LogLevel?.DEBUG, 'received output chars:', turn.finalResponse.length);
-    // With outputSchema, finalResponse is guaranteed to be valid JSON.
-    return JSON.parse(turn.finalResponse.trim());
-}
-
 function buildPrompt(files: string[], diff: string, headerMaxLength: number): string {
     const typeList = COMMIT_TYPES.map((t) => `\`${t}\``).join(', ');
 
     return [
+        'Return ONLY a single JSON object matching the provided JSON Schema.',
+        'Do not wrap in markdown fences and do not include commentary.',
+        '',
         'Generate a conventional commit message for the following staged git diff.',
         '',
         'Rules:',
@@ -208,8 +197,43 @@ function buildPrompt(files: string[], diff: string, headerMaxLength: number): st
     ].join('\n');
 }
 
+async function generateCommitModel(provider: CommitMessageProvider, request: CommitMessageRequest): Promise<CommitMessage> {
+    let json: unknown;
+    try {
+        json = await provider.generate(request);
+    } catch (error) {
+        const errorMessage = formatError(error);
+        log(LogLevel?.DEBUG, `${provider.name} error:`, error);
+        throw new Error(`${provider.name} unavailable: ${errorMessage}`);
+    }
+
+    // Transform null to undefined for optional fields (the schema makes them nullable for strict structured output).
+    if (json && typeof json === 'object' && json !== null && !Array.isArray(json)) {
+        const obj = json as Record<string, unknown>;
+        if (obj.scope === null) {
+            delete obj.scope;
+        }
+        if (obj.footer === null) {
+            delete obj.footer;
+        }
+    }
+
+    return CommitMessageModelSchema.parse(json);
+}
+
+const FALLBACKS: readonly NonNullable<GenerateCommitMessageOptions['fallback']>[] = ['heuristic', 'none'];
+
+function resolveFallback(fallback: string | undefined): 'heuristic' | 'none' {
+    const name = fallback ?? (process.env.TSDK_COMMIT_FALLBACK?.trim() || 'heuristic');
+    if (!(FALLBACKS as readonly string[]).includes(name)) {
+        throw new Error(`Unknown commit message fallback "${name}": expected one of ${FALLBACKS.map((n) => `"${n}"`).join(', ')}.`);
+    }
+    return name as 'heuristic' | 'none';
+}
+
 export async function generateCommitMessage(options: GenerateCommitMessageOptions): Promise<void> {
-    const { messageFilePath, repoRoot, model = 'gpt-5-codex-mini', modelReasoningEffort = 'high' } = options;
+    const { messageFilePath, repoRoot, fallback: fallbackOption, ...providerSettings } = options;
+    const fallback = resolveFallback(fallbackOption);
 
     log(LogLevel?.DEBUG, 'repoRoot:', repoRoot);
     log(LogLevel?.DEBUG, 'messageFilePath:', messageFilePath);
@@ -220,8 +244,8 @@ export async function generateCommitMessage(options: GenerateCommitMessageOption
         return;
     }
 
-    log(LogLevel?.DEBUG, 'OPENAI_MODEL:', model);
-    log(LogLevel?.DEBUG, 'OPENAI_MODEL_REASONING_EFFORT:', modelReasoningEffort);
+    const provider = resolveCommitMessageProvider(providerSettings);
+    log(LogLevel?.DEBUG, 'provider:', provider.name);
 
     const headerMaxLength = await readHeaderMaxLength(repoRoot);
     const { files, diff } = await getStagedChanges(repoRoot);
@@ -234,27 +258,18 @@ export async function generateCommitMessage(options: GenerateCommitMessageOption
     log(LogLevel?.DEBUG, 'diff truncated:', capped.truncated);
     const promptText = buildPrompt(files, capped.diff, headerMaxLength);
 
-    let json: unknown;
+    const request: CommitMessageRequest = { prompt: promptText, schema: CommitMessageJsonSchema, changes: { files, diff } };
+    let parsed: CommitMessage;
     try {
-        json = await callCodexJson(model, modelReasoningEffort, promptText);
+        parsed = await generateCommitModel(provider, request);
     } catch (error) {
-        const errorMessage = formatError(error);
-        log(LogLevel?.DEBUG, 'Codex error:', error);
-        throw new Error(`Codex unavailable: ${errorMessage}`);
-    }
-
-    // Transform null to undefined for optional fields (Codex may return null for optional fields).
-    if (json && typeof json === 'object' && json !== null && !Array.isArray(json)) {
-        const obj = json as Record<string, unknown>;
-        if (obj.scope === null) {
-            delete obj.scope;
-        }
-        if (obj.footer === null) {
-            delete obj.footer;
+        if (fallback === 'none') {
+            throw error;
         }
+        log(LogLevel?.WARN, `${formatError(error)}; falling back to the heuristic commit message`);
+        // Validate like model output, so a broken heuristic fails here rather than producing a bad message.
+        parsed = CommitMessageModelSchema.parse(createHeuristicCommitMessage(request.changes));
     }
-
-    const parsed = CommitMessageModelSchema.parse(json);
     log(LogLevel?.DEBUG, 'parsed commit model:', parsed);
 
     const message = formatCommitMessage(parsed, headerMaxLength);
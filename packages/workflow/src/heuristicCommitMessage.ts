@@ -0,0 +1,410 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import path from 'node:path';
+
+import type { CommitMessageProvider } from './commitMessageProviders';
+import type { CommitMessage, StagedChanges } from './generateCommitMessage';
+
+type FileStatus = 'added' | 'deleted' | 'renamed' | 'modified';
+type FileCategory = 'build' | 'ci' | 'test' | 'docs' | 'source';
+
+interface FileChange {
+    path: string;
+    oldPath?: string;
+    status: FileStatus;
+    addedSymbols: Set<string>;
+    removedSymbols: Set<string>;
+    changedSymbols: Set<string>;
+}
+
+const MAX_BODY_LINES = 10;
+const MAX_SYMBOLS = 5;
+
+const STATUS_VERBS: Record<FileStatus, string> = {
+    added: 'add',
+    deleted: 'remove',
+    renamed: 'rename',
+    modified: 'update',
+};
+
+// Ties between non-source categories resolve in this order.
+const CATEGORY_ORDER: readonly Exclude<FileCategory, 'source'>[] = ['build', 'ci', 'test', 'docs'];
+
+const DEPENDENCY_FILES = new Set(['package.json', 'pnpm-lock.yaml', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'bun.lockb']);
+
+const CI_PATTERN = /^(?:\.github\/|\.circleci\/|\.gitlab-ci\.yml$|azure-pipelines\.yml$)/u;
+const TEST_PATTERN = /(?:^|\/)(?:test|tests|__tests__|__mocks__)\/|\.(?:test|spec|bench)\.[cm]?[jt]sx?$/u;
+const DOCS_PATTERN = /(?:^|\/)docs\/|\.(?:md|mdx|rst|txt)$|(?:^|\/)LICENSE$/iu;
+const BUILD_PATTERN =
+    /(?:^|\/)(?:tsconfig[^/]*\.json|\.npmrc|\.nvmrc|Dockerfile|Makefile|pnpm-workspace\.yaml|[^/]+\.config\.[cm]?[jt]s)$/u;
+
+// Top-level declarations (no indentation) in JS/TS and a few other common languages.
+const DECLARATION_PATTERN =
+    /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|interface|type|enum|const|let|var|def|func|fn)\s+([A-Za-z_$][\w$]*)/u;
+
+const HUNK_HEADER_PATTERN = /^@@ [^@]+ @@ ?(.*)$/u;
+
+// Byte values of the C-style escapes git uses in quoted paths; other bytes are written as `\ooo` octal.
+const QUOTED_PATH_ESCAPES = new Map([
+    ['a', 7],
+    ['b', 8],
+    ['t', 9],
+    ['n', 10],
+    ['v', 11],
+    ['f', 12],
+    ['r', 13],
+    ['"', 34],
+    ['\\', 92],
+]);
+
+/**
+ * Build a commit message model from staged changes without any network access.
+ *
+ * The type is inferred from the touched paths (tests → `test`, Markdown → `docs`, `.github` → `ci`,
+ * lockfiles and build configs → `build`, new source files or declarations → `feat`, other source
+ * changes → `refactor`); the scope from a single touched `packages/<name>` directory, or `deps` when
+ * only dependency manifests changed. The subject and body list added, removed and renamed files and
+ * changed top-level symbols. The result is deterministic for a given diff.
+ */
+export function createHeuristicCommitMessage(changes: StagedChanges): CommitMessage {
+    const fileChanges = parseStagedChanges(changes);
+    const scope = inferScope(fileChanges);
+    return {
+        type: inferType(fileChanges),
+        ...(scope !== undefined ? { scope } : {}),
+        subject: describeSubject(fileChanges, scope),
+        body: describeBody(fileChanges),
+    };
+}
+
+/**
+ * Generate with {@link createHeuristicCommitMessage}; never fails and needs no credentials.
+ */
+export function heuristicCommitMessageProvider(): CommitMessageProvider {
+    return {
+        name: 'Heuristic generator',
+        generate: async ({ changes }) => createHeuristicCommitMessage(changes),
+    };
+}
+
+function parseStagedChanges({ files, diff }: StagedChanges): FileChange[] {
+    const parsed: FileChange[] = [];
+    let current: FileChange | undefined;
+    let inHunk = false;
+    let enclosing: string | undefined;
+
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            const paths = parseDiffGitPaths(line.slice('diff --git '.length));
+            current = paths !== undefined ? createFileChange(paths[1], paths[0]) : undefined;
+            if (current !== undefined) {
+                parsed.push(current);
+            }
+            inHunk = false;
+            enclosing = undefined;
+            continue;
+        }
+        if (current === undefined) {
+            continue;
+        }
+        if (!inHunk) {
+            parseHeaderLine(current, line);
+        }
+        const hunk = HUNK_HEADER_PATTERN.exec(line);
+        if (hunk !== null) {
+            inHunk = true;
+            // Git puts the declaration enclosing the start of the hunk in its header.
+            enclosing = DECLARATION_PATTERN.exec((hunk[1] ?? '').trim())?.[1];
+            continue;
+        }
+        if (!inHunk) {
+            continue;
+        }
+        const content = line.slice(1);
+        const symbol = DECLARATION_PATTERN.exec(content)?.[1];
+        if (symbol !== undefined) {
+            enclosing = symbol;
+        }
+        if (line.startsWith('+') || line.startsWith('-')) {
+            if (symbol !== undefined) {
+                (line.startsWith('+') ? current.addedSymbols : current.removedSymbols).add(symbol);
+            } else if (enclosing !== undefined) {
+                current.changedSymbols.add(enclosing);
+            }
+        }
+        // A top-level closing bracket or a one-line declaration ends the enclosing declaration.
+        if (/^[}\])]/u.test(content) || (symbol !== undefined && content.trimEnd().endsWith(';'))) {
+            enclosing = undefined;
+        }
+    }
+
+    // Rename lines may have corrected the paths read from the `diff --git` line.
+    const byPath = new Map(parsed.map((change) => [change.path, change]));
+    // Files missing from a truncated diff are reported as modified.
+    for (const file of files) {
+        if (!byPath.has(file)) {
+            byPath.set(file, createFileChange(file, undefined));
+        }
+    }
+
+    const result = [...byPath.values()].sort((a, b) => a.path.localeCompare(b.path));
+    for (const change of result) {
+        for (const symbol of change.addedSymbols) {
+            if (change.removedSymbols.delete(symbol)) {
+                change.addedSymbols.delete(symbol);
+                change.changedSymbols.add(symbol);
+            }
+        }
+        for (const symbol of [...change.addedSymbols, ...change.removedSymbols]) {
+            change.changedSymbols.delete(symbol);
+        }
+        if (change.status === 'added' || change.status === 'deleted') {
+            change.changedSymbols.clear();
+        }
+    }
+    return result;
+}
+
+function createFileChange(filePath: string, oldPath: string | undefined): FileChange {
+    return {
+        path: filePath,
+        ...(oldPath !== undefined && oldPath !== filePath ? { oldPath } : {}),
+        status: oldPath !== undefined && oldPath !== filePath ? 'renamed' : 'modified',
+        addedSymbols: new Set(),
+        removedSymbols: new Set(),
+        changedSymbols: new Set(),
+    };
+}
+
+function parseHeaderLine(change: FileChange, line: string): void {
+    if (line.startsWith('new file mode')) {
+        change.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+        change.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+        change.oldPath = unquoteGitPath(line.slice('rename from '.length));
+        change.status = 'renamed';
+    } else if (line.startsWith('rename to ')) {
+        change.path = unquoteGitPath(line.slice('rename to '.length));
+    }
+}
+
+/**
+ * Read the old and new path from the part of a `diff --git` line after the command.
+ *
+ * Both paths are quoted when they contain special characters. Unquoted paths are ambiguous when they
+ * contain ` b/`: equal halves are taken as one unchanged path, otherwise the line is split at the first
+ * ` b/` and the `rename from`/`rename to` lines that follow for renames provide the exact paths.
+ */
+function parseDiffGitPaths(text: string): [string, string] | undefined {
+    let oldPath: string | undefined;
+    let newPath: string | undefined;
+    const quoted = readQuotedGitPath(text);
+    if (quoted !== undefined) {
+        oldPath = quoted.path;
+        newPath = unquoteGitPath(quoted.rest.slice(1));
+    } else if (text.endsWith('"') && text.includes(' "')) {
+        const index = text.indexOf(' "');
+        oldPath = text.slice(0, index);
+        newPath = unquoteGitPath(text.slice(index + 1));
+    } else {
+        const half = (text.length - 1) / 2;
+        const index = Number.isInteger(half) && text.slice(2, half) === text.slice(half + 3) ? half : text.indexOf(' b/');
+        if (index < 0) {
+            return undefined;
+        }
+        oldPath = text.slice(0, index);
+        newPath = text.slice(index + 1);
+    }
+    if (!oldPath.startsWith('a/') || !newPath.startsWith('b/')) {
+        return undefined;
+    }
+    return [oldPath.slice(2), newPath.slice(2)];
+}
+
+function unquoteGitPath(text: string): string {
+    const quoted = readQuotedGitPath(text);
+    return quoted !== undefined && quoted.rest === '' ? quoted.path : text;
+}
+
+// Git quotes paths with special characters C-style; the escapes encode the UTF-8 bytes of the path.
+function readQuotedGitPath(text: string): { path: string; rest: string } | undefined {
+    if (!text.startsWith('"')) {
+        return undefined;
+    }
+    const bytes: number[] = [];
+    let index = 1;
+    while (index < text.length) {
+        const char = String.fromCodePoint(text.codePointAt(index) ?? 0);
+        if (char === '"') {
+            return { path: Buffer.from(bytes).toString('utf-8'), rest: text.slice(index + 1) };
+        }
+        if (char !== '\\') {
+            bytes.push(...Buffer.from(char, 'utf-8'));
+            index += char.length;
+            continue;
+        }
+        const octal = /^[0-7]{3}/u.exec(text.slice(index + 1, index + 4))?.[0];
+        const escaped = QUOTED_PATH_ESCAPES.get(text[index + 1] ?? '');
+        if (octal !== undefined) {
+            bytes.push(Number.parseInt(octal, 8));
+            index += 4;
+        } else if (escaped !== undefined) {
+            bytes.push(escaped);
+            index += 2;
+        } else {
+            return undefined;
+        }
+    }
+    return undefined;
+}
+
+function categorize(filePath: string): FileCategory {
+    if (CI_PATTERN.test(filePath)) {
+        return 'ci';
+    }
+    if (TEST_PATTERN.test(filePath)) {
+        return 'test';
+    }
+    if (DOCS_PATTERN.test(filePath)) {
+        return 'docs';
+    }
+    if (isDependencyFile(filePath) || BUILD_PATTERN.test(filePath)) {
+        return 'build';
+    }
+    return 'source';
+}
+
+function isDependencyFile(filePath: string): boolean {
+    return DEPENDENCY_FILES.has(path.posix.basename(filePath));
+}
+
+function inferType(changes: FileChange[]): CommitMessage['type'] {
+    const source = changes.filter((change) => categorize(change.path) === 'source');
+    if (source.length > 0) {
+        return source.some((change) => change.status === 'added' || change.addedSymbols.size > 0) ? 'feat' : 'refactor';
+    }
+    const counts = new Map<FileCategory, number>();
+    for (const change of changes) {
+        const category = categorize(change.path);
+        counts.set(category, (counts.get(category) ?? 0) + 1);
+    }
+    let best: Exclude<FileCategory, 'source'> = 'build';
+    for (const category of CATEGORY_ORDER) {
+        if ((counts.get(category) ?? 0) > (counts.get(best) ?? 0)) {
+            best = category;
+        }
+    }
+    return best;
+}
+
+function inferScope(changes: FileChange[]): string | undefined {
+    const paths = changes.flatMap((change) => (change.oldPath !== undefined ? [change.path, change.oldPath] : [change.path]));
+    if (paths.every(isDependencyFile)) {
+        return 'deps';
+    }
+    const packages = new Set(paths.map((filePath) => /^packages\/([^/]+)\//u.exec(filePath)?.[1]));
+    const [only] = packages;
+    return packages.size === 1 ? only : undefined;
+}
+
+function describeSubject(changes: FileChange[], scope: string | undefined): string {
+    if (scope === 'deps') {
+        return 'update dependencies';
+    }
+    const [single] = changes;
+    if (changes.length === 1 && single !== undefined) {
+        const name = path.posix.basename(single.path);
+        switch (single.status) {
+            case 'added':
+                return `add ${name}`;
+            case 'deleted':
+                return `remove ${name}`;
+            case 'renamed':
+                return `rename ${path.posix.basename(single.oldPath ?? '')} to ${name}`;
+            case 'modified':
+                return describeSymbolChange(single, name) ?? `update ${name}`;
+        }
+    }
+    const statuses = new Set(changes.map((change) => change.status));
+    const [status] = statuses;
+    const verb = statuses.size === 1 && status !== undefined ? STATUS_VERBS[status] : 'update';
+    let directory = commonDirectory(changes.map((change) => change.path));
+    if (scope !== undefined) {
+        directory = directory.replace(new RegExp(`^packages/${escapeRegExp(scope)}/?`, 'u'), '');
+    }
+    return `${verb} ${changes.length} files${directory !== '' ? ` in ${directory}` : ''}`;
+}
+
+function describeSymbolChange(change: FileChange, name: string): string | undefined {
+    const { addedSymbols, removedSymbols, changedSymbols } = change;
+    if (addedSymbols.size + removedSymbols.size + changedSymbols.size !== 1) {
+        return undefined;
+    }
+    const [added] = addedSymbols;
+    const [removed] = removedSymbols;
+    const [changed] = changedSymbols;
+    if (added !== undefined) {
+        return `add ${added} to ${name}`;
+    }
+    return removed !== undefined ? `remove ${removed} from ${name}` : `update ${changed} in ${name}`;
+}
+
+function describeBody(changes: FileChange[]): string[] {
+    const lines = changes.map(describeChange);
+    if (lines.length <= MAX_BODY_LINES) {
+        return lines;
+    }
+    const shown = lines.slice(0, MAX_BODY_LINES - 1);
+    return [...shown, `And ${lines.length - shown.length} more files`];
+}
+
+function describeChange(change: FileChange): string {
+    const details = [
+        formatSymbols('add', change.addedSymbols),
+        formatSymbols('remove', change.removedSymbols),
+        formatSymbols('change', change.changedSymbols),
+    ].filter((detail) => detail !== '');
+    const suffix = details.length > 0 ? `: ${details.join('; ')}` : '';
+    switch (change.status) {
+        case 'added':
+            return `Add ${change.path}${suffix}`;
+        case 'deleted':
+            return `Remove ${change.path}`;
+        case 'renamed':
+            return `Rename ${change.oldPath ?? ''} to ${change.path}${suffix}`;
+        case 'modified':
+            return `Update ${change.path}${suffix}`;
+    }
+}
+
+function formatSymbols(verb: string, symbols: Set<string>): string {
+    if (symbols.size === 0) {
+        return '';
+    }
+    const names = [...symbols].sort();
+    const shown = names.slice(0, MAX_SYMBOLS);
+    const more = names.length > shown.length ? ` and ${names.length - shown.length} more` : '';
+    return `${verb} ${shown.join(', ')}${more}`;
+}
+
+function commonDirectory(paths: string[]): string {
+    const [first, ...rest] = paths.map((filePath) => path.posix.dirname(filePath).split('/'));
+    if (first === undefined) {
+        return '';
+    }
+    let length = first.length;
+    for (const segments of rest) {
+        let index = 0;
+        while (index < length && segments[index] === first[index]) {
+            index++;
+        }
+        length = index;
+    }
+    const directory = first.slice(0, length).join('/');
+    return directory === '.' ? '' : directory;
+}
+
+function escapeRegExp(text: string): string {
+    return text.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&');
+}
@@ -1,3 +1,5 @@
 // Copyright (c) 2025 TE·AM. All rights reserved.
 
+export * from './commitMessageProviders';
 export * from './generateCommitMessage';
+export * from './heuristicCommitMessage';
@@ -0,0 +1,131 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it, vi } from 'vitest';
+
+import { codexCommitMessageProvider, resolveCommitMessageProvider, type CommitMessageRequest } from '#/commitMessageProviders';
+
+const run = vi.hoisted(() => vi.fn<(prompt: string, options: { signal?: AbortSignal }) => Promise<unknown>>());
+
+vi.mock('@openai/codex-sdk', () => ({
+    Codex: class {
+        public startThread(): { run: typeof run } {
+            return { run };
+        }
+    },
+}));
+
+const request: CommitMessageRequest = { prompt: 'prompt', schema: { type: 'object' }, changes: { files: [], diff: '' } };
+
+const model = { type: 'fix', subject: 'handle empty input', body: ['Return early for empty input.'] };
+
+function createFetch(): ReturnType<typeof vi.fn<typeof fetch>> {
+    return vi.fn<typeof fetch>(async () => Response.json({ choices: [{ message: { content: JSON.stringify(model) } }] }));
+}
+
+describe('resolveCommitMessageProvider', () => {
+    it('reads the OpenAI-compatible headers, response format and timeout from the environment', async () => {
+        // Given
+        const fetchImpl = createFetch();
+        vi.stubGlobal('fetch', fetchImpl);
+        const timeoutSpy = vi.spyOn(AbortSignal, 'timeout');
+
+        try {
+            const provider = resolveCommitMessageProvider(
+                { provider: 'openai-compatible' },
+                {
+                    TSDK_COMMIT_MODEL: 'qwen',
+                    TSDK_COMMIT_BASE_URL: 'http://localhost:11434/v1/',
+                    TSDK_COMMIT_HEADERS: '{"x-team":"web"}',
+                    TSDK_COMMIT_RESPONSE_FORMAT: 'json_object',
+                    TSDK_COMMIT_TIMEOUT: '5000',
+                },
+            );
+
+            // When
+            const result = await provider.generate(request);
+
+            // Then
+            expect(result).toEqual(model);
+            const [url, init] = fetchImpl.mock.calls[0] ?? [];
+            expect(url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(init?.headers).toMatchObject({ 'x-team': 'web' });
+            expect(JSON.parse(init?.body as string)).toMatchObject({ model: 'qwen', response_format: { type: 'json_object' } });
+            expect(timeoutSpy).toHaveBeenCalledWith(5000);
+        } finally {
+            timeoutSpy.mockRestore();
+            vi.unstubAllGlobals();
+        }
+    });
+
+    it('prefers explicit settings over the environment', async () => {
+        // Given
+        const fetchImpl = createFetch();
+        vi.stubGlobal('fetch', fetchImpl);
+
+        try {
+            const provider = resolveCommitMessageProvider(
+                { provider: 'openai-compatible', model: 'llama', headers: { 'x-team': 'api' }, responseFormat: 'none' },
+                { TSDK_COMMIT_HEADERS: '{"x-team":"web"}', TSDK_COMMIT_RESPONSE_FORMAT: 'json_object' },
+            );
+
+            // When
+            await provider.generate(request);
+
+            // Then
+            const init = fetchImpl.mock.calls[0]?.[1];
+            expect(init?.headers).toMatchObject({ 'x-team': 'api' });
+            expect(JSON.parse(init?.body as string)).not.toHaveProperty('response_format');
+        } finally {
+            vi.unstubAllGlobals();
+        }
+    });
+
+    it.each([
+        [{ TSDK_COMMIT_TIMEOUT: 'soon' }, 'Invalid TSDK_COMMIT_TIMEOUT "soon": expected a positive number of milliseconds.'],
+        [{ TSDK_COMMIT_TIMEOUT: '0' }, 'Invalid TSDK_COMMIT_TIMEOUT "0"'],
+        [{ TSDK_COMMIT_HEADERS: '["x-team"]' }, 'Invalid TSDK_COMMIT_HEADERS: expected a JSON object of header names to string values.'],
+        [{ TSDK_COMMIT_HEADERS: '{"x-retries":3}' }, 'Invalid TSDK_COMMIT_HEADERS'],
+        [
+            { TSDK_COMMIT_RESPONSE_FORMAT: 'xml' },
+            'Invalid TSDK_COMMIT_RESPONSE_FORMAT "xml": expected one of "json_schema", "json_object", "none".',
+        ],
+    ])('rejects invalid environment values %o', (env, message) => {
+        // When / Then
+        expect(() => resolveCommitMessageProvider({ provider: 'openai-compatible', model: 'qwen' }, env)).toThrow(message);
+    });
+});
+
+describe('codexCommitMessageProvider', () => {
+    it('gives up on turns that exceed the timeout', async () => {
+        // Given
+        run.mockImplementationOnce(
+            (_prompt, { signal }) => new Promise((_resolve, reject) => signal?.addEventListener('abort', () => reject(signal.reason))),
+        );
+        const provider = codexCommitMessageProvider({ timeout: 10 });
+
+        // When / Then
+        await expect(provider.generate(request)).rejects.toThrow('No response within 10 ms.');
+    });
+
+    it('passes the timeout from the environment', async () => {
+        // Given
+        run.mockResolvedValueOnce({ finalResponse: JSON.stringify(model) });
+        const timeoutSpy = vi.spyOn(AbortSignal, 'timeout');
+        const provider = resolveCommitMessageProvider({}, { TSDK_COMMIT_TIMEOUT: '60000' });
+
+        try {
+            // When
+            const result = await provider.generate(request);
+
+            // Then
+            expect(result).toEqual(model);
+            expect(timeoutSpy).toHaveBeenCalledWith(60000);
+            expect(run).toHaveBeenLastCalledWith('prompt', {
+                outputSchema: request.schema,
+                signal: timeoutSpy.mock.results[0]?.value as unknown,
+            });
+        } finally {
+            timeoutSpy.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,62 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { generateCommitMessage } from '#/generateCommitMessage';
+
+const execFileAsync = promisify(execFile);
+
+describe('generateCommitMessage', () => {
+    let repoRoot: string;
+    let messageFilePath: string;
+
+    beforeEach(async () => {
+        repoRoot = await mkdtemp(path.join(tmpdir(), 'commit-message-'));
+        messageFilePath = path.join(repoRoot, 'COMMIT_EDITMSG');
+        await execFileAsync('git', ['init', '--quiet'], { cwd: repoRoot });
+        await writeFile(path.join(repoRoot, 'guide é.md'), '# Guide\n');
+        await execFileAsync('git', ['add', '.'], { cwd: repoRoot });
+    });
+
+    afterEach(async () => {
+        vi.unstubAllEnvs();
+        await rm(repoRoot, { recursive: true, force: true });
+    });
+
+    it('writes a validated heuristic message when the provider fails', async () => {
+        // Given
+        const provider = (): never => {
+            throw new Error('offline');
+        };
+
+        // When
+        await generateCommitMessage({ messageFilePath, repoRoot, provider });
+
+        // Then
+        expect(await readFile(messageFilePath, 'utf-8')).toBe('docs: add guide é.md\n\n- Add guide é.md\n');
+    });
+
+    it('throws the provider error without a fallback', async () => {
+        // Given
+        vi.stubEnv('TSDK_COMMIT_FALLBACK', 'none');
+
+        // When / Then
+        await expect(generateCommitMessage({ messageFilePath, repoRoot, provider: () => '{}' })).rejects.toThrow();
+    });
+
+    it('rejects unknown fallback values', async () => {
+        // Given
+        vi.stubEnv('TSDK_COMMIT_FALLBACK', 'off');
+
+        // When / Then
+        await expect(generateCommitMessage({ messageFilePath, repoRoot, provider: 'heuristic' })).rejects.toThrow(
+            'Unknown commit message fallback "off": expected one of "heuristic", "none".',
+        );
+    });
+});
@@ -0,0 +1,73 @@
+// Copyright (c) 2025 TE·AM. All rights reserved.
+
+import { describe, expect, it } from 'vitest';
+
+import { createHeuristicCommitMessage } from '#/heuristicCommitMessage';
+
+describe('createHeuristicCommitMessage', () => {
+    it('describes added symbols in a modified source file', () => {
+        // Given
+        const diff = [
+            'diff --git a/src/parse.ts b/src/parse.ts',
+            'index 1111111..2222222 100644',
+            '--- a/src/parse.ts',
+            '+++ b/src/parse.ts',
+            '@@ -1,1 +1,4 @@',
+            ' export const VERSION = 1;',
+            '+export function parseHeader(text: string): string {',
+            '+    return text;',
+            '+}',
+        ].join('\n');
+
+        // When
+        const message = createHeuristicCommitMessage({ files: ['src/parse.ts'], diff });
+
+        // Then
+        expect(message).toEqual({ type: 'feat', subject: 'add parseHeader to parse.ts', body: ['Update src/parse.ts: add parseHeader'] });
+    });
+
+    it('reads paths that contain " b/"', () => {
+        // Given
+        const diff = ['diff --git a/docs/a b/c.md b/docs/a b/c.md', 'new file mode 100644'].join('\n');
+
+        // When
+        const message = createHeuristicCommitMessage({ files: ['docs/a b/c.md'], diff });
+
+        // Then
+        expect(message).toMatchObject({ type: 'docs', subject: 'add c.md', body: ['Add docs/a b/c.md'] });
+    });
+
+    it('takes renamed paths from the rename lines', () => {
+        // Given
+        const diff = [
+            'diff --git a/src/old b/x.ts b/src/new.ts',
+            'similarity index 100%',
+            'rename from src/old b/x.ts',
+            'rename to src/new.ts',
+        ].join('\n');
+
+        // When
+        const message = createHeuristicCommitMessage({ files: ['src/new.ts'], diff });
+
+        // Then
+        expect(message).toMatchObject({ subject: 'rename x.ts to new.ts', body: ['Rename src/old b/x.ts to src/new.ts'] });
+    });
+
+    it('decodes quoted paths', () => {
+        // Given
+        const diff = [
+            'diff --git "a/docs/caf\\303\\251 \\"menu\\".md" "b/docs/caf\\303\\251 \\"menu\\".md"',
+            'deleted file mode 100644',
+            'diff --git a/src/plain.ts "b/src/tab\\there.ts"',
+            'similarity index 100%',
+            'rename from src/plain.ts',
+            'rename to "src/tab\\there.ts"',
+        ].join('\n');
+
+        // When
+        const message = createHeuristicCommitMessage({ files: ['docs/café "menu".md', 'src/tab\there.ts'], diff });
+
+        // Then
+        expect(message.body).toEqual(['Remove docs/café "menu".md', 'Rename src/plain.ts to src/tab\there.ts']);
+    });
+});
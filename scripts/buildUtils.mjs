@@ -138,27 +138,31 @@ export function resolvePackageName() {
 }
 
 /**
- * Resolves the build entry from package.json, enforcing a ./-prefixed relative path.
+ * Resolves a build entry from package.json, enforcing a ./-prefixed relative path.
  * @param {Object} manifest - package.json contents.
  * @param {string} pkgDir - Absolute path to the package directory.
- * @returns {string} Absolute entry point path.
+ * @param {string} [field='buildEntry'] - Manifest field holding the entry; only `buildEntry` defaults to ./src/index.ts.
+ * @returns {string|undefined} Absolute entry point path, or undefined when an optional entry field is not set.
  */
-export function resolveBuildEntry(manifest, pkgDir) {
+export function resolveBuildEntry(manifest, pkgDir, field = 'buildEntry') {
     if (!manifest || typeof manifest !== 'object') {
         throw new Error('Invalid package.json contents provided.');
     }
     if (typeof pkgDir !== 'string' || pkgDir.trim() === '') {
-        throw new Error('Package directory is required to resolve buildEntry.');
+        throw new Error(`Package directory is required to resolve ${field}.`);
     }
 
-    let buildEntry = manifest.buildEntry ?? './src/index.ts';
+    let buildEntry = manifest[field] ?? (field === 'buildEntry' ? './src/index.ts' : undefined);
+    if (buildEntry === undefined) {
+        return undefined;
+    }
     if (typeof buildEntry !== 'string' || buildEntry.trim() === '') {
-        throw new Error('buildEntry in package.json must be a non-empty string.');
+        throw new Error(`${field} in package.json must be a non-empty string.`);
     }
 
     buildEntry = buildEntry.trim();
     if (buildEntry.startsWith('/')) {
-        throw new Error('buildEntry must be a relative path (use ./).');
+        throw new Error(`${field} must be a relative path (use ./).`);
     }
     if (!buildEntry.startsWith('./')) {
         buildEntry = `./${buildEntry}`;
@@ -11,6 +11,7 @@ import {
     extractCompilerOptions,
     getDependencies,
     isEmptyObject,
+    isFile,
     resolveBuildEntry,
     resolveManifestPath,
     resolvePackageName,
@@ -18,6 +19,8 @@ import {
 
 // Constants
 const POSTFIX_ASTERISK_PATTERN = /\/\*$/;
+const RELATIVE_IMPORT_PATTERN = /^\.\.?\//;
+const SOURCE_EXTENSION_PATTERN = /\.(ts|tsx|js|jsx)$/;
 
 async function createTSConfigPathsPlugin(tsConfigPath, pluginName, compilerOptions) {
     if (!compilerOptions) {
@@ -84,6 +87,27 @@ async function createTSConfigPathsPlugin(tsConfigPath, pluginName, compilerOptio
     };
 }
 
+/**
+ * Creates a plugin that resolves relative imports to a sibling `<name>.browser.ts` module when one exists,
+ * so Node-only modules can be replaced in browser builds (e.g. `./context` -> `./context.browser.ts`).
+ * @param {string} pluginName - Name of the plugin.
+ * @returns {esbuild.Plugin} The plugin.
+ */
+function createBrowserVariantsPlugin(pluginName) {
+    return {
+        name: pluginName,
+        setup(build) {
+            build.onResolve({ filter: RELATIVE_IMPORT_PATTERN }, async (args) => {
+                const basePath = resolve(args.resolveDir, args.path).replace(SOURCE_EXTENSION_PATTERN, '');
+                const variantPath = `${basePath}.browser.ts`;
+                if (await isFile(variantPath)) {
+                    return { path: variantPath };
+                }
+            });
+        },
+    };
+}
+
 /**
  * Builds a library or CLI tool module.
  * @param {Object} options - Build options
@@ -96,6 +120,7 @@ async function createTSConfigPathsPlugin(tsConfigPath, pluginName, compilerOptio
  * @param {boolean} options.sourcemap - Generate source maps (default: true if outputName, false otherwise)
  * @param {boolean} options.minify - Minify output (default: true)
  * @param {Object} [options.banner] - Banner text to prepend to output (e.g., { js: '#!/usr/bin/env node' })
+ * @param {'node'|'browser'|'neutral'} [options.platform] - esbuild target platform (default: 'node')
  * @returns {Promise<esbuild.BuildResult>} Build result
  */
 async function build({
@@ -107,11 +132,12 @@ async function build({
     sourcemap = libName !== undefined,
     minify = true,
     banner,
+    platform = 'node',
 }) {
     const buildOptions = {
         entryPoints: [entryPoint],
         bundle: true,
-        platform: 'node',
+        platform,
         format: 'esm',
         target: ['es2022'],
         plugins,
@@ -160,6 +186,20 @@ async function main() {
         sourcemap: compilerOptions.sourceMap === true,
     });
     console.log(`Package "${packageName}" compiled in dist/esm: `, result);
+
+    // Optional browser/worker bundle, published through the `browser` and `worker` export conditions.
+    const browserEntryPoint = resolveBuildEntry(packageJson, pkgDir, 'browserBuildEntry');
+    if (browserEntryPoint !== undefined) {
+        console.log(`browser entry point: ${browserEntryPoint}`);
+        const browserResult = await build({
+            entryPoint: browserEntryPoint,
+            plugins: [createBrowserVariantsPlugin('browser-variants-plugin'), tsConfigPathsPlugin],
+            external: dependencies,
+            sourcemap: compilerOptions.sourceMap === true,
+            platform: 'browser',
+        });
+        console.log(`Package "${packageName}" browser build compiled in dist/esm: `, browserResult);
+    }
 }
 
 main().catch((err) => {
@@ -73,12 +73,8 @@ async function main() {
     const repoRoot = fileURLToPath(new URL('../', import.meta.url));
     const messageFilePath = path.isAbsolute(messageFileArg) ? messageFileArg : path.resolve(repoRoot, messageFileArg);
 
-    await generateCommitMessage({
-        messageFilePath,
-        repoRoot,
-        model: 'gpt-5-codex-mini',
-        modelReasoningEffort: 'high',
-    });
+    // Provider, model and endpoint come from TSDK_COMMIT_* environment variables (default: Codex).
+    await generateCommitMessage({ messageFilePath, repoRoot });
 }
 
 main().catch((error) => {
@@ -17,6 +17,8 @@ export function startLogger() {
             minLevel: dbg.LogLevel.DEBUG,
             componentPrefixes: [LOG_COMPONENT, 'ts-dk/workflow'],
             filters: [dbg.envLogFilter('DEBUG')],
+            // Prompts, diffs and model responses are logged at DEBUG; mask credentials and emails in them.
+            redaction: {},
         });
     }
 }